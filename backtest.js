@@ -0,0 +1,406 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Backtester
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Replays a historical price series through bot.js and the strategy named
+// in config.strategy (the ladder by default, the grid, or your own) with a
+// fake clock and simulated fills, then reports trades, win rate, drawdown
+// and P&L.
+//
+// Usage:
+//   node backtest.js <prices.csv|prices.jsonl> [more files...] [options]
+//   node backtest.js data/prices/<mint>/*.jsonl     (replay recorder output)
+//
+// Options:
+//   --start-sol <n>       Starting SOL balance
+//   --slippage-bps <n>    Adverse slippage applied to every fill
+//   --fee-bps <n>         DEX/LP fee taken from every fill
+//   --fee-lamports <n>    Network fee per swap
+//   --decimals <n>        Token decimals
+//   --json <file>         Also write the full report as JSON
+//   --verbose             Print the bot log (with simulated timestamps)
+//
+// Input formats:
+//   CSV   - "timestamp,price" (header optional; ISO dates, seconds or ms)
+//   JSONL - one object per line with ts|timestamp|time and price
+
+const fs = require("fs");
+const path = require("path");
+const bot = require("./bot");
+const config = require("./config");
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRICE SERIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function parseTimestamp(value) {
+  const num = typeof value === "number" ? value : Number(value);
+  if (!Number.isNaN(num)) {
+    // Treat anything below 1e12 as unix seconds
+    return num < 1e12 ? num * 1000 : num;
+  }
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return parsed;
+}
+
+function parseCsv(raw) {
+  const lines = raw.split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) return [];
+
+  let tsCol = 0;
+  let priceCol = 1;
+  const first = lines[0].split(",").map(col => col.trim().toLowerCase());
+  if (Number.isNaN(Number(first[priceCol]))) {
+    // Header row
+    tsCol = first.findIndex(col => ["ts", "timestamp", "time", "date"].includes(col));
+    priceCol = first.findIndex(col => ["price", "close"].includes(col));
+    if (tsCol < 0 || priceCol < 0) {
+      throw new Error("CSV header needs a timestamp and a price column");
+    }
+    lines.shift();
+  }
+
+  return lines.map(line => {
+    const cols = line.split(",");
+    return { ts: parseTimestamp(cols[tsCol].trim()), price: Number(cols[priceCol]) };
+  });
+}
+
+function parseJsonl(raw) {
+  return raw.split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => {
+      const row = JSON.parse(line);
+      return {
+        ts: parseTimestamp(row.ts ?? row.timestamp ?? row.time),
+        price: Number(row.price),
+      };
+    });
+}
+
+function loadSeries(files) {
+  const rows = [].concat(...[].concat(files).map(file => {
+    const raw = fs.readFileSync(file, "utf8");
+    const ext = path.extname(file).toLowerCase();
+    return ext === ".jsonl" || ext === ".json" ? parseJsonl(raw) : parseCsv(raw);
+  }));
+
+  return rows
+    .filter(row => Number.isFinite(row.price) && row.price > 0)
+    .sort((a, b) => a.ts - b.ts);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SIMULATED MARKET
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Quote at the current replay price, minus slippage and fees
+function createQuoteSource(getPrice, opts) {
+  const keep = (10000 - opts.slippageBps - opts.feeBps) / 10000;
+  const tokenFactor = Math.pow(10, opts.tokenDecimals);
+
+  return (inputMint, outputMint, amount) => {
+    const price = getPrice();
+    const inAmount = BigInt(amount);
+    const outAmount = inputMint === bot.SOL_MINT
+      ? (Number(inAmount) / 1e9 / price) * tokenFactor * keep
+      : (Number(inAmount) / tokenFactor) * price * 1e9 * keep;
+
+    return {
+      inputMint,
+      outputMint,
+      inAmount: inAmount.toString(),
+      outAmount: Math.floor(outAmount).toString(),
+      priceImpactPct: "0",
+    };
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUN
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runBacktest(series, opts) {
+  if (!series.length) {
+    throw new Error("Price series is empty");
+  }
+
+  const clock = { now: series[0].ts };
+  let price = series[0].price;
+  const fills = [];
+  const startLamports = BigInt(Math.floor(opts.startSol * 1e9));
+  const memory = {
+    state: null,
+    risk: null,
+    simWallet: {
+      sol: startLamports.toString(),
+      tokens: {},
+      startSol: startLamports.toString(),
+      feesPaid: "0",
+    },
+  };
+
+  bot.configureRuntime({
+    now: () => clock.now,
+    priceSource: async () => price,
+    quoteSource: createQuoteSource(() => price, opts),
+    simulate: true,
+    networkFeeLamports: opts.feeLamports,
+    tokenDecimals: opts.tokenDecimals,
+    memory,
+    logSink: opts.verbose ? line => console.log(line) : () => {},
+    onFill: fill => fills.push({ ...fill, price }),
+  });
+
+  const tokenFactor = Math.pow(10, opts.tokenDecimals);
+  const equityOf = () =>
+    Number(BigInt(memory.simWallet.sol)) / 1e9 +
+    (Number(heldTokens(memory.simWallet)) / tokenFactor) * price;
+
+  let peakEquity = opts.startSol;
+  let maxDrawdownPct = 0;
+
+  for (const sample of series) {
+    clock.now = sample.ts;
+    price = sample.price;
+
+    // Same as the live main loop: re-read state, then tick
+    await bot.tick(bot.readState());
+    await bot.checkPortfolioDrawdown();
+
+    const equity = equityOf();
+    peakEquity = Math.max(peakEquity, equity);
+    maxDrawdownPct = Math.max(maxDrawdownPct, ((peakEquity - equity) / peakEquity) * 100);
+  }
+
+  return buildReport({
+    series,
+    fills,
+    opts,
+    finalState: bot.readState(),
+    finalWallet: memory.simWallet,
+    finalEquity: equityOf(),
+    maxDrawdownPct,
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Backtests replay a single token, so this is just that balance
+function heldTokens(wallet) {
+  return Object.values(wallet.tokens).reduce((sum, amount) => sum + BigInt(amount), 0n);
+}
+
+// Group fills into cycles: first buy from flat -> sell back to flat
+function buildCycles(fills) {
+  const cycles = [];
+  let current = null;
+  let tokens = 0n;
+
+  for (const fill of fills) {
+    if (!current) {
+      current = { openedAt: fill.timestamp, closedAt: null, fills: [], solIn: 0n, solOut: 0n, fees: 0n };
+    }
+    current.fills.push(fill);
+    current.fees += BigInt(fill.feeLamports);
+
+    if (fill.side === "buy") {
+      current.solIn += BigInt(fill.inAmount);
+      tokens += BigInt(fill.outAmount);
+    } else {
+      current.solOut += BigInt(fill.outAmount);
+      tokens -= BigInt(fill.inAmount);
+    }
+
+    if (tokens <= 0n) {
+      current.closedAt = fill.timestamp;
+      cycles.push(current);
+      current = null;
+      tokens = 0n;
+    }
+  }
+  if (current) cycles.push(current);
+
+  return cycles.map(cycle => {
+    const pnlLamports = cycle.solOut - cycle.solIn - cycle.fees;
+    return {
+      openedAt: cycle.openedAt,
+      closedAt: cycle.closedAt,
+      buys: cycle.fills.filter(f => f.side === "buy").length,
+      sells: cycle.fills.filter(f => f.side === "sell").length,
+      solIn: Number(cycle.solIn) / 1e9,
+      solOut: Number(cycle.solOut) / 1e9,
+      fees: Number(cycle.fees) / 1e9,
+      pnlSol: cycle.closedAt ? Number(pnlLamports) / 1e9 : null,
+      pnlPct: cycle.closedAt && cycle.solIn > 0n
+        ? (Number(pnlLamports) / Number(cycle.solIn)) * 100
+        : null,
+    };
+  });
+}
+
+function buildReport({ series, fills, opts, finalState, finalWallet, finalEquity, maxDrawdownPct }) {
+  const tokenFactor = Math.pow(10, opts.tokenDecimals);
+  const cycles = buildCycles(fills);
+  const closed = cycles.filter(c => c.closedAt !== null);
+  const wins = closed.filter(c => c.pnlSol > 0);
+  const realizedSol = closed.reduce((sum, c) => sum + c.pnlSol, 0);
+
+  const trades = fills.map(fill => ({
+    time: new Date(fill.timestamp).toISOString(),
+    side: fill.side,
+    price: fill.price,
+    sol: Number(fill.side === "buy" ? fill.inAmount : fill.outAmount) / 1e9,
+    tokens: Number(fill.side === "buy" ? fill.outAmount : fill.inAmount) / tokenFactor,
+    feeSol: Number(fill.feeLamports) / 1e9,
+  }));
+
+  return {
+    period: {
+      from: new Date(series[0].ts).toISOString(),
+      to: new Date(series[series.length - 1].ts).toISOString(),
+      samples: series.length,
+    },
+    settings: opts,
+    trades,
+    cycles,
+    summary: {
+      cyclesClosed: closed.length,
+      winRatePct: closed.length ? (wins.length / closed.length) * 100 : 0,
+      realizedPnlSol: realizedSol,
+      totalPnlSol: finalEquity - opts.startSol,
+      totalPnlPct: ((finalEquity - opts.startSol) / opts.startSol) * 100,
+      maxDrawdownPct,
+      finalEquitySol: finalEquity,
+      finalSol: Number(BigInt(finalWallet.sol)) / 1e9,
+      openTokens: Number(heldTokens(finalWallet)) / tokenFactor,
+      finalPhase: finalState.phase,
+      feesSol: Number(BigInt(finalWallet.feesPaid)) / 1e9,
+    },
+  };
+}
+
+function printReport(report) {
+  const s = report.summary;
+  const sign = n => (n >= 0 ? "+" : "");
+
+  console.log("═══════════════════════════════════════════════════════════");
+  console.log("                    BACKTEST REPORT");
+  console.log("═══════════════════════════════════════════════════════════");
+  console.log(`  Period:   ${report.period.from} → ${report.period.to} (${report.period.samples} samples)`);
+  if (bot.strategy.name === "ladder") {
+    console.log(`  Steps:    ${config.steps.map(st => `${st.dropPct}%/${st.sizePct}%`).join(", ")}`);
+    console.log(`  Trailing: trigger ${config.trailingTriggerPct}%, stop ${config.trailingStopPct}%`);
+  } else {
+    console.log(`  Strategy: ${bot.strategy.describe ? bot.strategy.describe() : bot.strategy.name}`);
+  }
+  console.log(`  Fills:    slippage ${report.settings.slippageBps}bps, fee ${report.settings.feeBps}bps + ${report.settings.feeLamports} lamports`);
+  console.log("═══════════════════════════════════════════════════════════\n");
+
+  console.log("TRADES");
+  if (!report.trades.length) {
+    console.log("  (none)");
+  }
+  for (const t of report.trades) {
+    console.log(
+      `  ${t.time}  ${t.side.toUpperCase().padEnd(4)}  ${t.sol.toFixed(4)} SOL  ` +
+      `${t.tokens.toFixed(2)} tokens @ ${t.price.toExponential(4)}`
+    );
+  }
+
+  console.log("\nCYCLES");
+  report.cycles.forEach((c, i) => {
+    const result = c.pnlSol === null
+      ? "OPEN"
+      : `${sign(c.pnlSol)}${c.pnlSol.toFixed(4)} SOL (${sign(c.pnlPct)}${c.pnlPct.toFixed(2)}%)`;
+    console.log(`  #${i + 1}  ${c.buys} buys / ${c.sells} sells  in ${c.solIn.toFixed(4)} SOL  ${result}`);
+  });
+
+  console.log("\nSUMMARY");
+  console.log(`  Closed cycles:  ${s.cyclesClosed}`);
+  console.log(`  Win rate:       ${s.winRatePct.toFixed(1)}%`);
+  console.log(`  Realized P&L:   ${sign(s.realizedPnlSol)}${s.realizedPnlSol.toFixed(4)} SOL`);
+  console.log(`  Total P&L:      ${sign(s.totalPnlSol)}${s.totalPnlSol.toFixed(4)} SOL (${sign(s.totalPnlPct)}${s.totalPnlPct.toFixed(2)}%, marked to last price)`);
+  console.log(`  Max drawdown:   ${s.maxDrawdownPct.toFixed(2)}%`);
+  console.log(`  Fees paid:      ${s.feesSol.toFixed(4)} SOL`);
+  console.log(`  Final:          ${s.finalSol.toFixed(4)} SOL + ${s.openTokens.toFixed(2)} tokens (phase ${s.finalPhase})`);
+  console.log("═══════════════════════════════════════════════════════════");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const opts = {
+    files: [],
+    startSol: config.backtest.startSol,
+    slippageBps: config.backtest.slippageBps,
+    feeBps: config.backtest.feeBps,
+    feeLamports: config.backtest.networkFeeLamports,
+    tokenDecimals: config.backtest.tokenDecimals,
+    json: null,
+    verbose: false,
+  };
+
+  const numeric = {
+    "--start-sol": "startSol",
+    "--slippage-bps": "slippageBps",
+    "--fee-bps": "feeBps",
+    "--fee-lamports": "feeLamports",
+    "--decimals": "tokenDecimals",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (numeric[arg]) {
+      const value = Number(argv[++i]);
+      if (Number.isNaN(value)) {
+        throw new Error(`${arg} needs a number`);
+      }
+      opts[numeric[arg]] = value;
+    } else if (arg === "--json") {
+      opts.json = argv[++i];
+    } else if (arg === "--verbose") {
+      opts.verbose = true;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      opts.files.push(arg);
+    }
+  }
+
+  if (!opts.files.length) {
+    throw new Error("Usage: node backtest.js <prices.csv|prices.jsonl> [options]");
+  }
+  return opts;
+}
+
+async function main() {
+  const { files, json, ...opts } = parseArgs(process.argv.slice(2));
+  const series = loadSeries(files);
+  const report = await runBacktest(series, opts);
+
+  printReport(report);
+  if (json) {
+    fs.writeFileSync(json, JSON.stringify(report, null, 2), "utf8");
+    console.log(`Report written to ${json}`);
+  }
+}
+
+module.exports = {
+  loadSeries,
+  runBacktest,
+};
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error("Backtest failed:", err.message || err);
+    process.exit(1);
+  });
+}
@@ -5,29 +5,55 @@
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
-const fetch = global.fetch || require("node-fetch");
 const {
-  Connection,
-  Keypair,
   PublicKey,
   VersionedTransaction,
 } = require("@solana/web3.js");
+const bs58 = require("bs58");
 
 const config = require("./config");
+const commands = require("./commands");
+const recorder = require("./recorder");
+const ledger = require("./ledger");
+const wallets = require("./wallets");
+const keystore = require("./keystore");
+const jupiter = require("./jupiter");
+const sender = require("./sender");
+const rpc = require("./rpc");
+const statefile = require("./statefile");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const journal = require("./journal");
+const strategies = require("./strategies");
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONSTANTS
 // ═══════════════════════════════════════════════════════════════════════════
 
 const RPC_URL = process.env.SOLANA_RPC_URL;
+const RPC_FALLBACK_URLS = parseUrlList(process.env.SOLANA_RPC_URLS);
+const SEND_RPC_URLS = parseUrlList(process.env.SOLANA_SEND_RPC_URLS);
 const TARGET_MINT = process.env.TARGET_MINT;
 const SOL_MINT = "So11111111111111111111111111111111111111112";
-const JUP_BASE_URL = process.env.JUPITER_API_BASE || "https://lite-api.jup.ag";
 
-const WALLETS_FILE = path.join(__dirname, "wallets.json");
-const DATA_DIR = path.join(__dirname, "data");
-const STATE_FILE = path.join(DATA_DIR, "state.json");
-const LOG_FILE = path.join(DATA_DIR, "bot.log");
+// supervisor.js points each worker at its own data directory
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "data");
+const SIM_MODE = config.simulation.enabled;
+const SIM_WALLET_FILE = path.join(DATA_DIR, "sim_wallet.json");
+const LOG_FILE = path.join(DATA_DIR, "bot.jsonl");
+// Per-mint supervisor workers share their wallet's peak (RISK_FILE) - paper
+// wallets are per worker, so in SIM mode each keeps its own
+const RISK_FILE = process.env.RISK_FILE && !SIM_MODE
+  ? path.resolve(process.env.RISK_FILE)
+  : path.join(DATA_DIR, SIM_MODE ? "sim_risk.json" : "risk.json");
+
+// Sell reasons that count as a stop-out (full exit + lockout)
+const STOP_REASONS = ["stop_loss", "time_stop", "max_drawdown"];
+
+// Decides when to trade (strategies/ladder.js unless config.strategy says otherwise)
+const strategy = strategies.loadStrategy(config.strategy);
 
 const LAMPORTS_PER_SOL = 1_000_000_000n;
 
@@ -35,13 +61,139 @@ const LAMPORTS_PER_SOL = 1_000_000_000n;
 // GLOBALS
 // ═══════════════════════════════════════════════════════════════════════════
 
-let connection = null;
-let keypair = null;
-let tokenDecimals = null;
+let rpcPool = null;
+let connection = null;          // rpcPool.connection - fails over between RPC endpoints
+let sendConnections = [];       // Extra endpoints swaps are broadcast to (SOLANA_SEND_RPC_URLS)
+let walletEntry = null;
+let walletPublicKey = null;
+let keypair = null;             // Only unlocked by the trading loop (never in telegram.js)
 let running = true;
-let paused = false;
 let initialized = false;
 
+// ═══════════════════════════════════════════════════════════════════════════
+// MARKETS (one state machine per traded mint)
+// ═══════════════════════════════════════════════════════════════════════════
+// Without config.portfolio this is a single market for TARGET_MINT using
+// data/state.json, exactly as before. With a portfolio each mint gets
+// data/state-<label>.json, its own step ladder and a share of maxWalletUsePct.
+// The scheduler in main() points `market` at each one in turn before ticking.
+
+function buildMarkets() {
+  const multi = config.portfolio.length > 0;
+  let entries = multi ? config.portfolio : [{ mint: TARGET_MINT }];
+  // Default share comes from the whole portfolio - a per-mint worker still
+  // shares the wallet with the other mints' workers
+  const defaultSharePct = 100 / entries.length;
+
+  // A per-mint supervisor worker runs just one portfolio entry
+  if (multi && process.env.MARKET_LABEL) {
+    entries = entries.filter(e => e.label === process.env.MARKET_LABEL);
+    if (!entries.length) {
+      throw new Error(`MARKET_LABEL ${process.env.MARKET_LABEL} not found in config.portfolio`);
+    }
+  }
+
+  return entries.map((entry, i) => {
+    const label = entry.label || (entry.mint ? entry.mint.slice(0, 8) : `mint${i + 1}`);
+    const fileBase = multi ? `state-${label}.json` : "state.json";
+    return {
+      mint: entry.mint,
+      label,
+      stateFile: path.join(DATA_DIR, SIM_MODE ? `sim_${fileBase}` : fileBase),
+      steps: entry.steps || config.steps,
+      sharePct: entry.sharePct ?? defaultSharePct,
+      decimals: null,
+      savedFingerprint: null,    // Position/phase/step last written (backups on change)
+      reconcilePreview: null,    // Changes /reconcile showed, until they are applied
+    };
+  });
+}
+
+const markets = buildMarkets();
+let market = markets[0];
+
+function useMarket(m) {
+  market = m;
+}
+
+// Resolve "BONK", a mint address or a 1-based index. With a single market
+// no selector is needed.
+function findMarket(selector) {
+  if (selector === undefined || selector === null || selector === "") {
+    return markets.length === 1 ? markets[0] : null;
+  }
+  const key = String(selector).toLowerCase();
+  const index = Number(selector);
+  if (Number.isInteger(index) && index >= 1 && index <= markets.length) {
+    return markets[index - 1];
+  }
+  return markets.find(m => m.label.toLowerCase() === key || (m.mint || "").toLowerCase() === key) || null;
+}
+
+// A per-mint supervisor worker's siblings: the same wallet's other portfolio
+// entries, each run by its own worker (PEER_DATA_DIRS: label -> DATA_DIR).
+// Paper wallets are per worker, so in SIM mode there are none.
+function buildWorkerPeers() {
+  if (!process.env.PEER_DATA_DIRS || SIM_MODE) return [];
+  return Object.entries(JSON.parse(process.env.PEER_DATA_DIRS)).map(([label, dir]) => ({
+    mint: (config.portfolio.find(entry => entry.label === label) || {}).mint,
+    label,
+    stateFile: path.join(dir, `state-${label}.json`),
+    decimals: null,
+  }));
+}
+
+const workerPeers = buildWorkerPeers();
+
+// The other mints trading from this wallet, here or in sibling workers
+function getPeerMarkets() {
+  return [...markets.filter(m => m !== market), ...workerPeers];
+}
+
+// This market's slice of the wallet (maxWalletUsePct x portfolio share).
+// The other mints' open positions are added back at cost, so their buys
+// don't shrink this market's slice - each sizes as if it had the wallet to
+// itself. With a single market this is just the free SOL, as before.
+function getAllocationLamports(solBalance) {
+  let base = Number(solBalance);
+  for (const peer of getPeerMarkets()) {
+    const { position } = readState(peer);
+    if (BigInt(position.tokenAmount) === 0n) continue;
+    const cost = BigInt(position.totalSolSpent) - BigInt(position.solRecovered || "0");
+    if (cost > 0n) base += Number(cost);
+  }
+  return (base * config.maxWalletUsePct / 100) * market.sharePct / 100;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUNTIME HOOKS
+// ═══════════════════════════════════════════════════════════════════════════
+// Live trading uses the defaults. backtest.js swaps in a fake clock, a
+// replayed price feed, synthetic quotes and in-memory state via
+// configureRuntime() so the same state machine can run offline.
+
+const runtime = {
+  now: () => Date.now(),
+  priceSource: null,            // async () => price (replaces the Jupiter price probe)
+  quoteSource: null,            // (inputMint, outputMint, amount, slippageBps) => quote
+  simulate: SIM_MODE,           // Paper fills instead of on-chain swaps
+  networkFeeLamports: config.simulation.networkFeeLamports,
+  memory: null,                 // { state, simWallet } - keep everything off disk
+  logSink: null,                // (line, isError) => void
+  onFill: null,                 // (fill) => void, called for every simulated fill
+};
+
+function configureRuntime(overrides) {
+  Object.assign(runtime, overrides);
+  if (overrides.tokenDecimals !== undefined) {
+    market.decimals = overrides.tokenDecimals;
+  }
+}
+
+function now() {
+  return runtime.now();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // INITIALIZATION (lazy - called on first use)
 // ═══════════════════════════════════════════════════════════════════════════
@@ -49,14 +201,32 @@ let initialized = false;
 function ensureInit() {
   if (initialized) return;
 
+  ensureConnection();
+  walletEntry = loadWalletEntry();
+  walletPublicKey = wallets.publicKeyOf(walletEntry);
+  initialized = true;
+}
+
+// "url1, url2" from .env -> ["url1", "url2"]
+function parseUrlList(value) {
+  return (value || "")
+    .split(",")
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+// Read-only access (price probes) - no wallet needed
+function ensureConnection() {
+  if (connection) return;
+
   if (!RPC_URL) {
     throw new Error("Missing SOLANA_RPC_URL in .env");
   }
 
   ensureDir(DATA_DIR);
-  connection = new Connection(RPC_URL, "confirmed");
-  keypair = loadWallet();
-  initialized = true;
+  rpcPool = rpc.createPool([RPC_URL, ...RPC_FALLBACK_URLS]);
+  connection = rpcPool.connection;
+  sendConnections = SEND_RPC_URLS.map(url => rpc.createConnection(url));
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -69,100 +239,269 @@ function ensureDir(dir) {
   }
 }
 
-function ts() {
-  return new Date().toISOString().replace("T", " ").split(".")[0];
+// Every line is a logger.js record: the console (or runtime.logSink) gets
+// it as text, data/bot.jsonl as JSON. event is one of the types listed in
+// logger.js; fields are added to the record as they are.
+function emit(level, event, msg, fields = {}) {
+  if (!logger.enabled(level)) return;
+  const record = {
+    ts: new Date(now()).toISOString(),
+    level,
+    event,
+    msg,
+    mint: market.mint,
+    market: market.label,
+    ...fields,
+  };
+  if (level === "error") {
+    metrics.inc("mmprofit_errors_total", { market: market.label, event });
+  }
+  const line = logger.formatConsole(record, { tag: markets.length > 1 });
+  if (runtime.logSink) return runtime.logSink(line, level === "error");
+  if (level === "error") {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+  logger.append(LOG_FILE, record);
 }
 
 function log(...args) {
-  const line = `[${ts()}] ${args.join(" ")}`;
-  console.log(line);
-  try {
-    fs.appendFileSync(LOG_FILE, line + "\n");
-  } catch {}
+  emit("info", "message", args.join(" "));
 }
 
 function logError(...args) {
-  const line = `[${ts()}] ERROR: ${args.join(" ")}`;
-  console.error(line);
-  try {
-    fs.appendFileSync(LOG_FILE, line + "\n");
-  } catch {}
+  emit("error", "error", args.join(" "));
+}
+
+// A typed event (see logger.js) - level info unless given
+function logEvent(event, msg, fields = {}, level = "info") {
+  emit(level, event, msg, fields);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
 // STATE MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════
 
-function getDefaultState() {
+// Bump when the state file layout changes, with an upgrade in STATE_MIGRATIONS
+const STATE_SCHEMA_VERSION = 1;
+
+// STATE_MIGRATIONS[n] upgrades a version n-1 file to version n
+const STATE_MIGRATIONS = {
+  // Unversioned files kept the absolute fee for the next swap in priorityFee;
+  // it is now the escalation on top of the estimate
+  1: saved => ({ ...saved, priorityFee: { buy: 0, sell: 0 } }),
+};
+
+// Keys bot.js owns; everything else in the state file belongs to the strategy
+const CORE_KEYS = [
+  "phase", "paused", "lastPrice", "lastPriceAt", "lockoutUntil", "stepIndex",
+  "cycleId", "position", "lastTrade", "slippage", "priorityFee", "twap",
+  "bookedSwaps", "pendingUnknown",
+];
+
+function getCoreDefaults() {
   return {
-    phase: "watching",           // watching | building | holding | trailing
-    watchPrice: null,            // Price when we started watching
-    stepIndex: 0,                // 0, 1, 2 (which step we're on)
+    phase: "watching",           // watching | lockout | the strategy's own phases
+    paused: false,               // Set via Telegram /stop, honoured by the main loop
+    lastPrice: 0,                // Last tick price (for portfolio summaries)
+    lastPriceAt: null,
+    lockoutUntil: null,          // After a stop-out: no entries until this time
+    stepIndex: 0,                // Entries made this cycle (ladder step / grid lots)
+    cycleId: 0,                  // Ledger cycle (first buy -> full exit)
     position: {
       tokenAmount: "0",          // String for BigInt serialization
-      totalSolSpent: "0",
+      totalSolSpent: "0",        // Actual lamports paid incl. network + priority fees
+      solRecovered: "0",         // Actual lamports received from partial exits
       avgEntryPrice: 0,
-    },
-    trailing: {
-      active: false,
-      peakPrice: 0,
+      openedAt: null,            // First buy of the cycle (for the time stop)
     },
     lastTrade: {
       profitPct: 0,
       timestamp: null,
+      reason: null,
     },
-    cooldown: {
-      startTime: null,
-      priceAtStart: null,
-      highPrice: null,
-      lowPrice: null,
-    },
-    currentEntryDropPct: config.entryDropPct,
-    partialExitsDone: [],        // Track which partial exit levels were hit
     slippage: {
       buy: config.buySlippageBps,
       sell: config.sellSlippageBps,
     },
-    priorityFee: {
-      buy: config.buyPriorityFeeLamports,
-      sell: config.sellPriorityFeeLamports,
+    priorityFee: {               // Escalation on top of the estimate / static fee after failed swaps
+      buy: 0,
+      sell: 0,
     },
+    twap: null,                  // Sliced order still working (config.twap), resumed after a restart
+    bookedSwaps: [],             // Journal ids booked into this state, not yet marked applied
+    pendingUnknown: null,        // { side, signature, since } swap that may have landed - orders wait
   };
 }
 
-function readState() {
+// Core keys merged over the defaults + the strategy's keys from its init()
+function loadState(saved) {
+  const defaults = getCoreDefaults();
+  const state = {};
+  for (const key of CORE_KEYS) {
+    state[key] = saved[key] !== undefined ? saved[key] : defaults[key];
+  }
+  // Deep merge nested objects
+  state.position = { ...defaults.position, ...saved.position };
+  state.lastTrade = { ...defaults.lastTrade, ...saved.lastTrade };
+  state.slippage = { ...defaults.slippage, ...saved.slippage };
+  state.priorityFee = { ...defaults.priorityFee, ...saved.priorityFee };
+  return { ...state, ...strategy.init(saved) };
+}
+
+function serializeState(state) {
+  const out = { schemaVersion: STATE_SCHEMA_VERSION };
+  for (const key of CORE_KEYS) {
+    out[key] = state[key];
+  }
+  return { ...out, ...strategy.serialize(state) };
+}
+
+function getDefaultState() {
+  return loadState({});
+}
+
+function readState(m = market) {
+  if (runtime.memory) {
+    return runtime.memory.state
+      ? loadState(JSON.parse(JSON.stringify(runtime.memory.state)))
+      : getDefaultState();
+  }
+  // An unreadable file throws (StateError) - a default state would forget
+  // an open position
+  return parseState(statefile.readJson(m.stateFile), m);
+}
+
+function parseState(saved, m) {
+  if (!saved) {
+    return getDefaultState();
+  }
+  const { data, migrated } = statefile.migrate(saved, STATE_MIGRATIONS, STATE_SCHEMA_VERSION, m.stateFile);
+  if (migrated) {
+    logEvent("state_migrated", `State ${path.basename(m.stateFile)} upgraded from schema ${saved.schemaVersion || 0} to ${STATE_SCHEMA_VERSION}`, {
+      from: saved.schemaVersion || 0,
+      to: STATE_SCHEMA_VERSION,
+    });
+  }
+  return loadState(data);
+}
+
+function writeState(state, m = market) {
+  if (runtime.memory) {
+    runtime.memory.state = JSON.parse(JSON.stringify(serializeState(state)));
+    return;
+  }
+  const data = serializeState(state);
+  const fingerprint = stateFingerprint(data);
   try {
-    if (!fs.existsSync(STATE_FILE)) {
-      return getDefaultState();
+    statefile.writeJson(m.stateFile, data, { backup: fingerprint !== m.savedFingerprint });
+    m.savedFingerprint = fingerprint;
+  } catch (err) {
+    logError("Failed to write state:", err.message);
+    return;
+  }
+
+  // The fills are on disk now - settle their journal intents
+  if (state.bookedSwaps.length) {
+    try {
+      journal.markApplied(state.bookedSwaps);
+      state.bookedSwaps = [];
+    } catch (err) {
+      logError("Failed to write swap journal:", err.message);
     }
-    const raw = fs.readFileSync(STATE_FILE, "utf8");
-    if (!raw.trim()) {
-      return getDefaultState();
+  }
+}
+
+// Every tick rewrites the price, the trailing peak and the strategy's
+// bookkeeping - back up only when the position, phase or step changed
+function stateFingerprint(data) {
+  return JSON.stringify({ position: data.position, phase: data.phase, stepIndex: data.stepIndex });
+}
+
+// A change from outside a tick (/stop, /start): the file is read, changed
+// and written under one lock, so a write from another process in between
+// isn't lost. Throws if the file can't be read or written.
+function updateState(change, m = market) {
+  if (runtime.memory) {
+    const state = readState(m);
+    change(state);
+    writeState(state, m);
+    return state;
+  }
+  let state;
+  let fingerprint;
+  statefile.update(m.stateFile, saved => {
+    state = parseState(saved, m);
+    change(state);
+    const data = serializeState(state);
+    fingerprint = stateFingerprint(data);
+    return data;
+  }, { backup: () => fingerprint !== m.savedFingerprint });
+  m.savedFingerprint = fingerprint;
+  return state;
+}
+
+// Startup check. An unreadable state file while the wallet holds the token
+// is an open position with no known cost - refuse to trade until the file
+// is restored from a backup or removed. With none of the token in the
+// wallet there is nothing to forget: the file is moved aside and the market
+// starts fresh.
+async function checkStateFile(m = market) {
+  try {
+    readState(m);
+    return;
+  } catch (err) {
+    if (!(err instanceof statefile.StateError) || err.kind !== "unreadable") throw err;
+
+    const tokens = (await getTokenBalance()).amount;
+    if (tokens > 0n) {
+      const backup = statefile.findReadableBackup(m.stateFile);
+      const restore = backup
+        ? `restore the newest readable backup (cp ${backup} ${m.stateFile}) or`
+        : "no readable backup -";
+      throw new Error(
+        `${err.message} while the wallet holds ${formatTokens(tokens)} tokens - refusing to trade: ` +
+        `${restore} delete it and use /fix or /sell on the wallet's tokens`
+      );
+    }
+
+    const moved = statefile.quarantine(m.stateFile);
+    logError(`${err.message} - no tokens in the wallet, moved it to ${path.basename(moved)} and starting fresh`);
+  }
+}
+
+// Portfolio-level risk state (equity peak for the max drawdown stop)
+function readRisk() {
+  if (runtime.memory) {
+    return { ...(runtime.memory.risk || { peakEquity: null, lastTrip: null }) };
+  }
+  try {
+    if (fs.existsSync(RISK_FILE)) {
+      return JSON.parse(fs.readFileSync(RISK_FILE, "utf8"));
     }
-    const defaults = getDefaultState();
-    const saved = JSON.parse(raw);
-    // Deep merge nested objects
-    return {
-      ...defaults,
-      ...saved,
-      position: { ...defaults.position, ...saved.position },
-      trailing: { ...defaults.trailing, ...saved.trailing },
-      lastTrade: { ...defaults.lastTrade, ...saved.lastTrade },
-      cooldown: { ...defaults.cooldown, ...saved.cooldown },
-      slippage: { ...defaults.slippage, ...saved.slippage },
-      priorityFee: { ...defaults.priorityFee, ...saved.priorityFee },
-    };
   } catch (err) {
-    logError("Failed to read state:", err.message);
-    return getDefaultState();
+    logError("Failed to read risk state:", err.message);
   }
+  return { peakEquity: null, lastTrip: null };
 }
 
-function writeState(state) {
+// Read-change-write under the file lock: sibling workers write it too
+function updateRisk(change) {
+  if (runtime.memory) {
+    const risk = readRisk();
+    change(risk);
+    runtime.memory.risk = risk;
+    return;
+  }
   try {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), "utf8");
+    statefile.update(RISK_FILE, saved => {
+      const risk = saved || { peakEquity: null, lastTrip: null };
+      change(risk);
+      return risk;
+    });
   } catch (err) {
-    logError("Failed to write state:", err.message);
+    logError("Failed to write risk state:", err.message);
   }
 }
 
@@ -170,142 +509,380 @@ function writeState(state) {
 // WALLET
 // ═══════════════════════════════════════════════════════════════════════════
 
-function loadWallet() {
-  if (!fs.existsSync(WALLETS_FILE)) {
-    throw new Error("wallets.json not found");
-  }
-  const raw = fs.readFileSync(WALLETS_FILE, "utf8");
-  const data = JSON.parse(raw);
-  const wallets = data.wallets || [];
+function loadWalletEntry() {
+  const list = wallets.readWallets();
 
   // Use WALLET_INDEX env var or default to first wallet
   const index = Number(process.env.WALLET_INDEX) || 0;
-  if (!wallets[index]) {
+  if (!list[index]) {
     throw new Error(`Wallet at index ${index} not found`);
   }
 
-  const entry = wallets[index];
-  const secretKey = Uint8Array.from(entry.secretKey);
-  return Keypair.fromSecretKey(secretKey);
+  const entry = list[index];
+  const role = wallets.walletRole(entry);
+  if (role !== "trading") {
+    throw new Error(`Wallet at index ${index} has role "${role}" - only trading wallets can run the bot`);
+  }
+  return entry;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-// JUPITER API
-// ═══════════════════════════════════════════════════════════════════════════
-
-function buildQuoteUrl(inputMint, outputMint, amount, slippageBps) {
-  const base = JUP_BASE_URL.replace(/\/+$/, "");
-  const isLite = base.includes("lite-api");
-  const endpoint = isLite ? "/swap/v1/quote" : "/v6/quote";
+const PASSPHRASE_WAIT_MS = 10000;
+
+// A supervisor worker gets the passphrase over IPC, not in its environment
+function receivePassphrase() {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      process.removeListener("message", onMessage);
+      reject(new Error("No wallet passphrase from the supervisor"));
+    }, PASSPHRASE_WAIT_MS);
+    function onMessage(msg) {
+      if (!msg || msg.type !== "passphrase") return;
+      clearTimeout(timer);
+      process.removeListener("message", onMessage);
+      keystore.setPassphrase(msg.passphrase);
+      resolve();
+    }
+    process.on("message", onMessage);
+    process.send({ type: "passphrase_request" });
+  });
+}
 
-  const url = new URL(`${base}${endpoint}`);
-  url.searchParams.set("inputMint", inputMint);
-  url.searchParams.set("outputMint", outputMint);
-  url.searchParams.set("amount", amount.toString());
-  url.searchParams.set("slippageBps", String(slippageBps));
-  return url.toString();
+// Decrypts the signing key - passphrase from WALLET_PASSPHRASE, the
+// supervisor or a prompt
+async function unlockWallet() {
+  ensureInit();
+  if (!keypair) {
+    keypair = await wallets.unlockKeypair(walletEntry);
+  }
+  return keypair;
 }
 
-async function fetchQuote(inputMint, outputMint, amount, slippageBps) {
-  const url = buildQuoteUrl(inputMint, outputMint, amount, slippageBps);
-  const response = await fetch(url);
+// ═══════════════════════════════════════════════════════════════════════════
+// SIMULATION WALLET (paper trading)
+// ═══════════════════════════════════════════════════════════════════════════
 
-  if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`Quote failed: ${response.status} ${body}`);
+function readSimWallet() {
+  if (runtime.memory?.simWallet) {
+    const wallet = runtime.memory.simWallet;
+    return { ...wallet, tokens: { ...wallet.tokens } };
   }
+  try {
+    if (fs.existsSync(SIM_WALLET_FILE)) {
+      const wallet = JSON.parse(fs.readFileSync(SIM_WALLET_FILE, "utf8"));
+      wallet.tokens = wallet.tokens || {};
+      return wallet;
+    }
+  } catch (err) {
+    logError("Failed to read sim wallet:", err.message);
+  }
+  const startLamports = BigInt(Math.floor(config.simulation.startSol * 1e9));
+  const wallet = {
+    sol: startLamports.toString(),
+    tokens: {},                  // mint -> base units
+    startSol: startLamports.toString(),
+    feesPaid: "0",
+  };
+  writeSimWallet(wallet);
+  return wallet;
+}
 
-  const data = await response.json();
-  if (!data || !data.outAmount) {
-    throw new Error("Quote returned no outAmount");
+function writeSimWallet(wallet) {
+  if (runtime.memory) {
+    runtime.memory.simWallet = { ...wallet, tokens: { ...wallet.tokens } };
+    return;
+  }
+  try {
+    statefile.writeJson(SIM_WALLET_FILE, wallet);
+  } catch (err) {
+    logError("Failed to write sim wallet:", err.message);
   }
-  return data;
 }
 
-async function fetchSwapTransaction(quote, userPublicKey, priorityFeeLamports = 0) {
-  const base = JUP_BASE_URL.replace(/\/+$/, "");
-  const isLite = base.includes("lite-api");
-  const endpoint = isLite ? "/swap/v1/swap" : "/v6/swap";
-  const url = `${base}${endpoint}`;
+// Fill a swap against its quote: debit inAmount + fees, credit outAmount
+function simulateSwap(quote, priorityFeeLamports = 0) {
+  const wallet = readSimWallet();
+  const inAmount = BigInt(quote.inAmount);
+  const outAmount = BigInt(quote.outAmount);
+  const fee = BigInt(runtime.networkFeeLamports) + BigInt(priorityFeeLamports);
 
-  const body = {
-    quoteResponse: quote,
-    userPublicKey,
-    wrapAndUnwrapSol: true,
-    dynamicComputeUnitLimit: true,
-  };
+  let sol = BigInt(wallet.sol);
+  let token = BigInt(wallet.tokens[market.mint] || "0");
 
-  if (priorityFeeLamports > 0) {
-    body.prioritizationFeeLamports = priorityFeeLamports;
+  if (quote.inputMint === SOL_MINT) {
+    if (sol < inAmount + fee) {
+      throw new Error(`SIM: insufficient SOL (${formatSol(sol)} < ${formatSol(inAmount + fee)})`);
+    }
+    sol -= inAmount + fee;
+    token += outAmount;
+  } else {
+    if (token < inAmount) {
+      throw new Error(`SIM: insufficient tokens (${formatTokens(token)} < ${formatTokens(inAmount)})`);
+    }
+    if (sol < fee) {
+      throw new Error("SIM: insufficient SOL for fees");
+    }
+    token -= inAmount;
+    sol += outAmount - fee;
   }
 
-  const response = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
+  wallet.sol = sol.toString();
+  wallet.tokens[market.mint] = token.toString();
+  wallet.feesPaid = (BigInt(wallet.feesPaid || "0") + fee).toString();
+  writeSimWallet(wallet);
+
+  const signature = `SIM-${now()}`;
+  logEvent("sim_fill", `SIM fill: ${signature} in=${quote.inAmount} out=${quote.outAmount}`, {
+    signature,
+    inAmount: quote.inAmount,
+    outAmount: quote.outAmount,
   });
 
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Swap request failed: ${response.status} ${text}`);
+  const isBuy = quote.inputMint === SOL_MINT;
+  const fill = {
+    signature,
+    tokenDelta: isBuy ? outAmount : -inAmount,
+    lamportDelta: isBuy ? -(inAmount + fee) : outAmount - fee,
+    feeLamports: fee,
+    source: "simulated",
+  };
+
+  if (runtime.onFill) {
+    runtime.onFill({
+      side: quote.inputMint === SOL_MINT ? "buy" : "sell",
+      inAmount: quote.inAmount,
+      outAmount: quote.outAmount,
+      feeLamports: fee.toString(),
+      timestamp: now(),
+      signature,
+    });
   }
+  return fill;
+}
 
-  const data = await response.json();
-  if (!data || !data.swapTransaction) {
-    throw new Error("Swap response missing transaction");
+// Single entry point for trading actions - paper fills in simulation mode.
+// Resolves to the fill: { signature, tokenDelta, lamportDelta, feeLamports,
+// source, journalId }. order = { side, reason, meta } for the swap journal.
+async function submitSwap(quote, priorityFeeLamports = 0, order = {}) {
+  if (runtime.simulate) {
+    return simulateSwap(quote, priorityFeeLamports);
   }
-  return data.swapTransaction;
+  return executeSwap(quote, priorityFeeLamports, order);
 }
 
-async function executeSwap(quote, priorityFeeLamports = 0) {
-  const swapTxB64 = await fetchSwapTransaction(
+// ═══════════════════════════════════════════════════════════════════════════
+// JUPITER API
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Thin wrappers over jupiter.js - backtests swap in runtime.quoteSource
+async function fetchQuote(inputMint, outputMint, amount, slippageBps) {
+  if (runtime.quoteSource) {
+    return runtime.quoteSource(inputMint, outputMint, amount, slippageBps);
+  }
+  const started = Date.now();
+  try {
+    return await jupiter.fetchQuote(inputMint, outputMint, amount, slippageBps);
+  } catch (err) {
+    metrics.inc("mmprofit_quote_errors_total", { market: market.label });
+    throw err;
+  } finally {
+    metrics.observe("mmprofit_quote_seconds", { market: market.label }, (Date.now() - started) / 1000);
+  }
+}
+
+async function fetchSwap(quote, userPublicKey, priorityFeeLamports = 0) {
+  return jupiter.fetchSwap(
     quote,
-    keypair.publicKey.toBase58(),
-    priorityFeeLamports
+    userPublicKey,
+    priorityFeeLamports > 0 ? { prioritizationFeeLamports: priorityFeeLamports } : {}
   );
+}
+
+// Sign, journal, send and follow the swap (sender.js), then read the fill.
+// A swap whose outcome is unknown is judged by the wallet: if the balances
+// moved it landed, otherwise it is safe to retry - its intent stays open in
+// the journal, so a late landing is still picked up at the next startup.
+// When the wallet can't be read either it is thrown as SendError kind
+// "unsettled": nothing may be retried until tick() has settled it.
+async function executeSwap(quote, priorityFeeLamports = 0, order = {}) {
+  const swap = await fetchSwap(quote, walletPublicKey.toBase58(), priorityFeeLamports);
 
-  const txBuffer = Buffer.from(swapTxB64, "base64");
+  const txBuffer = Buffer.from(swap.swapTransaction, "base64");
   const tx = VersionedTransaction.deserialize(txBuffer);
+  if (!keypair) {
+    throw new Error("Wallet is locked - swaps can only be sent from the trading process");
+  }
   tx.sign([keypair]);
 
-  const signature = await connection.sendRawTransaction(tx.serialize(), {
-    skipPreflight: false,
-    maxRetries: 3,
+  const before = await getWalletBalances();
+  // Write-ahead: if the process dies from here on, startup recovery knows
+  // what may have landed
+  const journalId = journal.recordIntent({
+    mint: market.mint,
+    side: order.side || (quote.inputMint === SOL_MINT ? "buy" : "sell"),
+    reason: order.reason || null,
+    meta: jsonCopy(order.meta || {}),
+    signature: bs58.encode(tx.signatures[0]),
+    lastValidBlockHeight: swap.lastValidBlockHeight || null,
+    quote: {
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint,
+      inAmount: quote.inAmount,
+      outAmount: quote.outAmount,
+      slippageBps: quote.slippageBps,
+    },
+    priorityFeeLamports,
+    before,
   });
 
-  log(`TX sent: ${signature}`);
-
-  // Wait for confirmation
-  const confirmed = await waitForConfirmation(signature, 120000);
-  if (!confirmed) {
-    throw new Error("Transaction not confirmed within timeout");
+  let signature;
+  try {
+    signature = await sender.sendAndConfirm({
+      connection,
+      sendConnections,
+      rawTx: tx.serialize(),
+      lastValidBlockHeight: swap.lastValidBlockHeight,
+    });
+  } catch (err) {
+    if (!(err instanceof sender.SendError)) throw err;
+    if (err.kind !== "unknown") {
+      journal.markDropped(journalId, `${err.kind}: ${err.message}`);
+      throw err;
+    }
+    logEvent("tx_unknown", `TX outcome unknown: ${err.message} - checking the wallet`, {
+      signature: err.signature,
+      error: err.message,
+    }, "error");
+    let fill;
+    try {
+      fill = await getBalanceFill(quote, before, err.signature, priorityFeeLamports);
+    } catch (balanceErr) {
+      throw new sender.SendError("unsettled", `${err.message} - wallet unreadable too (${balanceErr.message})`, err.signature);
+    }
+    if (!fill) {
+      throw new sender.SendError("unknown", `${err.message} - wallet balances unchanged, treating it as not landed`, err.signature);
+    }
+    logEvent("tx_confirmed", `TX landed after all (wallet balances moved): ${err.signature || "signature unknown"}`, {
+      signature: err.signature,
+      source: "balance",
+    });
+    return { ...fill, journalId };
   }
 
-  log(`TX confirmed: ${signature}`);
-  return signature;
+  logEvent("tx_confirmed", `TX confirmed: ${signature}`, { signature, source: "chain" });
+  return { ...(await getSwapFill(signature, quote, priorityFeeLamports)), journalId };
 }
 
-async function waitForConfirmation(signature, timeoutMs) {
-  const start = Date.now();
-  while (Date.now() - start < timeoutMs) {
+// ═══════════════════════════════════════════════════════════════════════════
+// FILL PARSING (actual on-chain amounts)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Read what the confirmed transaction really did to our wallet: token and
+// lamport balance deltas (lamports include network + priority fees, since we
+// pay them). Falls back to the quote if the transaction can't be fetched.
+async function getSwapFill(signature, quote, priorityFeeLamports = 0) {
+  for (let attempt = 0; attempt < 5; attempt++) {
     try {
-      const status = await connection.getSignatureStatuses([signature]);
-      const result = status?.value?.[0];
-      if (result) {
-        if (result.err) {
-          throw new Error(`TX failed: ${JSON.stringify(result.err)}`);
-        }
-        if (result.confirmationStatus === "confirmed" ||
-            result.confirmationStatus === "finalized") {
-          return true;
-        }
+      const tx = await connection.getParsedTransaction(signature, {
+        commitment: "confirmed",
+        maxSupportedTransactionVersion: 0,
+      });
+      if (tx?.meta) {
+        return parseSwapFill(tx, signature);
       }
     } catch (err) {
-      if (err.message.includes("TX failed")) throw err;
+      logError(`Fill lookup failed (${attempt + 1}/5): ${err.message}`);
     }
-    await sleep(2000);
+    await sleep(1500);
+  }
+
+  logError(`Could not read fill for ${signature} - using quoted amounts`);
+  const isBuy = quote.inputMint === SOL_MINT;
+  const fee = BigInt(priorityFeeLamports) + 5000n;
+  return {
+    signature,
+    tokenDelta: isBuy ? BigInt(quote.outAmount) : -BigInt(quote.inAmount),
+    lamportDelta: isBuy ? -(BigInt(quote.inAmount) + fee) : BigInt(quote.outAmount) - fee,
+    feeLamports: fee,
+    source: "quote",
+  };
+}
+
+function parseSwapFill(tx, signature) {
+  const owner = walletPublicKey.toBase58();
+  const keys = tx.transaction.message.accountKeys.map(k => k.pubkey.toBase58());
+
+  const ownerIndex = keys.indexOf(owner);
+  if (ownerIndex < 0) {
+    throw new Error(`Wallet not found in transaction ${signature}`);
   }
-  return false;
+  // The rent of a token account the swap opened isn't part of its price
+  const lamportDelta =
+    BigInt(tx.meta.postBalances[ownerIndex]) - BigInt(tx.meta.preBalances[ownerIndex]) + getTokenAccountRent(tx);
+
+  return {
+    signature,
+    tokenDelta: getTokenDelta(tx),
+    lamportDelta,
+    feeLamports: BigInt(tx.meta.fee || 0),
+    source: "chain",
+  };
+}
+
+// This market's tokens the wallet gained (negative = lost) in a transaction
+function getTokenDelta(tx) {
+  const owner = walletPublicKey.toBase58();
+  const sumTokens = balances => (balances || [])
+    .filter(b => b.owner === owner && b.mint === market.mint)
+    .reduce((sum, b) => sum + BigInt(b.uiTokenAmount.amount), 0n);
+  return sumTokens(tx.meta.postTokenBalances) - sumTokens(tx.meta.preTokenBalances);
+}
+
+// Rent paid into this market's token accounts opened in a transaction (the
+// first buy creates the ATA) - the wallet gets it back when the account is
+// closed
+function getTokenAccountRent(tx) {
+  const owner = walletPublicKey.toBase58();
+  const mine = balances => (balances || []).filter(b => b.owner === owner && b.mint === market.mint);
+  const existing = new Set(mine(tx.meta.preTokenBalances).map(b => b.accountIndex));
+  return mine(tx.meta.postTokenBalances)
+    .filter(b => !existing.has(b.accountIndex))
+    .reduce((sum, b) => sum + BigInt(tx.meta.postBalances[b.accountIndex]) - BigInt(tx.meta.preBalances[b.accountIndex]), 0n);
+}
+
+// Basis points the actual output fell short of the quote (negative = better)
+function fillSlippageBps(quotedOut, actualOut) {
+  const quoted = Number(quotedOut);
+  if (!quoted) return 0;
+  return ((quoted - Number(actualOut)) / quoted) * 10000;
+}
+
+async function getWalletBalances() {
+  const tokenBalance = await getTokenBalance();
+  return {
+    sol: await getSolBalance(),
+    tokens: tokenBalance.amount,
+    rent: tokenBalance.rentLamports,
+  };
+}
+
+// For a swap whose outcome is unknown: the fill from the wallet's balance
+// deltas if the tokens moved the right way, otherwise null (didn't land).
+// Rent moved into a token account the swap opened is left out, as
+// parseSwapFill does (intents journaled before rent was snapshotted have none).
+async function getBalanceFill(quote, before, signature, priorityFeeLamports = 0) {
+  const after = await getWalletBalances();
+  const isBuy = quote.inputMint === SOL_MINT;
+  const tokenDelta = after.tokens - before.tokens;
+  if (isBuy ? tokenDelta <= 0n : tokenDelta >= 0n) return null;
+  const rentDelta = before.rent === undefined ? 0n : after.rent - before.rent;
+
+  return {
+    signature: signature || "unknown",
+    tokenDelta,
+    lamportDelta: after.sol - before.sol + rentDelta,
+    feeLamports: BigInt(priorityFeeLamports) + 5000n,
+    source: "balance",
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -313,74 +890,92 @@ async function waitForConfirmation(signature, timeoutMs) {
 // ═══════════════════════════════════════════════════════════════════════════
 
 async function getCurrentPrice() {
+  const sample = await getPriceSample();
+  return sample.price;
+}
+
+// Price probe plus the quote it came from (for the recorder)
+async function getPriceSample() {
+  if (runtime.priceSource) {
+    return { price: await runtime.priceSource(), quote: null };
+  }
+
   // Get token decimals first
   const decimals = await getTokenDecimals();
 
   // Get quote for a small amount of SOL to check price
-  const testAmount = 100_000_000n; // 0.1 SOL
+  const testAmount = BigInt(Math.floor(config.tradeGuard.priceProbeSol * 1e9)); // 0.1 SOL by default
   const quote = await fetchQuote(
     SOL_MINT,
-    TARGET_MINT,
+    market.mint,
     testAmount,
     50 // minimal slippage for price check
   );
 
   // tokens received (in base units)
   const tokensOut = BigInt(quote.outAmount);
-  if (tokensOut === 0n) return 0;
+  if (tokensOut === 0n) return { price: 0, quote };
 
   // Convert to actual token amount (accounting for decimals)
   const tokenAmount = Number(tokensOut) / Math.pow(10, decimals);
   const solAmount = Number(testAmount) / 1e9;
 
   // Price = SOL per token
-  return solAmount / tokenAmount;
+  return { price: solAmount / tokenAmount, quote };
 }
 
 async function getSolBalance() {
-  const balance = await connection.getBalance(keypair.publicKey, "confirmed");
+  if (runtime.simulate) {
+    return BigInt(readSimWallet().sol);
+  }
+  const balance = await connection.getBalance(walletPublicKey, "confirmed");
   return BigInt(balance);
 }
 
 async function getTokenBalance() {
-  try {
-    const accounts = await connection.getTokenAccountsByOwner(
-      keypair.publicKey,
-      { mint: new PublicKey(TARGET_MINT) },
-      "confirmed"
-    );
+  if (runtime.simulate) {
+    const amount = BigInt(readSimWallet().tokens[market.mint] || "0");
+    return { amount, decimals: await getTokenDecimals(), rentLamports: 0n };
+  }
 
-    if (!accounts.value.length) {
-      return { amount: 0n, decimals: 9 };
-    }
+  // RPC errors are thrown, never read as an empty wallet - a fake 0 here
+  // would look like the position was sold and wipe it
+  const accounts = await connection.getTokenAccountsByOwner(
+    walletPublicKey,
+    { mint: new PublicKey(market.mint) },
+    "confirmed"
+  );
 
-    // Sum ALL token accounts (there can be multiple for same mint)
-    let totalAmount = 0n;
-    let decimals = 9;
+  if (!accounts.value.length) {
+    return { amount: 0n, decimals: 9, rentLamports: 0n };
+  }
 
-    for (const account of accounts.value) {
-      const balanceInfo = await connection.getTokenAccountBalance(
-        account.pubkey,
-        "confirmed"
-      );
-      totalAmount += BigInt(balanceInfo.value.amount);
-      decimals = balanceInfo.value.decimals;
-    }
+  // Sum ALL token accounts (there can be multiple for same mint)
+  let totalAmount = 0n;
+  let decimals = 9;
+  let rentLamports = 0n;         // What the accounts themselves hold (their rent)
 
-    return { amount: totalAmount, decimals };
-  } catch {
-    return { amount: 0n, decimals: 9 };
+  for (const account of accounts.value) {
+    rentLamports += BigInt(account.account.lamports);
+    const balanceInfo = await connection.getTokenAccountBalance(
+      account.pubkey,
+      "confirmed"
+    );
+    totalAmount += BigInt(balanceInfo.value.amount);
+    decimals = balanceInfo.value.decimals;
   }
+
+  return { amount: totalAmount, decimals, rentLamports };
 }
 
 async function getTokenDecimals() {
-  if (tokenDecimals !== null) return tokenDecimals;
+  if (market.decimals !== null) return market.decimals;
 
   try {
-    const mint = new PublicKey(TARGET_MINT);
+    const mint = new PublicKey(market.mint);
     const info = await connection.getParsedAccountInfo(mint, "confirmed");
-    tokenDecimals = info.value?.data?.parsed?.info?.decimals || 9;
-    return tokenDecimals;
+    market.decimals = info.value?.data?.parsed?.info?.decimals || 9;
+    return market.decimals;
   } catch {
     return 9;
   }
@@ -390,145 +985,1281 @@ async function getTokenDecimals() {
 // TRADING ACTIONS
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function executeBuy(solAmount, state) {
-  const lamports = BigInt(Math.floor(solAmount * 1e9));
-  log(`BUY: ${formatSol(lamports)} SOL`);
+function recordFill(entry) {
+  if (runtime.memory) return; // Backtests keep their own trade list
+  ledger.appendEntry({
+    mint: market.mint,
+    label: market.label,
+    simulated: runtime.simulate,
+    timestamp: now(),
+    ...entry,
+  });
+}
 
-  const quote = await fetchQuote(
-    SOL_MINT,
-    TARGET_MINT,
-    lamports,
-    state.slippage.buy
-  );
+// Push an event to Telegram (picked up from the outbox by telegram.js; a
+// supervisor worker hands it to supervisor.js, which owns the shared outbox)
+function notify(event) {
+  if (runtime.memory) return;
+  try {
+    const message = {
+      market: market.label,
+      marketCount: markets.length,
+      simulated: runtime.simulate,
+      ...event,
+    };
+    if (process.send) {
+      process.send({ type: "notification", event: message });
+    } else {
+      commands.postNotification(message);
+    }
+  } catch (err) {
+    logError(`Notification failed: ${err.message}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRIORITY FEES (config.feeEstimator)
+// ═══════════════════════════════════════════════════════════════════════════
+// Every swap starts at an estimate from getRecentPrioritizationFees for the
+// pools on its route; each failed attempt adds priorityFeeStepLamports on top
+// (state.priorityFee, reset after a fill) up to priorityFeeCapLamports.
+
+const FEE_ESTIMATE_TTL_MS = 10 * 1000;      // Re-use an estimate for 10s (slices, retries)
+
+const feeEstimates = new Map();             // `${mint}:${side}` -> { lamports, at }
 
+function staticPriorityFee(side) {
+  return side === "buy" ? config.buyPriorityFeeLamports : config.sellPriorityFeeLamports;
+}
+
+// Writable accounts the swap will lock: the AMM pools on the quote's route
+function routeAccounts(quote) {
+  return (quote.routePlan || [])
+    .map(hop => hop.swapInfo && hop.swapInfo.ammKey)
+    .filter(Boolean);
+}
+
+// Lamports for the first attempt of a swap
+async function estimatePriorityFee(side, quote) {
+  const est = config.feeEstimator;
+  // Backtests have no RPC - they keep the static fees
+  if (!est.enabled || runtime.memory) return staticPriorityFee(side);
+
+  const key = `${market.mint}:${side}`;
+  const cached = feeEstimates.get(key);
+  if (cached && now() - cached.at < FEE_ESTIMATE_TTL_MS) return cached.lamports;
+
+  let lamports = est.floorLamports;
   try {
-    await executeSwap(quote, state.priorityFee.buy);
+    ensureConnection();
+    const accounts = routeAccounts(quote).slice(0, 128).map(address => new PublicKey(address));
+    const samples = await connection.getRecentPrioritizationFees({ lockedWritableAccounts: accounts });
+    const fees = samples.map(sample => sample.prioritizationFee).sort((a, b) => a - b);
+    if (fees.length) {
+      // Nearest-rank percentile, in micro-lamports per compute unit
+      const microLamports = fees[Math.max(0, Math.ceil((est.percentile / 100) * fees.length) - 1)];
+      lamports = Math.ceil((microLamports * est.computeUnits) / 1e6);
+      logEvent("priority_fee", `Priority fee: p${est.percentile} of ${fees.length} slots = ${microLamports} µlamports/CU -> ${lamports} lamports`, {
+        side,
+        lamports,
+        microLamports,
+        percentile: est.percentile,
+      });
+    }
+  } catch (err) {
+    logError(`Priority fee estimate failed: ${err.message} - using the ${est.floorLamports} lamport floor`);
+  }
+
+  lamports = Math.min(Math.max(lamports, est.floorLamports), est.capLamports);
+  feeEstimates.set(key, { lamports, at: now() });
+  return lamports;
+}
 
-    // Update position
-    const tokensReceived = BigInt(quote.outAmount);
-    const prevTokens = BigInt(state.position.tokenAmount);
-    const prevSol = BigInt(state.position.totalSolSpent);
+// Estimate (or static fee) + escalation from failed attempts
+async function getPriorityFee(side, quote, state) {
+  return withEscalation(await estimatePriorityFee(side, quote), side, state);
+}
 
-    state.position.tokenAmount = (prevTokens + tokensReceived).toString();
-    state.position.totalSolSpent = (prevSol + lamports).toString();
+// Best guess without a quote (the last estimate for this market)
+function expectedPriorityFee(side, state) {
+  const cached = feeEstimates.get(`${market.mint}:${side}`);
+  const base = config.feeEstimator.enabled && cached ? cached.lamports : staticPriorityFee(side);
+  return withEscalation(base, side, state);
+}
+
+// Escalation stops at the cap; an estimate above it is used as is
+function withEscalation(base, side, state) {
+  return Math.min(base + state.priorityFee[side], Math.max(base, config.priorityFeeCapLamports));
+}
 
-    // Calculate new average entry price (SOL per token)
-    const totalTokens = prevTokens + tokensReceived;
+// ═══════════════════════════════════════════════════════════════════════════
+// TRADE GUARD (price impact, tick deviation, liquidity - config.tradeGuard)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const GUARD_NOTIFY_INTERVAL_MS = 10 * 60 * 1000;   // One Telegram alert per market/side/check per 10 min
+const TICK_PRICE_MAX_AGE_MS = 2 * 60 * 1000;       // Older last-tick prices are re-probed
+
+const guardNotified = new Map();
+let guardRejections = 0;         // Bumped on every rejection (TWAP tells them from failures)
+
+// What a quote implies: price impact %, execution price (SOL per token) and
+// pool depth. Jupiter reports priceImpactPct as a fraction (0.01 = 1%).
+function describeQuote(side, quote, decimals) {
+  const buying = side === "buy";
+  const solAmount = Number(buying ? quote.inAmount : quote.outAmount) / 1e9;
+  const tokenAmount = Number(buying ? quote.outAmount : quote.inAmount) / Math.pow(10, decimals);
+  const impactPct = Math.abs(Number(quote.priceImpactPct || 0)) * 100;
+  return {
+    solAmount,
+    impactPct,
+    quotePrice: tokenAmount > 0 ? solAmount / tokenAmount : 0,
+    // Constant-product pool: impact ~ size / depth
+    depthSol: impactPct > 0 ? (solAmount * 100) / impactPct : Infinity,
+  };
+}
+
+// Last tick price, or a fresh probe when the market hasn't ticked lately
+async function getReferencePrice(state) {
+  if (state.lastPrice > 0 && state.lastPriceAt && now() - state.lastPriceAt <= TICK_PRICE_MAX_AGE_MS) {
+    return state.lastPrice;
+  }
+  return getCurrentPrice();
+}
+
+// null when the quote may be sent, otherwise { check, ...numbers }
+async function checkQuote(side, quote, state) {
+  const guard = config.tradeGuard;
+  const q = describeQuote(side, quote, await getTokenDecimals());
+
+  if (guard.minLiquiditySol > 0 && q.depthSol < guard.minLiquiditySol) {
+    return { check: "liquidity", ...q, limit: guard.minLiquiditySol };
+  }
+  if (guard.maxPriceImpactPct > 0 && q.impactPct > guard.maxPriceImpactPct) {
+    return { check: "impact", ...q, limit: guard.maxPriceImpactPct };
+  }
+  if (guard.maxTickDeviationPct > 0 && q.quotePrice > 0) {
+    const tickPrice = await getReferencePrice(state);
+    const deviationPct = tickPrice > 0 ? ((q.quotePrice - tickPrice) / tickPrice) * 100 : 0;
+    if (Math.abs(deviationPct) > guard.maxTickDeviationPct) {
+      return { check: "deviation", ...q, tickPrice, deviationPct, limit: guard.maxTickDeviationPct };
+    }
+  }
+  return null;
+}
+
+// Stop-outs and /sell are the exits that protect the wallet - when liquidity
+// is being pulled the guard would block them on every tick, so it still
+// splits them but never rejects them
+function guardExempt(side, reason) {
+  return side === "sell" && (STOP_REASONS.includes(reason) || reason === "manual");
+}
+
+// Quote the whole order; an impact-only failure may be split into slices.
+// Returns { quote, slices } (quote = reusable when not split) or null.
+async function planSwap(side, amount, state, reason) {
+  const [inputMint, outputMint] = side === "buy" ? [SOL_MINT, market.mint] : [market.mint, SOL_MINT];
+  const quote = await fetchQuote(inputMint, outputMint, amount, state.slippage[side]);
+  const rejection = await checkQuote(side, quote, state);
+  if (!rejection) return { quote, slices: [amount] };
+
+  const guard = config.tradeGuard;
+  const exempt = guardExempt(side, reason);
+  if (rejection.check === "impact" && guard.splitOrders) {
+    const needed = Math.ceil(rejection.impactPct / guard.maxPriceImpactPct);
+    if (needed <= guard.maxSlices || exempt) {
+      const count = Math.min(needed, guard.maxSlices);
+      logEvent("guard_split", `GUARD: ${side.toUpperCase()} impact ${rejection.impactPct.toFixed(2)}% > ${guard.maxPriceImpactPct}% - splitting into ${count} slices`, {
+        side,
+        check: rejection.check,
+        impactPct: rejection.impactPct,
+        slices: count,
+      });
+      const slices = [];
+      const n = BigInt(count);
+      for (let i = 0n; i < n; i++) {
+        slices.push(amount / n + (i === n - 1n ? amount % n : 0n));
+      }
+      return { quote: null, slices };
+    }
+    rejection.slicesNeeded = needed;
+  }
+
+  if (exempt) {
+    overrideGuard(side, rejection, reason);
+    return { quote, slices: [amount] };
+  }
+  rejectSwap(side, rejection, reason);
+  return null;
+}
+
+function describeRejection(r) {
+  if (r.check === "liquidity") {
+    return `pool depth ~${r.depthSol.toFixed(2)} SOL < ${r.limit} SOL (impact ${r.impactPct.toFixed(2)}% on ${r.solAmount.toFixed(4)} SOL)`;
+  }
+  if (r.check === "impact") {
+    const detail = `price impact ${r.impactPct.toFixed(2)}% > ${r.limit}% on ${r.solAmount.toFixed(4)} SOL`;
+    return r.slicesNeeded ? `${detail} (needs ${r.slicesNeeded} slices, max ${config.tradeGuard.maxSlices})` : detail;
+  }
+  return `quote price ${r.quotePrice.toPrecision(6)} is ${r.deviationPct >= 0 ? "+" : ""}${r.deviationPct.toFixed(2)}% from tick price ${r.tickPrice.toPrecision(6)} (limit ${r.limit}%)`;
+}
+
+// A protective exit the guard would have rejected - sent anyway, logged
+function overrideGuard(side, r, reason) {
+  logEvent("guard_override", `GUARD: ${side.toUpperCase()} (${reason}) sent despite ${describeRejection(r)}`, {
+    side,
+    reason,
+    check: r.check,
+    impactPct: r.impactPct,
+  }, "warn");
+}
+
+function rejectSwap(side, rejection, reason) {
+  const r = rejection;
+  guardRejections++;
+  metrics.inc("mmprofit_guard_rejections_total", { market: market.label, side, check: r.check });
+  logEvent("guard_reject", `GUARD: ${side.toUpperCase()} rejected${reason ? ` (${reason})` : ""} - ${describeRejection(r)}`, {
+    side,
+    reason: reason || null,
+    check: r.check,
+    impactPct: r.impactPct,
+  }, "warn");
+
+  // A strategy retries every tick - only alert once in a while per check
+  const key = `${market.mint}:${side}:${r.check}`;
+  if (now() - (guardNotified.get(key) || 0) < GUARD_NOTIFY_INTERVAL_MS) return;
+  guardNotified.set(key, now());
+  notify({
+    type: "guard_reject",
+    side,
+    reason: reason || null,
+    check: r.check,
+    solAmount: r.solAmount,
+    impactPct: r.impactPct,
+    depthSol: Number.isFinite(r.depthSol) ? r.depthSol : null,
+    quotePrice: r.quotePrice,
+    tickPrice: r.tickPrice ?? null,
+    deviationPct: r.deviationPct ?? null,
+    limit: r.limit,
+    slicesNeeded: r.slicesNeeded || null,
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ORDERS (the order API strategies trade through - see strategies/index.js)
+// ═══════════════════════════════════════════════════════════════════════════
+// Every order passes the trade guard, then goes out as one swap (or a few
+// equal slices) with the slippage / priority-fee escalation, a ledger entry
+// per swap, and the position + state file updated before the strategy's
+// onFill sees it. null means nothing filled (a failed swap escalates the next
+// attempt); a split order that stops part-way returns what did fill.
+
+const MIN_ORDER_LAMPORTS = 1_000_000n;      // 0.001 SOL
+
+// side "buy": amount = lamports in; "sell": amount = tokens in.
+// entry.type "sell" marks the order that closes the position (last slice);
+// entry.orderId ties a TWAP child to the earlier ones (the ledger's orderId
+// is the order's first signature); meta is the order's, kept in the swap
+// journal for crash recovery.
+async function placeSwap(side, amount, state, entry = {}, meta = {}) {
+  const buying = side === "buy";
+  if (state.pendingUnknown) {
+    log(`${side.toUpperCase()} held: swap ${state.pendingUnknown.signature || "(no signature)"} is not settled yet`);
+    return null;
+  }
+  let plan;
+  try {
+    plan = await planSwap(side, amount, state, entry.reason);
+  } catch (err) {
+    swapFailed(side, state, err);
+    return null;
+  }
+  if (!plan) return null;
+
+  const [inputMint, outputMint] = buying ? [SOL_MINT, market.mint] : [market.mint, SOL_MINT];
+  const opening = BigInt(state.position.tokenAmount) === 0n;
+  const total = {
+    signature: null,
+    orderId: null,
+    amountIn: 0n,
+    tokens: 0n,
+    lamports: 0n,
+    feeLamports: 0n,
+    priorityFeeLamports: 0n,
+    quotedOut: 0n,
+    slices: 0,
+    journalIds: [],
+  };
+  let costBooked = 0n;
+  let orderId = entry.orderId || null;
+
+  for (let i = 0; i < plan.slices.length; i++) {
+    const slice = plan.slices[i];
+    const last = i === plan.slices.length - 1;
+    const slippageBps = state.slippage[side];
+
+    try {
+      let quote = plan.quote;
+      if (!quote) {
+        quote = await fetchQuote(inputMint, outputMint, slice, slippageBps);
+        const rejection = await checkQuote(side, quote, state);
+        if (rejection && guardExempt(side, entry.reason)) {
+          overrideGuard(side, rejection, entry.reason);
+        } else if (rejection) {
+          rejectSwap(side, rejection, entry.reason);
+          break;
+        }
+      }
+      const priorityFeeLamports = await getPriorityFee(side, quote, state);
+      const fill = await submitSwap(quote, priorityFeeLamports, { side, reason: entry.reason, meta });
+      const tokens = buying ? fill.tokenDelta : -fill.tokenDelta;
+      const lamports = buying ? -fill.lamportDelta : fill.lamportDelta;
+      orderId = orderId || fill.signature;
+
+      if (buying && opening && i === 0) {
+        state.cycleId = (state.cycleId || 0) + 1;
+      }
+      // A split sell carries its share of the caller's cost basis
+      const ledgerEntry = { ...entry };
+      if (entry.costLamports !== undefined && plan.slices.length > 1) {
+        const cost = BigInt(entry.costLamports);
+        ledgerEntry.costLamports = last ? cost - costBooked : (cost * slice) / amount;
+        costBooked += ledgerEntry.costLamports;
+      }
+      recordSwap(side, state, quote, fill, {
+        slippageBps,
+        priorityFeeLamports,
+        ...ledgerEntry,
+        orderId,
+        type: buying ? "buy" : (entry.type === "sell" && last ? "sell" : "partial"),
+      });
+
+      metrics.inc("mmprofit_swaps_total", { market: market.label, side, outcome: "success" });
+
+      total.signature = fill.signature;
+      total.orderId = orderId;
+      total.amountIn += slice;
+      total.tokens += tokens;
+      total.lamports += lamports;
+      total.feeLamports += fill.feeLamports;
+      total.priorityFeeLamports += BigInt(priorityFeeLamports);
+      total.quotedOut += BigInt(quote.outAmount);
+      total.slices++;
+      if (fill.journalId) total.journalIds.push(fill.journalId);
+
+      state.slippage[side] = buying ? config.buySlippageBps : config.sellSlippageBps;
+      state.priorityFee[side] = 0;
+    } catch (err) {
+      if (err instanceof sender.SendError && err.kind === "unsettled") {
+        holdOrders(side, state, err);
+      } else {
+        swapFailed(side, state, err);
+      }
+      break;
+    }
+  }
+
+  if (!total.slices) return null;
+  total.complete = total.slices === plan.slices.length;
+  if (!total.complete) {
+    log(`${side.toUpperCase()} split stopped after ${total.slices}/${plan.slices.length} slices`);
+  }
+  return total;
+}
+
+// Ledger entry for one swap: what landed next to what was quoted
+function recordSwap(side, state, quote, fill, fields) {
+  const buying = side === "buy";
+  const tokens = buying ? fill.tokenDelta : -fill.tokenDelta;
+  const lamports = buying ? -fill.lamportDelta : fill.lamportDelta;
+  recordFill({
+    cycleId: state.cycleId,
+    stepIndex: state.stepIndex,
+    signature: fill.signature,
+    fillSource: fill.source,
+    ...(buying
+      ? { lamportsOut: lamports, tokensIn: tokens, actualOut: tokens }
+      : { lamportsIn: lamports, tokensOut: tokens, actualOut: lamports + fill.feeLamports }),
+    quotedIn: quote.inAmount,
+    quotedOut: quote.outAmount,
+    actualSlippageBps: fillSlippageBps(quote.outAmount, buying ? tokens : lamports + fill.feeLamports),
+    feeLamports: fill.feeLamports,
+    ...fields,
+  });
+}
+
+// May or may not have landed and the wallet can't say - another order now
+// could buy twice. Every order waits until tick() settles it from the journal.
+function holdOrders(side, state, err) {
+  logEvent("tx_unknown", `${side.toUpperCase()} UNSETTLED: ${err.message} - holding orders until the wallet can be read`, {
+    side,
+    signature: err.signature,
+    error: err.message,
+  }, "error");
+  state.pendingUnknown = { side, signature: err.signature || null, since: now() };
+  writeState(state);
+}
+
+// Escalate slippage and the priority fee for the next try
+function swapFailed(side, state, err) {
+  metrics.inc("mmprofit_swaps_total", { market: market.label, side, outcome: "failure" });
+  logEvent("swap_failed", `${side.toUpperCase()} FAILED: ${err.message}`, { side, error: err.message }, "error");
+  state.slippage[side] = Math.min(state.slippage[side] + config.slippageStepBps, config.slippageCapBps);
+  state.priorityFee[side] = Math.min(
+    state.priorityFee[side] + config.priorityFeeStepLamports,
+    config.priorityFeeCapLamports
+  );
+  writeState(state);
+}
+
+// The ledger only gets the fields it knows; the rest stays on fill.meta
+function ledgerFields(meta) {
+  const entry = {};
+  if (meta.reason) entry.reason = meta.reason;
+  if (meta.costLamports !== undefined) entry.costLamports = meta.costLamports;
+  return entry;
+}
+
+async function orderBuy(state, solAmount, meta = {}) {
+  const lamports = BigInt(Math.floor(solAmount * 1e9));
+  if (lamports < MIN_ORDER_LAMPORTS) {
+    logError(`BUY skipped: ${formatSol(lamports)} SOL is below the 0.001 SOL minimum`);
+    return null;
+  }
+  if (state.twap) {
+    logError(`BUY skipped: a sliced ${state.twap.side} is still working`);
+    return null;
+  }
+  if (await shouldSlice("buy", lamports, state, meta.reason)) {
+    return startTwap(state, "buy", lamports, meta);
+  }
+
+  logEvent("order", `BUY: ${formatSol(lamports)} SOL`, { side: "buy", lamports, reason: meta.reason || null, phase: state.phase });
+  const fill = await placeSwap("buy", lamports, state, ledgerFields(meta), meta);
+  if (!fill) return null;
+
+  await bookBuy(state, fill);
+  return finishOrder(state, { side: "buy", ...fill, reason: meta.reason || null, closed: false, profitPct: null, meta });
+}
+
+// Sells more than the wallet holds are cut to the balance; selling the whole
+// position closes the cycle (and a stop reason starts the lockout)
+async function orderSell(state, tokenAmount, meta = {}) {
+  const reason = meta.reason || "strategy";
+  await cancelTwap(state, reason);
+  const balance = (await getTokenBalance()).amount;
+  let amount = BigInt(tokenAmount);
+  if (amount > balance) amount = balance;
+  if (amount <= 0n) {
+    logError(`SELL skipped: no tokens to sell (${reason})`);
+    return null;
+  }
+
+  const held = BigInt(state.position.tokenAmount);
+  logEvent("order", `SELL: ${formatTokens(amount)} tokens (${reason})`, { side: "sell", tokens: amount, reason, phase: state.phase });
+
+  const fill = await placeSwap("sell", amount, state, {
+    ...ledgerFields(meta),
+    reason,
+    type: amount >= held ? "sell" : "partial",
+  }, meta);
+  if (!fill) return null;
+
+  // A split sell the guard stopped part-way leaves the position open
+  const closing = amount >= held && fill.complete;
+  const profitPct = bookSell(state, fill, closing, reason);
+  return finishOrder(state, { side: "sell", ...fill, reason, closed: closing, profitPct, meta });
+}
+
+// Position update for a buy, from what actually landed (not the quote)
+async function bookBuy(state, fill) {
+  const prevTokens = BigInt(state.position.tokenAmount);
+  const prevSol = BigInt(state.position.totalSolSpent);
+  const totalTokens = prevTokens + fill.tokens;
+  if (prevTokens === 0n) {
+    state.position.openedAt = now();
+  }
+  state.position.tokenAmount = totalTokens.toString();
+  state.position.totalSolSpent = (prevSol + fill.lamports).toString();
+  bookJournal(state, fill);
+
+  // Calculate new average entry price (SOL per token)
+  const decimals = await getTokenDecimals();
+  if (totalTokens > 0n) {
+    const totalSolSpent = Number(prevSol + fill.lamports) / 1e9; // Convert lamports to SOL
+    const totalTokenAmount = Number(totalTokens) / Math.pow(10, decimals); // Convert base units to tokens
+    state.position.avgEntryPrice = totalSolSpent / totalTokenAmount;
+  }
+  logEvent("fill", `BUY SUCCESS: Got ${formatTokens(fill.tokens)} tokens for ${formatSol(fill.lamports)} SOL incl. fees (quoted ${formatTokens(fill.quotedOut)})`, {
+    ...fillFields("buy", fill),
+    avgEntryPrice: state.position.avgEntryPrice,
+  });
+}
+
+// Position update for a sell; returns the cycle profit % when it closes
+function bookSell(state, fill, closing, reason) {
+  bookJournal(state, fill);
+  if (closing) {
+    const profitPct = closePosition(state, fill.lamports, reason);
+    logEvent("fill", `SELL SUCCESS: Got ${formatSol(fill.lamports)} SOL (${profitPct >= 0 ? "+" : ""}${profitPct.toFixed(2)}%)`, {
+      ...fillFields("sell", fill),
+      reason,
+      closed: true,
+      profitPct,
+    });
+    return profitPct;
+  }
+  // Reduce tokens, but keep SOL spent for the cycle P&L
+  const held = BigInt(state.position.tokenAmount);
+  state.position.tokenAmount = (held > fill.tokens ? held - fill.tokens : 0n).toString();
+  state.position.solRecovered = (BigInt(state.position.solRecovered || "0") + fill.lamports).toString();
+  logEvent("fill", `SELL SUCCESS: Got ${formatSol(fill.lamports)} SOL for ${formatTokens(fill.tokens)} tokens`, {
+    ...fillFields("sell", fill),
+    reason,
+    closed: false,
+  });
+  return null;
+}
+
+function fillFields(side, fill) {
+  return {
+    side,
+    tokens: fill.tokens,
+    lamports: fill.lamports,
+    feeLamports: fill.feeLamports,
+    priorityFeeLamports: fill.priorityFeeLamports,
+    signature: fill.signature,
+    slices: fill.slices,
+  };
+}
+
+// The swaps in this fill go out with the next state write, which then
+// marks them applied in the journal
+function bookJournal(state, fill) {
+  if (fill.journalIds && fill.journalIds.length) {
+    state.bookedSwaps = [...state.bookedSwaps, ...fill.journalIds];
+  }
+}
+
+// Hand the order's fill to the strategy, then the lockout for a stop-out
+async function finishOrder(state, result) {
+  await strategy.onFill(state, result, getStrategyContext(state));
+
+  if (result.closed && STOP_REASONS.includes(result.reason)) {
+    enterLockout(state, result.reason);
+    notify({
+      type: "stop_out",
+      reason: result.reason,
+      profitPct: result.profitPct,
+      solReceived: result.lamports.toString(),
+      lockoutUntil: state.lockoutUntil,
+    });
+  }
+
+  writeState(state);
+  return result;
+}
+
+// Full exit: profit over the whole cycle, including earlier partial exits
+function closePosition(state, solReceived, reason) {
+  const solSpent = BigInt(state.position.totalSolSpent);
+  const solRecovered = BigInt(state.position.solRecovered || "0");
+  const profitLamports = solReceived + solRecovered - solSpent;
+  const profitPct = solSpent > 0n
+    ? (Number(profitLamports) / Number(solSpent)) * 100
+    : 0;
+
+  state.lastTrade = {
+    profitPct,
+    timestamp: now(),
+    reason,
+  };
+  state.position = getCoreDefaults().position;
+  state.stepIndex = 0;
+  state.phase = "watching";
+  return profitPct;
+}
+
+// Sell everything the wallet actually holds for this market
+async function sellEntirePosition(state, reason) {
+  // A full exit that is already being sliced keeps going, unless this one
+  // has to go out at once (a stop with sliceStops off cancels it below)
+  if (state.twap && state.twap.side === "sell" && sliceable(reason)) return null;
+  await cancelTwap(state, reason);
+
+  // Verify actual wallet balance before selling (prevents race condition)
+  const actualBalance = await getTokenBalance();
+  const actualTokens = actualBalance.amount;
+  const stateTokens = BigInt(state.position.tokenAmount);
+
+  if (actualTokens === 0n && stateTokens > 0n) {
+    // State is out of sync - tokens already sold
+    logEvent("position_synced", `WARNING: State shows ${stateTokens} tokens but wallet has 0 - syncing state`, {
+      tokens: stateTokens,
+      reason,
+    }, "warn");
+    state.position = getCoreDefaults().position;
+    state.stepIndex = 0;
+    state.phase = "watching";
+    await strategy.onFill(state, {
+      side: "sell",
+      tokens: 0n,
+      lamports: 0n,
+      feeLamports: 0n,
+      priorityFeeLamports: 0n,
+      signature: null,
+      reason,
+      closed: true,
+      profitPct: null,
+      synced: true,
+      meta: {},
+    }, getStrategyContext(state));
+    if (STOP_REASONS.includes(reason)) {
+      enterLockout(state, reason);
+    }
+    writeState(state);
+    return null;
+  }
+
+  // Sell all remaining tokens
+  const tokenAmount = actualTokens > 0n ? actualTokens : stateTokens;
+  if (tokenAmount > 0n) {
+    if (await shouldSlice("sell", tokenAmount, state, reason)) {
+      return startTwap(state, "sell", tokenAmount, { reason });
+    }
+    return orderSell(state, tokenAmount, { reason });
+  }
+  return null;
+}
+
+// What a strategy gets: the order API bound to this state + market helpers
+function getStrategyContext(state) {
+  return {
+    market,
+    now,
+    log: (...args) => logEvent("strategy", args.join(" "), { phase: state.phase }),
+    logError,
+    formatSol,
+    formatTokens,
+    save: () => writeState(state),
+    getPrice: getCurrentPrice,
+    getSolBalance,
+    getTokenDecimals,
+    getTokenBalance: async () => (await getTokenBalance()).amount,
+    getAllocationLamports,
+    getProfitPct: price => calculateProfitPct(state, price),
+    quoteSell: async tokenAmount =>
+      BigInt((await fetchQuote(market.mint, SOL_MINT, tokenAmount, state.slippage.sell)).outAmount),
+    estimateSellFeeLamports: () =>
+      BigInt(runtime.simulate ? runtime.networkFeeLamports : 5000) + BigInt(expectedPriorityFee("sell", state)),
+    buy: (solAmount, meta) => orderBuy(state, solAmount, meta),
+    sell: (tokenAmount, meta) => orderSell(state, tokenAmount, meta),
+    sellPercent: (pct, meta) => orderSell(
+      state,
+      (BigInt(state.position.tokenAmount) * BigInt(Math.round(pct * 100))) / 10000n,
+      meta
+    ),
+    sellAll: reason => sellEntirePosition(state, reason || "strategy"),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TWAP (sliced buys and full exits - config.twap)
+// ═══════════════════════════════════════════════════════════════════════════
+// A sliced order lives in state.twap: one child swap now, the rest on later
+// ticks once nextAt comes round. Each child goes through placeSwap (guard +
+// escalation) and books the position as it lands, so a restart picks up
+// from the state file. The strategy's onPrice waits until the order is done
+// and its onFill sees the whole order once, with the totals.
+
+function sliceable(reason) {
+  const twap = config.twap;
+  if (!twap.enabled || twap.slices < 2 || reason === "manual") return false;
+  return twap.sliceStops || !STOP_REASONS.includes(reason);
+}
+
+// Buys by SOL in; sells by their value at the last tick price
+async function shouldSlice(side, amount, state, reason) {
+  if (!sliceable(reason)) return false;
+  let sol = Number(amount) / 1e9;
+  if (side === "sell") {
     const decimals = await getTokenDecimals();
-    if (totalTokens > 0n) {
-      const totalSolSpent = Number(prevSol + lamports) / 1e9; // Convert lamports to SOL
-      const totalTokenAmount = Number(totalTokens) / Math.pow(10, decimals); // Convert base units to tokens
-      state.position.avgEntryPrice = totalSolSpent / totalTokenAmount;
+    sol = (Number(amount) / Math.pow(10, decimals)) * (state.lastPrice || 0);
+  }
+  return sol >= config.twap.minOrderSol;
+}
+
+// Resolves like an order: the first child's fill with pending: true, the
+// whole order if that child finished it, or null if it failed
+async function startTwap(state, side, amount, meta) {
+  const twap = config.twap;
+  state.twap = {
+    side,
+    reason: meta.reason || (side === "sell" ? "strategy" : null),
+    meta: jsonCopy(meta),        // Kept in the state file
+    orderId: null,               // Ledger orderId - the first child's signature
+    amount: amount.toString(),
+    remaining: amount.toString(),
+    slices: twap.slices,
+    slicesLeft: twap.slices,
+    children: 0,
+    intervalMs: Math.floor((twap.windowMinutes * 60 * 1000) / twap.slices),
+    startedAt: now(),
+    nextAt: now(),
+    filled: {
+      signature: null,
+      swaps: 0,
+      tokens: "0",
+      lamports: "0",
+      feeLamports: "0",
+      priorityFeeLamports: "0",
+      quotedOut: "0",
+    },
+  };
+  const size = side === "buy" ? `${formatSol(amount)} SOL` : `${formatTokens(amount)} tokens (${state.twap.reason})`;
+  logEvent("twap_start", `TWAP ${side.toUpperCase()}: ${size} in up to ${twap.slices} slices over ${twap.windowMinutes}m`, {
+    side,
+    amount,
+    reason: state.twap.reason,
+    slices: twap.slices,
+  });
+  writeState(state);
+
+  const result = await runTwapChild(state);
+  if (!result && state.twap && state.twap.children === 0) {
+    // Nothing went out - same as a failed order, the strategy tries again
+    state.twap = null;
+    writeState(state);
+  }
+  return result;
+}
+
+async function continueTwap(state) {
+  if (now() < state.twap.nextAt) return;
+  await runTwapChild(state);
+}
+
+async function runTwapChild(state) {
+  const order = state.twap;
+  const buying = order.side === "buy";
+  let remaining = BigInt(order.remaining);
+
+  if (!buying) {
+    // Never sell more than the wallet holds
+    const balance = (await getTokenBalance()).amount;
+    if (balance <= 0n) {
+      await cancelTwap(state, "no tokens left in the wallet");
+      return null;
+    }
+    if (remaining > balance) remaining = balance;
+  }
+
+  let amount = order.slicesLeft > 1 ? remaining / BigInt(order.slicesLeft) : remaining;
+  if (amount < remaining && config.twap.impactBudgetPct > 0) {
+    // Impact budget met: no point waiting, send the rest now
+    try {
+      const [inputMint, outputMint] = buying ? [SOL_MINT, market.mint] : [market.mint, SOL_MINT];
+      const quote = await fetchQuote(inputMint, outputMint, remaining, state.slippage[order.side]);
+      const { impactPct } = describeQuote(order.side, quote, await getTokenDecimals());
+      if (impactPct <= config.twap.impactBudgetPct) {
+        log(`TWAP: rest quotes ${impactPct.toFixed(2)}% impact (budget ${config.twap.impactBudgetPct}%) - sending it in one go`);
+        amount = remaining;
+      }
+    } catch (err) {
+      logError(`TWAP impact check failed: ${err.message}`);
     }
+  }
+
+  const held = BigInt(state.position.tokenAmount);
+  const what = buying ? `${formatSol(amount)} SOL` : `${formatTokens(amount)} tokens`;
+  logEvent("twap_slice", `TWAP ${order.side.toUpperCase()} slice ${order.children + 1}/${order.slices}: ${what}`, {
+    side: order.side,
+    amount,
+    slice: order.children + 1,
+    slices: order.slices,
+  });
+  const rejectionsBefore = guardRejections;
+  const fill = await placeSwap(order.side, amount, state, {
+    ...ledgerFields(order.meta),
+    orderId: order.orderId,
+    ...(buying ? {} : { reason: order.reason, type: amount >= held ? "sell" : "partial" }),
+  }, order.meta);
+  if (!fill) {
+    // A guard rejection won't clear by retrying every tick (and onPrice waits
+    // on the order): stop here, the strategy gets what did fill
+    if (guardRejections !== rejectionsBefore && state.twap) {
+      await cancelTwap(state, "the trade guard rejected the next slice");
+    }
+    // A failed child has escalated slippage / fees - it retries next tick
+    return null;
+  }
+
+  let closing = false;
+  let profitPct = null;
+  if (buying) {
+    await bookBuy(state, fill);
+  } else {
+    closing = amount >= held && fill.complete;
+    profitPct = bookSell(state, fill, closing, order.reason);
+  }
 
-    // Reset slippage on success
-    state.slippage.buy = config.buySlippageBps;
-    state.priorityFee.buy = config.buyPriorityFeeLamports;
+  addTwapChild(order, fill, remaining);
 
+  if (BigInt(order.remaining) > 0n && !closing) {
     writeState(state);
-    log(`BUY SUCCESS: Got ${formatTokens(tokensReceived)} tokens`);
-    return true;
+    return { side: order.side, ...fill, reason: order.reason, closed: false, profitPct: null, meta: order.meta, pending: true };
+  }
 
-  } catch (err) {
-    logError(`BUY FAILED: ${err.message}`);
+  return finishTwap(state, closing, profitPct);
+}
 
-    // Escalate slippage for next try
-    state.slippage.buy = Math.min(
-      state.slippage.buy + config.slippageStepBps,
-      config.slippageCapBps
-    );
+// Add a child's fill to the order's totals (remaining = what was left before it)
+function addTwapChild(order, fill, remaining) {
+  const filled = order.filled;
+  order.orderId = order.orderId || fill.orderId;
+  filled.signature = fill.signature;
+  filled.swaps += fill.slices;
+  filled.tokens = (BigInt(filled.tokens) + fill.tokens).toString();
+  filled.lamports = (BigInt(filled.lamports) + fill.lamports).toString();
+  filled.feeLamports = (BigInt(filled.feeLamports) + fill.feeLamports).toString();
+  filled.priorityFeeLamports = (BigInt(filled.priorityFeeLamports || "0") + fill.priorityFeeLamports).toString();
+  filled.quotedOut = (BigInt(filled.quotedOut) + fill.quotedOut).toString();
+  order.children++;
+  order.slicesLeft = Math.max(order.slicesLeft - 1, 1);
+  order.remaining = (remaining > fill.amountIn ? remaining - fill.amountIn : 0n).toString();
+  order.nextAt = now() + order.intervalMs;
+}
+
+function finishTwap(state, closing, profitPct) {
+  const order = state.twap;
+  const filled = order.filled;
+  logEvent("twap_done", `TWAP ${order.side.toUpperCase()} done: ${order.children} slices, ${formatTokens(BigInt(filled.tokens))} tokens for ${formatSol(BigInt(filled.lamports))} SOL`, {
+    side: order.side,
+    slices: order.children,
+    tokens: filled.tokens,
+    lamports: filled.lamports,
+  });
+  return finishOrder(state, takeTwapResult(state, closing, profitPct));
+}
+
+// Clears state.twap and returns everything it filled as one order
+function takeTwapResult(state, closed, profitPct) {
+  const order = state.twap;
+  const filled = order.filled;
+  state.twap = null;
+  return {
+    side: order.side,
+    signature: filled.signature,
+    amountIn: BigInt(order.amount) - BigInt(order.remaining),
+    tokens: BigInt(filled.tokens),
+    lamports: BigInt(filled.lamports),
+    feeLamports: BigInt(filled.feeLamports),
+    priorityFeeLamports: BigInt(filled.priorityFeeLamports || "0"),
+    quotedOut: BigInt(filled.quotedOut),
+    slices: filled.swaps,
+    complete: BigInt(order.remaining) <= 0n,
+    reason: order.reason,
+    closed,
+    profitPct,
+    meta: order.meta,
+  };
+}
+
+// Stop a sliced order part-way; the strategy still gets what did fill
+async function cancelTwap(state, why) {
+  const order = state.twap;
+  if (!order) return;
+  logEvent("twap_cancel", `TWAP ${order.side.toUpperCase()} cancelled after ${order.children}/${order.slices} slices (${why})`, {
+    side: order.side,
+    slices: order.children,
+    why,
+  });
+  if (order.children === 0) {
+    state.twap = null;
     writeState(state);
-    return false;
+    return;
   }
+  await finishOrder(state, takeTwapResult(state, false, null));
 }
 
-async function executeSell(tokenAmount, state) {
-  log(`SELL: ${formatTokens(tokenAmount)} tokens`);
+// ═══════════════════════════════════════════════════════════════════════════
+// CRASH RECOVERY (swap journal - journal.js)
+// ═══════════════════════════════════════════════════════════════════════════
+// Every live swap is journaled before it is sent. An intent still open at
+// startup was in flight when the process died (or its outcome was never
+// known): either its fill is already in the state file (state.bookedSwaps,
+// settled by the next write) or it is decided here from the chain - the
+// signature's status, once the blockhash can no longer land, and the wallet
+// balances when the status can't tell.
 
-  const quote = await fetchQuote(
-    TARGET_MINT,
-    SOL_MINT,
-    tokenAmount,
-    state.slippage.sell
+async function recoverSwaps() {
+  const intents = journal.pendingIntents(market.mint);
+  if (!intents.length) return;
+
+  const state = readState();
+  for (const intent of intents) {
+    if (state.bookedSwaps.includes(intent.id)) continue;
+
+    logEvent("recovery", `Recovering ${intent.side.toUpperCase()} ${intent.signature} from the swap journal`, {
+      side: intent.side,
+      signature: intent.signature,
+      outcome: "pending",
+    });
+    const outcome = await resolveIntent(intent);
+    if (outcome.fill) {
+      await applyRecoveredFill(state, intent, outcome.fill);
+    } else {
+      journal.markDropped(intent.id, outcome.why);
+      logEvent("recovery", `Recovered ${intent.signature}: never landed (${outcome.why})`, {
+        side: intent.side,
+        signature: intent.signature,
+        outcome: "dropped",
+        why: outcome.why,
+      });
+    }
+  }
+  writeState(state);
+}
+
+// { fill } when the swap landed, { why } when it can't have
+async function resolveIntent(intent) {
+  let status = await getSignatureStatus(intent.signature);
+  const settled = status && (status.err || ["confirmed", "finalized"].includes(status.confirmationStatus));
+  if (!settled && intent.lastValidBlockHeight) {
+    await waitForBlockhashExpiry(intent.lastValidBlockHeight);
+    status = await getSignatureStatus(intent.signature);
+  }
+
+  if (status && status.err) {
+    return { why: `landed with an error: ${JSON.stringify(status.err)}` };
+  }
+  if (status && ["confirmed", "finalized"].includes(status.confirmationStatus)) {
+    return { fill: await getSwapFill(intent.signature, intent.quote, intent.priorityFeeLamports) };
+  }
+  if (!status && intent.lastValidBlockHeight) {
+    return { why: "blockhash expired" };
+  }
+
+  // Only processed, or no blockhash to wait out - the wallet decides
+  const before = {
+    sol: BigInt(intent.before.sol),
+    tokens: BigInt(intent.before.tokens),
+    rent: intent.before.rent === undefined ? undefined : BigInt(intent.before.rent),
+  };
+  const fill = await getBalanceFill(intent.quote, before, intent.signature, intent.priorityFeeLamports);
+  return fill ? { fill } : { why: "wallet balances unchanged" };
+}
+
+async function getSignatureStatus(signature) {
+  const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+  return (value && value[0]) || null;
+}
+
+async function waitForBlockhashExpiry(lastValidBlockHeight) {
+  let waiting = false;
+  while ((await connection.getBlockHeight("confirmed")) <= lastValidBlockHeight) {
+    if (!waiting) {
+      log(`Waiting for the blockhash to expire (valid until block ${lastValidBlockHeight})`);
+      waiting = true;
+    }
+    await sleep(config.send.pollMs);
+  }
+}
+
+// Book a recovered swap like the order it came from: the ledger (unless it
+// got there before the crash), the position, then the strategy - or the
+// sliced order it was a child of
+async function applyRecoveredFill(state, intent, swapFill) {
+  const side = intent.side;
+  const buying = side === "buy";
+  const quote = intent.quote;
+  const order = state.twap && state.twap.side === side ? state.twap : null;
+  const reason = order ? order.reason : intent.reason || (buying ? null : "strategy");
+  const held = BigInt(state.position.tokenAmount);
+
+  const fill = {
+    signature: swapFill.signature,
+    orderId: (order && order.orderId) || swapFill.signature,
+    amountIn: BigInt(quote.inAmount),
+    tokens: buying ? swapFill.tokenDelta : -swapFill.tokenDelta,
+    lamports: buying ? -swapFill.lamportDelta : swapFill.lamportDelta,
+    feeLamports: swapFill.feeLamports,
+    priorityFeeLamports: BigInt(intent.priorityFeeLamports || 0),
+    quotedOut: BigInt(quote.outAmount),
+    slices: 1,
+    complete: true,
+    journalIds: [intent.id],
+  };
+  const closing = !buying && fill.tokens >= held;
+
+  if (buying && held === 0n) {
+    state.cycleId = (state.cycleId || 0) + 1;
+  }
+  if (!ledger.readEntries().some(entry => entry.signature === fill.signature)) {
+    recordSwap(side, state, quote, swapFill, {
+      slippageBps: quote.slippageBps,
+      priorityFeeLamports: intent.priorityFeeLamports,
+      ...ledgerFields(intent.meta || {}),
+      reason,
+      orderId: fill.orderId,
+      type: buying ? "buy" : (closing ? "sell" : "partial"),
+    });
+  }
+
+  let profitPct = null;
+  if (buying) {
+    await bookBuy(state, fill);
+  } else {
+    profitPct = bookSell(state, fill, closing, reason);
+  }
+
+  if (order) {
+    addTwapChild(order, fill, BigInt(order.remaining));
+    // The rest goes out on the next ticks as usual
+    if (BigInt(order.remaining) > 0n && !closing) return;
+    await finishTwap(state, closing, profitPct);
+    return;
+  }
+  await finishOrder(state, {
+    side,
+    ...fill,
+    reason,
+    closed: closing,
+    profitPct,
+    meta: { ...intent.meta, recovered: true },
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECONCILER (position from on-chain history - /reconcile, /fix)
+// ═══════════════════════════════════════════════════════════════════════════
+// The open position as the chain has it. The token account's transactions
+// are walked back, newest first, from today's balance to the last time it
+// was zero (the last full exit). The swaps since then are replayed the way
+// bookBuy / bookSell booked them, and the ledger says which order each one
+// belonged to (a split or TWAP order is one step). The strategy's
+// reconcile() sets its own keys - the ladder's step and phase - from the
+// same history.
+
+// Parsed transactions by signature - a confirmed one never changes, so the
+// Apply after a /reconcile preview doesn't fetch them all again
+const historyTxCache = new Map();
+
+// Swaps since the last full exit, oldest first. kind: buy (SOL out, tokens
+// in) | sell (tokens out, SOL in) | transfer (tokens moved without SOL).
+// The ledger's last full exit left the balance at zero, so the walk stops
+// there; only without one (or when it doesn't add up) is the account's
+// older history searched.
+async function getPositionHistory() {
+  const accounts = await connection.getTokenAccountsByOwner(
+    walletPublicKey,
+    { mint: new PublicKey(market.mint) },
+    "confirmed"
   );
+  const entries = ledger.readEntries().filter(entry => entry.mint === market.mint && entry.signature);
+  const lastExit = entries.filter(entry => entry.type === "sell").pop();
+  const ledgerBySignature = new Map(entries.map(entry => [entry.signature, entry]));
 
-  try {
-    await executeSwap(quote, state.priorityFee.sell);
+  if (lastExit) {
+    const swaps = await walkHistory(accounts.value, ledgerBySignature, lastExit.signature);
+    if (swaps) return swaps;
+  }
+  return walkHistory(accounts.value, ledgerBySignature, null);
+}
 
-    const solReceived = BigInt(quote.outAmount);
-    const solSpent = BigInt(state.position.totalSolSpent);
+// Walk back from today's balance to zero. null when `until` was reached
+// first (the caller searches further back).
+async function walkHistory(accounts, ledgerBySignature, until) {
+  const signatures = [];
+  for (const account of accounts) {
+    signatures.push(...await getAccountSignatures(account.pubkey, until));
+  }
+  signatures.sort((a, b) => b.slot - a.slot);
+  const balance = (await getTokenBalance()).amount;
+  const decimals = await getTokenDecimals();
+  const limit = config.reconcile.maxTransactions;
+
+  const swaps = [];
+  const seen = new Set();
+  let tokens = balance;
+  for (const info of signatures) {
+    if (tokens <= 0n) break;
+    if (info.err || seen.has(info.signature)) continue;
+    seen.add(info.signature);
+    if (seen.size > limit) {
+      throw new Error(`More than ${limit} token transactions since the last zero balance (config.reconcile.maxTransactions)`);
+    }
 
-    // Calculate profit
-    const profitLamports = solReceived - solSpent;
-    const profitPct = solSpent > 0n
-      ? (Number(profitLamports) / Number(solSpent)) * 100
-      : 0;
+    const tx = await getHistoryTransaction(info.signature);
+    const tokenDelta = getTokenDelta(tx);
+    if (tokenDelta === 0n) continue;
+    swaps.unshift(describeHistorySwap(tx, info, tokenDelta, ledgerBySignature.get(info.signature), decimals));
+    tokens -= tokenDelta;
+  }
 
-    log(`SELL SUCCESS: Got ${formatSol(solReceived)} SOL (${profitPct >= 0 ? "+" : ""}${profitPct.toFixed(2)}%)`);
+  if (tokens > 0n && until) return null;
+  if (tokens > 0n) {
+    throw new Error(
+      `No zero balance in the last ${signatures.length} transactions of this token - ` +
+      "the position is older (raise config.reconcile.maxSignatures) or the RPC has no older history"
+    );
+  }
+  if (tokens < 0n) {
+    throw new Error("The token account's history doesn't add up to the wallet balance - try again");
+  }
+  return swaps;
+}
 
-    // Record last trade
-    state.lastTrade = {
-      profitPct,
-      timestamp: Date.now(),
-    };
+async function getHistoryTransaction(signature) {
+  if (historyTxCache.has(signature)) return historyTxCache.get(signature);
+  const tx = await connection.getParsedTransaction(signature, {
+    commitment: "confirmed",
+    maxSupportedTransactionVersion: 0,
+  });
+  if (!tx?.meta) {
+    throw new Error(`Transaction ${signature} not found`);
+  }
+  if (historyTxCache.size >= config.reconcile.maxTransactions * 2) historyTxCache.clear();
+  historyTxCache.set(signature, tx);
+  return tx;
+}
 
-    // Determine next entry drop based on profit
-    state.currentEntryDropPct = getNextEntryDrop(profitPct);
-    log(`Next entry trigger: ${state.currentEntryDropPct}% drop`);
+// Newest first, up to config.reconcile.maxSignatures (and not past `until`)
+async function getAccountSignatures(address, until = null) {
+  const out = [];
+  let before;
+  while (out.length < config.reconcile.maxSignatures) {
+    const limit = Math.min(1000, config.reconcile.maxSignatures - out.length);
+    const page = await connection.getSignaturesForAddress(address, { before, until: until || undefined, limit }, "confirmed");
+    out.push(...page);
+    if (page.length < limit) break;
+    before = page[page.length - 1].signature;
+  }
+  return out;
+}
 
-    // Reset position
-    state.position = {
-      tokenAmount: "0",
-      totalSolSpent: "0",
-      avgEntryPrice: 0,
-    };
-    state.trailing = { active: false, peakPrice: 0 };
-    state.partialExitsDone = [];
-    state.stepIndex = 0;
-    state.phase = "watching";
-    state.watchPrice = null;
-
-    // Start cooldown tracking
-    state.cooldown = {
-      startTime: Date.now(),
-      priceAtStart: null,
-      highPrice: null,
-      lowPrice: null,
-    };
+// A transfer in from another wallet doesn't list ours - only its token account
+function describeHistorySwap(tx, info, tokenDelta, entry, decimals) {
+  const owner = walletPublicKey.toBase58();
+  const ownerIndex = tx.transaction.message.accountKeys.findIndex(k => k.pubkey.toBase58() === owner);
+  // Rent for a token account counts only when we paid it (as fee payer)
+  const lamportDelta = ownerIndex < 0
+    ? 0n
+    : BigInt(tx.meta.postBalances[ownerIndex]) - BigInt(tx.meta.preBalances[ownerIndex]) +
+      (ownerIndex === 0 ? getTokenAccountRent(tx) : 0n);
+  const fee = ownerIndex === 0 ? BigInt(tx.meta.fee || 0) : 0n;
+
+  let kind = "transfer";
+  if (tokenDelta > 0n && lamportDelta < -fee) kind = "buy";
+  if (tokenDelta < 0n && lamportDelta > 0n) kind = "sell";
+  const tokens = tokenDelta > 0n ? tokenDelta : -tokenDelta;
+  const lamports = kind === "transfer" ? 0n : (lamportDelta > 0n ? lamportDelta : -lamportDelta);
 
-    // Reset slippage
-    state.slippage.sell = config.sellSlippageBps;
-    state.priorityFee.sell = config.sellPriorityFeeLamports;
+  return {
+    kind,
+    signature: info.signature,
+    at: info.blockTime ? info.blockTime * 1000 : null,
+    tokenDelta,
+    tokens,
+    lamports,
+    price: kind === "transfer" ? null : (Number(lamports) / 1e9) / (Number(tokens) / Math.pow(10, decimals)),
+    reason: entry ? entry.reason || null : null,
+    cycleId: entry ? entry.cycleId : null,
+    // Older ledger lines have no orderId - their cycle + step stands in.
+    // A swap the ledger never saw is an order of its own.
+    orderId: entry ? entry.orderId || `${entry.cycleId}:${entry.stepIndex}` : info.signature,
+  };
+}
 
-    writeState(state);
-    return true;
+// The state file's state, a copy rebuilt from the chain, and the rows that
+// differ between them
+async function rebuildState() {
+  if (runtime.simulate) {
+    throw new Error("Paper trades aren't on-chain - use Reset");
+  }
+  if (!strategy.reconcile) {
+    throw new Error(`The ${strategy.name} strategy keeps its own book - use Sell or Reset`);
+  }
+  const state = readState();
+  if (state.twap) {
+    throw new Error(`A sliced ${state.twap.side} is still working (${state.twap.children}/${state.twap.slices} slices)`);
+  }
 
-  } catch (err) {
-    logError(`SELL FAILED: ${err.message}`);
+  const swaps = await getPositionHistory();
+  const buys = swaps.filter(swap => swap.kind === "buy");
+  const history = {
+    swaps,
+    buys,
+    sells: swaps.filter(swap => swap.kind === "sell"),
+    transfers: swaps.filter(swap => swap.kind === "transfer"),
+    orders: new Set(buys.map(buy => buy.orderId)).size,
+  };
 
-    // Escalate slippage and priority fee
-    state.slippage.sell = Math.min(
-      state.slippage.sell + config.slippageStepBps,
-      config.slippageCapBps
-    );
-    state.priorityFee.sell = Math.min(
-      state.priorityFee.sell + config.priorityFeeStepLamports,
-      config.priorityFeeCapLamports
-    );
-    writeState(state);
-    return false;
+  const rebuilt = loadState(jsonCopy(serializeState(state)));
+  rebuilt.position = await replayPosition(swaps, state.position.openedAt);
+  if (swaps.length) {
+    rebuilt.lockoutUntil = null;
+    if (buys.length && buys[0].cycleId !== null) rebuilt.cycleId = buys[0].cycleId;
   }
+  strategy.reconcile(rebuilt, history, getStrategyContext(rebuilt));
+  return { state, rebuilt, history, changes: diffStates(state, rebuilt) };
 }
 
-function getNextEntryDrop(profitPct) {
-  // Check reentry rules in order (highest profit first)
-  for (const rule of config.reentryRules) {
-    if (profitPct >= rule.minProfitPct) {
-      return rule.nextDropPct;
+// Same arithmetic as bookBuy / bookSell, swap by swap
+async function replayPosition(swaps, openedAt) {
+  const position = getCoreDefaults().position;
+  if (!swaps.length) return position;
+
+  const decimals = await getTokenDecimals();
+  let tokens = 0n;
+  let spent = 0n;
+  let recovered = 0n;
+  for (const swap of swaps) {
+    tokens += swap.tokenDelta;
+    if (swap.kind === "buy") {
+      spent += swap.lamports;
+      position.avgEntryPrice = (Number(spent) / 1e9) / (Number(tokens) / Math.pow(10, decimals));
+    } else if (swap.kind === "sell") {
+      recovered += swap.lamports;
     }
   }
-  // Default to standard entry drop
-  return config.entryDropPct;
+  position.tokenAmount = tokens.toString();
+  position.totalSolSpent = spent.toString();
+  position.solRecovered = recovered.toString();
+  position.openedAt = swaps[0].at || openedAt || now();
+  return position;
+}
+
+// { field, from, to } for each row that differs: the position in readable
+// units, then the strategy's own keys as JSON
+function diffStates(before, after) {
+  const rows = state => {
+    const out = {
+      Tokens: formatTokens(BigInt(state.position.tokenAmount)),
+      "SOL spent": formatSol(state.position.totalSolSpent),
+      "SOL recovered": formatSol(state.position.solRecovered || "0"),
+      "Avg entry": state.position.avgEntryPrice ? state.position.avgEntryPrice.toPrecision(6) : "-",
+      Opened: state.position.openedAt ? new Date(state.position.openedAt).toISOString() : "-",
+      Step: `${state.stepIndex}/${market.steps.length}`,
+      Phase: state.phase.toUpperCase(),
+      Cycle: String(state.cycleId),
+      Lockout: state.lockoutUntil ? new Date(state.lockoutUntil).toISOString() : "-",
+    };
+    for (const [key, value] of Object.entries(strategy.serialize(state))) {
+      out[key] = JSON.stringify(value);
+    }
+    return out;
+  };
+  const from = rows(before);
+  const to = rows(after);
+  return Object.keys(to)
+    .filter(field => from[field] !== to[field])
+    .map(field => ({ field, from: from[field], to: to[field] }));
+}
+
+function saveReconciled(state, changes) {
+  writeState(state);
+  const summary = changes.map(c => `${c.field} ${c.from} -> ${c.to}`).join(", ");
+  logEvent("reconcile", `State RECONCILED from chain: ${summary || "no changes"}`, { changes, phase: state.phase });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -536,11 +2267,32 @@ function getNextEntryDrop(profitPct) {
 // ═══════════════════════════════════════════════════════════════════════════
 
 async function tick(state) {
-  if (paused) return state;
+  if (state.paused) return state;
+
+  // Settle a swap of unknown outcome first, the way startup recovery does
+  if (state.pendingUnknown) {
+    try {
+      await recoverSwaps();
+    } catch (err) {
+      logError(`Swap ${state.pendingUnknown.signature || "(no signature)"} still unsettled: ${err.message}`);
+      return state;
+    }
+    state = readState();
+    logEvent("recovery", `Swap ${state.pendingUnknown.signature || "(no signature)"} settled - orders resume`, {
+      signature: state.pendingUnknown.signature,
+      outcome: "settled",
+    });
+    state.pendingUnknown = null;
+    writeState(state);
+  }
 
   let price;
   try {
-    price = await getCurrentPrice();
+    const sample = await getPriceSample();
+    price = sample.price;
+    if (config.recorder.enabled && sample.quote && price > 0) {
+      recorder.recordSample(market.mint, recorder.buildSample(price, sample.quote));
+    }
   } catch (err) {
     logError(`Price fetch failed: ${err.message}`);
     return state;
@@ -551,250 +2303,184 @@ async function tick(state) {
     return state;
   }
 
-  // Update cooldown tracking
-  state = updateCooldown(state, price);
-
-  switch (state.phase) {
-    case "watching":
-      state = await handleWatching(state, price);
-      break;
-    case "building":
-      state = await handleBuilding(state, price);
-      break;
-    case "holding":
-      state = await handleHolding(state, price);
-      break;
-    case "trailing":
-      state = await handleTrailing(state, price);
-      break;
-  }
-
-  return state;
-}
-
-function updateCooldown(state, price) {
-  // Track price range for cooldown reset
-  if (state.cooldown.startTime) {
-    if (state.cooldown.priceAtStart === null) {
-      state.cooldown.priceAtStart = price;
-      state.cooldown.highPrice = price;
-      state.cooldown.lowPrice = price;
-    } else {
-      state.cooldown.highPrice = Math.max(state.cooldown.highPrice, price);
-      state.cooldown.lowPrice = Math.min(state.cooldown.lowPrice, price);
-    }
-
-    // Check if cooldown period elapsed
-    const elapsedHours = (Date.now() - state.cooldown.startTime) / (1000 * 60 * 60);
-    if (elapsedHours >= config.cooldownResetHours) {
-      // Check if price stayed within range
-      const range = state.cooldown.highPrice / state.cooldown.lowPrice - 1;
-      const rangePct = range * 100;
-
-      if (rangePct <= config.cooldownRangePct) {
-        log(`Cooldown complete: price ranged ${rangePct.toFixed(1)}% over ${config.cooldownResetHours}h`);
-        log(`Resetting entry trigger to ${config.entryDropPct}%`);
-        state.currentEntryDropPct = config.entryDropPct;
-      }
-
-      // Reset cooldown either way
-      state.cooldown = {
-        startTime: null,
-        priceAtStart: null,
-        highPrice: null,
-        lowPrice: null,
-      };
-      writeState(state);
-    }
-  }
-
-  return state;
-}
+  state.lastPrice = price;
+  state.lastPriceAt = now();
+  logEvent("tick", `Tick: ${price} (${state.phase})`, { price, phase: state.phase }, "debug");
 
-async function handleWatching(state, price) {
-  // Set watch price if not set
-  if (state.watchPrice === null) {
-    state.watchPrice = price;
-    log(`WATCHING: Starting at price ${price.toFixed(12)}`);
+  // Stop-outs take priority over the strategy
+  if (await checkStops(state, price)) {
     writeState(state);
     return state;
   }
 
-  // Calculate drop from watch price
-  const dropPct = ((state.watchPrice - price) / state.watchPrice) * 100;
-
-  // Check if we hit entry trigger
-  const targetDrop = state.currentEntryDropPct;
-
-  if (dropPct >= targetDrop) {
-    log(`ENTRY TRIGGER: Price dropped ${dropPct.toFixed(2)}% (target: ${targetDrop}%)`);
-
-    // Calculate buy amount for step 0
-    const solBalance = await getSolBalance();
-    const allocation = (Number(solBalance) * config.maxWalletUsePct) / 100;
-    const stepSize = (allocation * config.steps[0].sizePct) / 100;
-
-    if (stepSize < 0.001 * 1e9) {
-      logError("Insufficient balance for trade");
-      return state;
-    }
-
-    const success = await executeBuy(stepSize / 1e9, state);
-    if (success) {
-      state.stepIndex = 1; // Move to step 1 (next step)
-      state.phase = "building";
-      state.cooldown = { startTime: null, priceAtStart: null, highPrice: null, lowPrice: null };
-      log(`Phase: BUILDING (step 1 of ${config.steps.length} complete)`);
-    }
-    writeState(state);
+  if (state.twap) {
+    await continueTwap(state);
+  } else {
+    state = state.phase === "lockout"
+      ? handleLockout(state)
+      : await strategy.onPrice(state, price, getStrategyContext(state));
   }
 
+  writeState(state);
   return state;
 }
 
-async function handleBuilding(state, price) {
-  // Check if we should do next step
-  if (state.stepIndex < config.steps.length) {
-    const step = config.steps[state.stepIndex];
-    const dropPct = ((state.watchPrice - price) / state.watchPrice) * 100;
-
-    if (dropPct >= step.dropPct) {
-      log(`STEP ${state.stepIndex + 1} TRIGGER: Price dropped ${dropPct.toFixed(2)}% (target: ${step.dropPct}%)`);
-
-      const solBalance = await getSolBalance();
-      const allocation = (Number(solBalance) * config.maxWalletUsePct) / 100;
-      const stepSize = (allocation * step.sizePct) / 100;
+// ═══════════════════════════════════════════════════════════════════════════
+// STOP-LOSS & RISK
+// ═══════════════════════════════════════════════════════════════════════════
 
-      if (stepSize >= 0.001 * 1e9) {
-        const success = await executeBuy(stepSize / 1e9, state);
-        if (success) {
-          state.stepIndex++;
-          log(`Step ${state.stepIndex} of ${config.steps.length} complete`);
-        }
-      }
-      writeState(state);
-    }
-  }
+// Hard stop and time stop for an open position. Returns true when a stop
+// fired (whether or not the sell landed - a failed sell retries next tick).
+async function checkStops(state, price) {
+  if (state.phase === "lockout") return false;
+  if (BigInt(state.position.tokenAmount) === 0n) return false;
+  // A sliced exit is already on its way out (stops would be sliced too)
+  if (state.twap && state.twap.side === "sell" && config.twap.sliceStops) return false;
 
-  // Check if all steps done or if profit target hit
   const profitPct = calculateProfitPct(state, price);
+  let reason = null;
 
-  if (state.stepIndex >= config.steps.length) {
-    state.phase = "holding";
-    log(`Phase: HOLDING (all ${config.steps.length} steps complete)`);
-    writeState(state);
-  } else if (profitPct >= config.trailingTriggerPct) {
-    // Early profit - activate trailing
-    state.phase = "trailing";
-    state.trailing = { active: true, peakPrice: price };
-    log(`Phase: TRAILING (profit ${profitPct.toFixed(2)}% hit trigger)`);
-    writeState(state);
+  if (config.stopLossPct > 0 && profitPct <= -config.stopLossPct) {
+    reason = "stop_loss";
+    logEvent("stop", `STOP-LOSS: ${profitPct.toFixed(2)}% below avg entry (limit -${config.stopLossPct}%)`, {
+      reason,
+      profitPct,
+      price,
+      phase: state.phase,
+    });
+  } else if (config.maxHoldHours > 0 && state.position.openedAt) {
+    const heldHours = (now() - state.position.openedAt) / (1000 * 60 * 60);
+    if (heldHours >= config.maxHoldHours) {
+      reason = "time_stop";
+      logEvent("stop", `TIME STOP: position open ${heldHours.toFixed(1)}h (limit ${config.maxHoldHours}h), P&L ${profitPct.toFixed(2)}%`, {
+        reason,
+        profitPct,
+        price,
+        phase: state.phase,
+        heldHours,
+      });
+    }
   }
 
-  return state;
+  if (!reason) return false;
+  await sellEntirePosition(state, reason);
+  return true;
 }
 
-async function handleHolding(state, price) {
-  const profitPct = calculateProfitPct(state, price);
-
-  // Handle partial exits if enabled
-  if (config.partialExits.enabled) {
-    state = await handlePartialExits(state, price, profitPct);
+function enterLockout(state, reason) {
+  if (config.lockoutHours > 0) {
+    state.phase = "lockout";
+    state.lockoutUntil = now() + config.lockoutHours * 60 * 60 * 1000;
+    logEvent("lockout", `Phase: LOCKOUT after ${reason} until ${new Date(state.lockoutUntil).toISOString()}`, {
+      reason,
+      until: state.lockoutUntil,
+    });
+  } else {
+    restartStrategy(state);
   }
+}
 
-  // Check for trailing trigger
-  if (profitPct >= config.trailingTriggerPct) {
-    state.phase = "trailing";
-    state.trailing = { active: true, peakPrice: price };
-    log(`Phase: TRAILING (profit ${profitPct.toFixed(2)}% hit trigger)`);
-    writeState(state);
-  }
+function handleLockout(state) {
+  if (state.lockoutUntil && now() < state.lockoutUntil) return state;
 
+  logEvent("lockout_end", "LOCKOUT over - back to WATCHING");
+  restartStrategy(state);
+  writeState(state);
   return state;
 }
 
-async function handleTrailing(state, price) {
-  // Update peak price
-  if (price > state.trailing.peakPrice) {
-    state.trailing.peakPrice = price;
-    writeState(state);
-  }
+// After a stop-out the strategy starts over from a fresh init()
+function restartStrategy(state) {
+  Object.assign(state, strategy.init({}));
+  state.phase = "watching";
+  state.lockoutUntil = null;
+}
 
-  // Handle partial exits if enabled
-  const profitPct = calculateProfitPct(state, price);
-  if (config.partialExits.enabled) {
-    state = await handlePartialExits(state, price, profitPct);
+// SOL + every market's tokens at its last tick price, sibling workers'
+// markets included (their state files have their last price)
+async function getPortfolioEquityLamports() {
+  if (runtime.simulate) {
+    return BigInt((await getSimSummary({})).equity);
   }
 
-  // Check trailing stop
-  const dropFromPeak = ((state.trailing.peakPrice - price) / state.trailing.peakPrice) * 100;
-
-  if (dropFromPeak >= config.trailingStopPct) {
-    log(`TRAILING STOP: Price dropped ${dropFromPeak.toFixed(2)}% from peak`);
-
-    // Verify actual wallet balance before selling (prevents race condition)
-    const actualBalance = await getTokenBalance();
-    const actualTokens = actualBalance.amount;
-    const stateTokens = BigInt(state.position.tokenAmount);
-
-    if (actualTokens === 0n && stateTokens > 0n) {
-      // State is out of sync - tokens already sold
-      log(`WARNING: State shows ${stateTokens} tokens but wallet has 0 - syncing state`);
-      state.position = { tokenAmount: "0", totalSolSpent: "0", avgEntryPrice: 0 };
-      state.trailing = { active: false, peakPrice: 0 };
-      state.stepIndex = 0;
-      state.phase = "watching";
-      state.watchPrice = null;
-      writeState(state);
-      return state;
-    }
-
-    // Sell all remaining tokens
-    const tokenAmount = actualTokens > 0n ? actualTokens : stateTokens;
-    if (tokenAmount > 0n) {
-      await executeSell(tokenAmount, state);
-    }
+  let equity = await getSolBalance();
+  for (const m of [...markets, ...workerPeers]) {
+    const state = readState(m);
+    const tokens = Number(state.position.tokenAmount);
+    if (!tokens || !state.lastPrice) continue;
+    const decimals = await withMarket(m, getTokenDecimals);
+    equity += BigInt(Math.floor(tokens / Math.pow(10, decimals) * state.lastPrice * 1e9));
   }
-
-  return state;
+  return equity;
 }
 
-async function handlePartialExits(state, price, profitPct) {
-  for (const level of config.partialExits.levels) {
-    // Skip if already done this level
-    if (state.partialExitsDone.includes(level.profitPct)) continue;
-
-    if (profitPct >= level.profitPct) {
-      const tokenAmount = BigInt(state.position.tokenAmount);
-      const sellAmount = (tokenAmount * BigInt(level.sellPct)) / 100n;
-
-      if (sellAmount > 0n) {
-        log(`PARTIAL EXIT: Selling ${level.sellPct}% at ${profitPct.toFixed(2)}% profit`);
-
-        // Get quote just for this partial
-        const quote = await fetchQuote(
-          TARGET_MINT,
-          SOL_MINT,
-          sellAmount,
-          state.slippage.sell
-        );
+// Portfolio max drawdown: once equity falls maxDrawdownPct below its peak,
+// sell every market and lock them all out. Deposits/withdrawals move equity
+// too - delete data/risk.json (a per-mint supervisor wallet's
+// data/workers/<wallet>-risk.json) after one to restart the peak.
+// /stop is honoured here too: paused markets are neither sold nor locked
+// out (their tokens still count towards equity).
+// Per-mint supervisor workers each value the whole wallet against one shared
+// peak and sell their own markets: the first to trip starts the exit, its
+// siblings follow on their next round.
+async function checkPortfolioDrawdown() {
+  if (!(config.maxDrawdownPct > 0)) return;
+  const active = markets.filter(m => !readState(m).paused);
+  if (!active.length) return;
+
+  const equity = await getPortfolioEquityLamports();
+  const risk = readRisk();
+
+  if (!risk.peakEquity || equity > BigInt(risk.peakEquity)) {
+    updateRisk(shared => {
+      if (!shared.peakEquity || equity > BigInt(shared.peakEquity)) {
+        shared.peakEquity = equity.toString();
+      }
+    });
+    return;
+  }
 
-        try {
-          await executeSwap(quote, state.priorityFee.sell);
+  const peak = BigInt(risk.peakEquity);
+  const drawdownPct = peak > 0n ? (Number(peak - equity) / Number(peak)) * 100 : 0;
+  if (drawdownPct < config.maxDrawdownPct) return;
 
-          // Update position (reduce tokens, but keep SOL spent for P&L calc)
-          state.position.tokenAmount = (tokenAmount - sellAmount).toString();
-          state.partialExitsDone.push(level.profitPct);
+  logEvent("max_drawdown", `MAX DRAWDOWN: equity ${formatSol(equity)} SOL is ${drawdownPct.toFixed(2)}% below peak ${formatSol(peak)} SOL - closing all positions`, {
+    equity,
+    peak,
+    drawdownPct,
+  });
 
-          log(`Partial exit complete. Remaining: ${formatTokens(BigInt(state.position.tokenAmount))} tokens`);
-          writeState(state);
-        } catch (err) {
-          logError(`Partial exit failed: ${err.message}`);
-        }
+  for (const m of active) {
+    await withMarket(m, async () => {
+      const state = readState();
+      if (BigInt(state.position.tokenAmount) > 0n) {
+        await sellEntirePosition(state, "max_drawdown");
+      } else if (state.phase !== "lockout") {
+        enterLockout(state, "max_drawdown");
+        writeState(state);
       }
-    }
+    });
   }
-  return state;
+
+  // Only start a fresh peak once everything we may sell is actually flat,
+  // sibling workers' markets too
+  const siblings = workerPeers.filter(p => !readState(p).paused);
+  const allFlat = [...active, ...siblings].every(m => BigInt(readState(m).position.tokenAmount) === 0n);
+  updateRisk(shared => {
+    shared.lastTrip = { at: now(), drawdownPct, equity: equity.toString(), peak: peak.toString() };
+    if (allFlat) {
+      shared.peakEquity = null;
+    }
+  });
+
+  notify({
+    type: "max_drawdown",
+    drawdownPct,
+    equity: equity.toString(),
+    peak: peak.toString(),
+    allFlat,
+    pausedCount: markets.length - active.length,
+  });
 }
 
 function calculateProfitPct(state, currentPrice) {
@@ -815,7 +2501,7 @@ function formatSol(lamports) {
 
 function formatTokens(amount) {
   const value = typeof amount === "bigint" ? amount : BigInt(amount);
-  const decimals = tokenDecimals || 9;
+  const decimals = market.decimals || 9;
   const factor = 10n ** BigInt(decimals);
   const whole = value / factor;
   const frac = value % factor;
@@ -826,12 +2512,81 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// For state / journal files: a plain JSON copy, bigints as strings
+function jsonCopy(value) {
+  return JSON.parse(JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// METRICS (config.metrics - served by metrics.js)
+// ═══════════════════════════════════════════════════════════════════════════
+// Counters and latencies are recorded where they happen; the gauges below
+// are refreshed from each market's state after its tick.
+
+let balanceCheckedAt = 0;
+
+async function updateMarketMetrics(state) {
+  const labels = { market: market.label };
+  metrics.clear("mmprofit_phase", labels);
+  metrics.set("mmprofit_phase", { ...labels, phase: state.phase }, 1);
+  metrics.set("mmprofit_price_sol", labels, state.lastPrice);
+  if (state.lastPriceAt) {
+    metrics.set("mmprofit_last_tick_timestamp_seconds", labels, state.lastPriceAt / 1000);
+  }
+
+  // Cost = SOL spent minus partial exits, so P&L is the whole cycle's
+  const tokens = Number(state.position.tokenAmount) / Math.pow(10, await getTokenDecimals());
+  const cost = tokens > 0
+    ? Number(BigInt(state.position.totalSolSpent) - BigInt(state.position.solRecovered || "0")) / 1e9
+    : 0;
+  metrics.set("mmprofit_position_tokens", labels, tokens);
+  metrics.set("mmprofit_position_cost_sol", labels, cost);
+  metrics.set("mmprofit_unrealized_pnl_sol", labels, tokens > 0 ? tokens * state.lastPrice - cost : 0);
+  metrics.set("mmprofit_unrealized_pnl_pct", labels, tokens > 0 ? calculateProfitPct(state, state.lastPrice) : 0);
+
+  for (const side of ["buy", "sell"]) {
+    metrics.set("mmprofit_slippage_bps", { ...labels, side }, state.slippage[side]);
+    metrics.set("mmprofit_priority_fee_lamports", { ...labels, side }, expectedPriorityFee(side, state));
+  }
+}
+
+// One RPC call per balanceRefreshMs, not per round
+async function updateBalanceMetric() {
+  if (Date.now() - balanceCheckedAt < config.metrics.balanceRefreshMs) return;
+  balanceCheckedAt = Date.now();
+  metrics.set("mmprofit_sol_balance", {}, Number(await getSolBalance()) / 1e9);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // PUBLIC API (for Telegram)
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function getStatus() {
+// Run fn against one market, restoring the active market afterwards
+async function withMarket(m, fn) {
+  const previous = market;
+  useMarket(m);
+  try {
+    return await fn();
+  } finally {
+    useMarket(previous);
+  }
+}
+
+function requireMarket(selector) {
+  const m = findMarket(selector);
+  if (!m) {
+    const labels = markets.map((x, i) => `${i + 1}:${x.label}`).join(", ");
+    throw new Error(selector ? `Unknown token "${selector}" (have ${labels})` : `Specify a token (${labels})`);
+  }
+  return m;
+}
+
+async function getStatus(selector) {
   ensureInit();
+  return withMarket(requireMarket(selector), getMarketStatus);
+}
+
+async function getMarketStatus() {
   const state = readState();
   const decimals = await getTokenDecimals();
 
@@ -845,40 +2600,128 @@ async function getStatus() {
   const profitPct = calculateProfitPct(state, price);
 
   return {
+    label: market.label,
+    mint: market.mint,
+    sharePct: market.sharePct,
+    marketCount: markets.length,
+    strategy: strategy.name,
     phase: state.phase,
-    paused,
+    paused: state.paused,
     price,
-    watchPrice: state.watchPrice,
     stepIndex: state.stepIndex,
-    totalSteps: config.steps.length,
+    totalSteps: market.steps.length,
+    // Strategy fields (ladder: watchPrice, trailing, ladder...; grid: grid)
+    ...(strategy.getStatus ? strategy.getStatus(state, getStrategyContext(state)) : {}),
     position: {
       tokens: state.position.tokenAmount,
       solSpent: state.position.totalSolSpent,
       avgEntry: state.position.avgEntryPrice,
     },
     profitPct,
-    trailing: state.trailing,
-    currentEntryDropPct: state.currentEntryDropPct,
     lastTrade: state.lastTrade,
+    twap: state.twap && {
+      side: state.twap.side,
+      reason: state.twap.reason,
+      done: state.twap.children,
+      slices: state.twap.slices,
+      remaining: state.twap.remaining,
+      nextAt: state.twap.nextAt,
+    },
+    risk: {
+      lockoutUntil: state.lockoutUntil,
+      openedAt: state.position.openedAt,
+      stopLossPct: config.stopLossPct,
+      stopPrice: config.stopLossPct > 0 && state.position.avgEntryPrice > 0
+        ? state.position.avgEntryPrice * (1 - config.stopLossPct / 100)
+        : null,
+      maxHoldHours: config.maxHoldHours,
+    },
     balances: {
       sol: solBal.toString(),
       token: tokenBal.amount.toString(),
     },
     tokenDecimals: decimals,
+    simulation: SIM_MODE ? await getSimSummary({ [market.mint]: price }) : null,
+  };
+}
+
+// One row per market from the state files (uses each market's last tick price)
+async function getPortfolioStatus() {
+  ensureInit();
+  const rows = [];
+
+  for (const m of markets) {
+    rows.push(await withMarket(m, async () => {
+      const state = readState();
+      return {
+        label: m.label,
+        mint: m.mint,
+        sharePct: m.sharePct,
+        phase: state.phase,
+        paused: state.paused,
+        stepIndex: state.stepIndex,
+        totalSteps: m.steps.length,
+        price: state.lastPrice,
+        priceAt: state.lastPriceAt,
+        tokens: state.position.tokenAmount,
+        solSpent: state.position.totalSolSpent,
+        profitPct: calculateProfitPct(state, state.lastPrice),
+        tokenDecimals: await getTokenDecimals(),
+      };
+    }));
+  }
+
+  const solBal = await getSolBalance();
+  return {
+    markets: rows,
+    balances: { sol: solBal.toString() },
+    simulation: SIM_MODE ? await getSimSummary({}) : null,
+  };
+}
+
+// Paper equity = SIM SOL + every SIM token position at its latest price
+async function getSimSummary(livePrices) {
+  const wallet = readSimWallet();
+  const sol = BigInt(wallet.sol);
+
+  let tokenValue = 0n;
+  for (const m of markets) {
+    const amount = Number(wallet.tokens[m.mint] || "0");
+    if (!amount) continue;
+    const { price, decimals } = await withMarket(m, async () => ({
+      price: livePrices[m.mint] ?? readState().lastPrice,
+      decimals: await getTokenDecimals(),
+    }));
+    tokenValue += BigInt(Math.floor(amount / Math.pow(10, decimals) * price * 1e9));
+  }
+  const equity = sol + tokenValue;
+  const start = BigInt(wallet.startSol);
+  const pnlPct = start > 0n ? (Number(equity - start) / Number(start)) * 100 : 0;
+
+  return {
+    startSol: wallet.startSol,
+    equity: equity.toString(),
+    feesPaid: wallet.feesPaid || "0",
+    pnlPct,
   };
 }
 
 function setPaused(value) {
   ensureInit();
-  paused = value;
-  log(`Bot ${paused ? "PAUSED" : "RESUMED"}`);
+  updateState(state => {
+    state.paused = value;
+  });
+  logEvent(value ? "paused" : "resumed", `Bot ${value ? "PAUSED" : "RESUMED"}`);
 }
 
 function resetState() {
   ensureInit();
   const fresh = getDefaultState();
+  try {
+    fresh.paused = readState().paused; // Reset clears trading state, not the pause switch
+  } catch {}                           // ...and is how an unreadable file is replaced
   writeState(fresh);
-  log("State RESET to defaults");
+  logEvent("state_reset", "State RESET to defaults");
   return fresh;
 }
 
@@ -886,54 +2729,20 @@ async function forceBuy() {
   ensureInit();
   try {
     const state = readState();
-
-    // Check if we've completed all steps
-    if (state.stepIndex >= config.steps.length) {
-      return { success: false, error: `All ${config.steps.length} steps already complete` };
+    if (!strategy.forceBuy) {
+      return { success: false, error: `The ${strategy.name} strategy has no manual buy` };
     }
-
-    // Get current step config
-    const currentStep = config.steps[state.stepIndex];
-    const stepNum = state.stepIndex + 1;
-
-    // Calculate buy size for this step
-    const solBalance = await getSolBalance();
-    const allocation = (Number(solBalance) * config.maxWalletUsePct) / 100;
-    const stepSize = (allocation * currentStep.sizePct) / 100;
-
-    if (stepSize < 0.001 * 1e9) {
-      return { success: false, error: "Insufficient balance" };
-    }
-
-    // Set watch price if this is first buy
-    if (state.watchPrice === null) {
-      const price = await getCurrentPrice();
-      state.watchPrice = price;
-      log(`Watch price set to ${price}`);
+    if (state.twap) {
+      return { success: false, error: `A sliced ${state.twap.side} is still working (${state.twap.children}/${state.twap.slices} slices)` };
     }
 
-    log(`FORCE BUY: Step ${stepNum}/${config.steps.length} (${currentStep.sizePct}% of allocation)`);
-
-    const success = await executeBuy(stepSize / 1e9, state);
-
-    if (success) {
-      // Update step tracking
-      state.stepIndex = state.stepIndex + 1;
-
-      // Update phase
-      if (state.stepIndex >= config.steps.length) {
-        state.phase = "holding";
-        log(`Phase: HOLDING (all ${config.steps.length} steps complete)`);
-      } else {
-        state.phase = "building";
-        log(`Phase: BUILDING (step ${state.stepIndex}/${config.steps.length} complete)`);
-      }
-
+    const result = await strategy.forceBuy(state, getStrategyContext(state));
+    if (result.success) {
+      // A manual buy also overrides any lockout
+      state.lockoutUntil = null;
       writeState(state);
-      return { success: true, step: stepNum, totalSteps: config.steps.length };
     }
-
-    return { success: false, error: "Buy execution failed" };
+    return result;
   } catch (err) {
     return { success: false, error: err.message || "Unknown error" };
   }
@@ -952,89 +2761,252 @@ async function forceSell() {
       return { success: false, error: "No tokens to sell" };
     }
 
-    const success = await executeSell(tokenAmount, state);
-    return { success, error: success ? null : "Sell execution failed" };
+    const fill = await orderSell(state, tokenAmount, { reason: "manual" });
+    return { success: Boolean(fill), error: fill ? null : "Sell execution failed" };
   } catch (err) {
     return { success: false, error: err.message || "Unknown error" };
   }
 }
 
-// Fix corrupted state while syncing with actual wallet balance
+// /fix: rebuild the state from the chain and write it straight away. Swaps
+// cut short by a crash are recovered from the swap journal at startup; this
+// is for what the journal can't explain (tokens moved by hand, a lost state
+// file).
 async function fixState() {
   ensureInit();
-  const state = readState();
+  let rebuilt;
+  let changes;
+  try {
+    ({ rebuilt, changes } = await rebuildState());
+  } catch (err) {
+    return { success: false, error: err.message || "Unknown error" };
+  }
+  market.reconcilePreview = null;
+  saveReconciled(rebuilt, changes);
 
-  // Get actual wallet balance
-  const actualBalance = await getTokenBalance();
-  const actualTokens = actualBalance.amount;
+  return {
+    success: true,
+    watchPrice: rebuilt.watchPrice,
+    stepIndex: rebuilt.stepIndex,
+    totalSteps: market.steps.length,
+    phase: rebuilt.phase,
+    tokens: formatTokens(BigInt(rebuilt.position.tokenAmount)),
+    changes,
+  };
+}
+
+// /reconcile: what a rebuild from the chain would change. "apply" rebuilds
+// again and writes it only if that is still exactly what was shown.
+async function reconcileState(apply = false) {
+  ensureInit();
+  try {
+    const { rebuilt, history, changes } = await rebuildState();
+    const result = {
+      success: true,
+      label: market.label,
+      swaps: history.swaps.length,
+      orders: history.orders,
+      partials: history.sells.length,
+      transfers: history.transfers.length,
+      changes,
+      applied: false,
+    };
+    const shown = JSON.stringify(changes);
+
+    if (!apply) {
+      market.reconcilePreview = changes.length ? shown : null;
+      return result;
+    }
+    if (!market.reconcilePreview) {
+      return { success: false, error: "Nothing to apply - run /reconcile first" };
+    }
+    if (market.reconcilePreview !== shown) {
+      market.reconcilePreview = null;
+      return { success: false, error: "The state or the chain changed since the preview - run /reconcile again" };
+    }
+    market.reconcilePreview = null;
+    saveReconciled(rebuilt, changes);
+    return { ...result, applied: true };
+  } catch (err) {
+    return { success: false, error: err.message || "Unknown error" };
+  }
+}
 
-  if (actualTokens <= 0n) {
-    return { success: false, error: "No tokens in wallet - use Reset instead" };
+// Trade history + realized P&L from the ledger (read-only, safe from any process)
+async function getHistory(limit = 10) {
+  ensureInit();
+  const report = ledger.getPnlReport();
+  const fills = [];
+  for (const fill of ledger.getRecentFills(limit)) {
+    const m = findMarket(fill.mint) || market;
+    fills.push({ ...fill, tokenDecimals: await withMarket(m, getTokenDecimals) });
   }
+  return {
+    fills,
+    today: report.today,
+    thisWeek: report.thisWeek,
+    totalRealizedLamports: report.totalRealizedLamports,
+    byDay: report.byDay.slice(0, 7),
+    byWeek: report.byWeek.slice(0, 4),
+    cycles: report.cycles.slice(-5).reverse(),
+  };
+}
 
-  // Sync state.position.tokenAmount with actual wallet balance
-  const stateTokens = BigInt(state.position.tokenAmount);
-  if (actualTokens !== stateTokens) {
-    log(`Syncing position: state had ${formatTokens(stateTokens)} tokens, wallet has ${formatTokens(actualTokens)} tokens`);
-    state.position.tokenAmount = actualTokens.toString();
+// ═══════════════════════════════════════════════════════════════════════════
+// COMMAND CHANNEL (Telegram -> main loop)
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function runCommand(cmd) {
+  const selector = cmd.args?.market;
+
+  // Read-only - telegram.js asks the worker when running under supervisor.js
+  if (cmd.action === "status") {
+    return { success: true, status: await getStatus(selector) };
+  }
+  if (cmd.action === "history") {
+    return { success: true, history: await getHistory() };
   }
 
-  // Fix watchPrice - set to avgEntryPrice or current price
-  if (state.position.avgEntryPrice > 0) {
-    state.watchPrice = state.position.avgEntryPrice;
-  } else {
-    // Fallback: get current price
-    const price = await getCurrentPrice();
-    state.watchPrice = price;
-    state.position.avgEntryPrice = price;
-  }
-
-  // Fix stepIndex based on wallet balance
-  // Estimate which step we're on based on token amount relative to typical step sizes
-  const currentPrice = await getCurrentPrice();
-  const decimals = actualBalance.decimals;
-  const positionValue = Number(actualTokens) / Math.pow(10, decimals) * currentPrice;
-  const solBalance = await getSolBalance();
-  const totalAvailable = Number(solBalance) / 1e9 + positionValue;
-
-  // If position is >50% of total, likely all steps done
-  if (positionValue / totalAvailable > 0.5) {
-    state.stepIndex = config.steps.length;
-    state.phase = "holding";
-  } else if (positionValue / totalAvailable > 0.3) {
-    state.stepIndex = 2;
-    state.phase = "building";
+  // Pause/start without a token applies to every market
+  if ((cmd.action === "start" || cmd.action === "pause") && !selector) {
+    for (const m of markets) {
+      await withMarket(m, () => setPaused(cmd.action === "pause"));
+    }
+    return { success: true };
+  }
+
+  return withMarket(requireMarket(selector), async () => {
+    switch (cmd.action) {
+      case "start":
+        setPaused(false);
+        return { success: true };
+      case "pause":
+        setPaused(true);
+        return { success: true };
+      case "buy":
+        return forceBuy();
+      case "sell":
+        return forceSell();
+      case "reset":
+        resetState();
+        return { success: true };
+      case "fix":
+        return fixState();
+      case "reconcile":
+        return reconcileState(false);
+      case "reconcile_apply":
+        return reconcileState(true);
+      default:
+        return { success: false, error: `Unknown command: ${cmd.action}` };
+    }
+  });
+}
+
+// Commands relayed by supervisor.js over IPC, acked the same way
+const relayedCommands = [];
+
+function onSupervisorMessage(msg) {
+  if (msg && msg.type === "command") {
+    relayedCommands.push({ ...msg.command, relayed: true });
+  }
+}
+
+function ackCommand(cmd, result) {
+  if (cmd.relayed) {
+    process.send({ type: "ack", id: cmd.id, result });
   } else {
-    state.stepIndex = 1;
-    state.phase = "building";
+    commands.ackCommand(cmd.id, result);
   }
+}
 
-  // Reset trailing
-  state.trailing = { active: false, peakPrice: 0 };
+async function processCommands() {
+  for (const cmd of [...commands.takeCommands(), ...relayedCommands.splice(0)]) {
+    const age = Date.now() - cmd.timestamp;
+    if (age > config.commandTtlMs) {
+      logEvent("command_expired", `COMMAND EXPIRED: ${cmd.action} (queued ${Math.round(age / 1000)}s ago)`, {
+        action: cmd.action,
+        ageMs: age,
+      }, "warn");
+      ackCommand(cmd, { success: false, error: "Command expired before bot picked it up" });
+      continue;
+    }
 
-  writeState(state);
-  log(`State FIXED: tokens=${formatTokens(actualTokens)}, watchPrice=${state.watchPrice}, stepIndex=${state.stepIndex}, phase=${state.phase}`);
+    logEvent("command", `COMMAND: ${cmd.action}${cmd.args?.market ? ` ${cmd.args.market}` : ""}`, {
+      action: cmd.action,
+      selector: cmd.args?.market || null,
+    });
+    let result;
+    try {
+      result = await runCommand(cmd);
+    } catch (err) {
+      result = { success: false, error: err.message || "Unknown error" };
+    }
+    ackCommand(cmd, result);
+  }
+}
 
-  return {
-    success: true,
-    watchPrice: state.watchPrice,
-    stepIndex: state.stepIndex,
-    phase: state.phase,
-    tokens: formatTokens(actualTokens),
-  };
+// ═══════════════════════════════════════════════════════════════════════════
+// SUPERVISOR REPORTING (only when forked by supervisor.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function reportToSupervisor() {
+  if (!process.send) return;
+
+  try {
+    process.send({
+      type: "status",
+      wallet: walletPublicKey.toBase58(),
+      markets: markets.map(m => {
+        const state = readState(m);
+        return {
+          label: m.label,
+          mint: m.mint,
+          phase: state.phase,
+          paused: state.paused,
+          stepIndex: state.stepIndex,
+          totalSteps: m.steps.length,
+          price: state.lastPrice,
+          priceAt: state.lastPriceAt,
+          tokens: state.position.tokenAmount,
+          solSpent: state.position.totalSolSpent,
+          profitPct: calculateProfitPct(state, state.lastPrice),
+        };
+      }),
+      timestamp: Date.now(),
+    });
+  } catch (err) {
+    logError(`Supervisor report failed: ${err.message}`);
+  }
 }
 
 // Export for telegram.js
 module.exports = {
   getStatus,
+  getPortfolioStatus,
+  getHistory,
   setPaused,
   resetState,
   fixState,
+  reconcileState,
   forceBuy,
   forceSell,
   readState,
   writeState,
   config,
+  // Offline tooling (backtest.js)
+  tick,
+  checkPortfolioDrawdown,
+  getDefaultState,
+  configureRuntime,
+  strategy,
+  SOL_MINT,
+  // Price recording (record.js)
+  ensureConnection,
+  getPriceSample,
+  // Portfolio
+  markets,
+  findMarket,
+  withMarket,
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1047,44 +3019,115 @@ async function main() {
     console.error("Missing SOLANA_RPC_URL in .env");
     process.exit(1);
   }
-  if (!TARGET_MINT) {
-    console.error("Missing TARGET_MINT in .env");
+  if (markets.some(m => !m.mint)) {
+    console.error("Missing TARGET_MINT in .env (or a mint in config.portfolio)");
     process.exit(1);
   }
 
   ensureDir(DATA_DIR);
+  jupiter.configure({ log: (...args) => logEvent("jupiter", args.join(" ")) });
+  sender.configure({ log: (...args) => logEvent("send", args.join(" ")) });
+  rpc.configure({ log: (...args) => logEvent("rpc", args.join(" ")) });
 
   log("═══════════════════════════════════════════════════════════════");
-  log("MM-Profit Trading Bot Starting");
+  logEvent("startup", `MM-Profit Trading Bot Starting${SIM_MODE ? " [SIMULATION]" : ""}`, { simulated: SIM_MODE });
   log("═══════════════════════════════════════════════════════════════");
 
-  // Initialize
-  connection = new Connection(RPC_URL, "confirmed");
-  keypair = loadWallet();
-  tokenDecimals = await getTokenDecimals();
+  // Initialize - paper trading never signs, so it doesn't need the passphrase
+  ensureInit();
+  if (!SIM_MODE) {
+    if (process.env.PASSPHRASE_FROM_SUPERVISOR && process.send) {
+      await receivePassphrase();
+    }
+    await unlockWallet();
+  }
 
-  log(`Wallet: ${keypair.publicKey.toBase58()}`);
-  log(`Target: ${TARGET_MINT}`);
-  log(`Entry trigger: ${config.entryDropPct}% drop`);
-  log(`Steps: ${config.steps.map(s => `${s.dropPct}%/${s.sizePct}%`).join(", ")}`);
+  logEvent("startup", `Wallet: ${walletPublicKey.toBase58()}`, { wallet: walletPublicKey.toBase58() });
+  if (SIM_MODE) {
+    log(`SIM balance: ${formatSol(await getSolBalance())} SOL (no transactions will be sent)`);
+  }
+  logEvent("startup", `Strategy: ${strategy.describe ? strategy.describe() : strategy.name}`, { strategy: strategy.name });
   log(`Max wallet use: ${config.maxWalletUsePct}%`);
-  log(`Trailing: trigger at ${config.trailingTriggerPct}%, stop at ${config.trailingStopPct}%`);
+  if (config.metrics.enabled) {
+    metrics.start(err => logError(`Metrics endpoint failed: ${err.message}`));
+    logEvent("startup", `Metrics: ${metrics.url()}`);
+  }
+  log(`Stops: loss ${config.stopLossPct}%, time ${config.maxHoldHours}h, max drawdown ${config.maxDrawdownPct}% (0 = off), lockout ${config.lockoutHours}h`);
+
+  for (const m of markets) {
+    await withMarket(m, async () => {
+      await getTokenDecimals();
+      await checkStateFile(m);
+      // A sliced order that died in its first child never got back to the
+      // strategy that placed it - its onFill counts it like a recovered swap
+      const saved = readState();
+      if (saved.twap && saved.twap.children === 0 && !saved.twap.meta.recovered) {
+        saved.twap.meta.recovered = true;
+        writeState(saved);
+      }
+      await recoverSwaps();
+      const state = readState();
+      log(`Target: ${m.mint} (${m.label}, ${m.sharePct.toFixed(1)}% share)`);
+      log(`Steps: ${m.steps.map(s => `${s.dropPct}%/${s.sizePct}%`).join(", ")}`);
+      logEvent("startup", `Loaded state: phase=${state.phase}, step=${state.stepIndex}${state.ladder && state.ladder.scale !== 1 ? `, ladder x${state.ladder.scale}` : ""}`, {
+        phase: state.phase,
+        stepIndex: state.stepIndex,
+        tokens: state.position.tokenAmount,
+      });
+      if (state.twap) {
+        log(`Resuming TWAP ${state.twap.side.toUpperCase()}: ${state.twap.children}/${state.twap.slices} slices done`);
+      }
+    });
+  }
+  journal.compact();
   log("═══════════════════════════════════════════════════════════════");
 
-  let state = readState();
-  log(`Loaded state: phase=${state.phase}, step=${state.stepIndex}`);
+  // supervisor.js stops workers with SIGTERM - finish the current round first
+  process.on("SIGTERM", () => {
+    logEvent("shutdown", "SIGTERM received, stopping after this round");
+    running = false;
+  });
+  if (process.send) process.on("message", onSupervisorMessage);
 
-  // Main loop
+  // Main loop - one scheduler round ticks every market in turn, sharing
+  // the RPC connection and the Jupiter quote budget
   while (running) {
+    // Telegram commands run here, between ticks, so they never race a swap
+    try {
+      await processCommands();
+    } catch (err) {
+      logError(`Command error: ${err.message}`);
+    }
+
+    for (const m of markets) {
+      useMarket(m);
+      const started = Date.now();
+      try {
+        await updateMarketMetrics(await tick(readState()));
+      } catch (err) {
+        logError(`Tick error: ${err.message}`);
+      }
+      metrics.observe("mmprofit_tick_seconds", { market: m.label }, (Date.now() - started) / 1000);
+    }
+    if (config.metrics.enabled) {
+      try {
+        await updateBalanceMetric();
+      } catch (err) {
+        logError(`Balance metric failed: ${err.message}`);
+      }
+    }
     try {
-      // Re-read state each tick to pick up changes from Telegram commands
-      state = readState();
-      state = await tick(state);
+      await checkPortfolioDrawdown();
     } catch (err) {
-      logError(`Tick error: ${err.message}`);
+      logError(`Drawdown check error: ${err.message}`);
     }
-    await sleep(config.priceCheckMs);
+
+    reportToSupervisor();
+    if (running) await sleep(config.priceCheckMs);
   }
+  // The IPC listener would keep the process alive
+  process.removeListener("message", onSupervisorMessage);
+  logEvent("shutdown", "Bot stopped");
 }
 
 // Run if executed directly
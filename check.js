@@ -1,11 +1,9 @@
 // Quick wallet balance checker
 require("dotenv").config();
-const fs = require("fs");
-const path = require("path");
 const { Connection, PublicKey } = require("@solana/web3.js");
+const walletStore = require("./wallets");
 
 const RPC_URL = process.env.SOLANA_RPC_URL;
-const WALLETS_FILE = path.join(__dirname, "wallets.json");
 
 async function main() {
   if (!RPC_URL) {
@@ -16,14 +14,14 @@ async function main() {
   const connection = new Connection(RPC_URL, "confirmed");
 
   // Load wallets
-  if (!fs.existsSync(WALLETS_FILE)) {
-    console.error("wallets.json not found");
+  let wallets;
+  try {
+    wallets = walletStore.readWallets();
+  } catch (err) {
+    console.error(err.message);
     process.exit(1);
   }
 
-  const data = JSON.parse(fs.readFileSync(WALLETS_FILE, "utf8"));
-  const wallets = data.wallets || [];
-
   if (!wallets.length) {
     console.log("No wallets found");
     return;
@@ -31,12 +29,18 @@ async function main() {
 
   const activeIndex = Number(process.env.WALLET_INDEX) || 0;
   const targetMint = process.env.TARGET_MINT || "(not set)";
+  const supervised = new Set(walletStore.getTradingWallets(wallets).map(w => w.index));
+  const volParent = walletStore.getVolParentIndex(wallets);
 
   console.log("═══════════════════════════════════════════════════════════");
   console.log("                    WALLET BALANCES");
   console.log("═══════════════════════════════════════════════════════════");
   console.log(`  Active wallet: index ${activeIndex}`);
   console.log(`  Target token:  ${targetMint}`);
+  console.log(`  Supervisor:    ${supervised.size} trading wallet(s) [${[...supervised].join(", ")}]`);
+  for (const problem of walletStore.validateRoles(wallets)) {
+    console.log(`  WARNING: ${problem}`);
+  }
   console.log("═══════════════════════════════════════════════════════════\n");
 
   for (let i = 0; i < wallets.length; i++) {
@@ -45,7 +49,9 @@ async function main() {
 
     const isActive = i === activeIndex;
     const marker = isActive ? "→" : " ";
-    console.log(`${marker}[${i}] ${wallet.name || "unnamed"}${isActive ? " (ACTIVE)" : ""}`);
+    const role = i === volParent ? "vol_parent" : walletStore.walletRole(wallet);
+    const keys = walletStore.isEncrypted(wallet) ? "encrypted" : "PLAINTEXT";
+    console.log(`${marker}[${i}] ${wallet.name || "unnamed"} <${role}, ${keys}>${isActive ? " (ACTIVE)" : ""}`);
     console.log(`    ${wallet.publicKey}`);
 
     try {
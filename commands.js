@@ -0,0 +1,175 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Command Channel
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// File-based queue between telegram.js and the bot.js main loop.
+//
+//   telegram.js  ──sendCommand()──▶  inbox/<id>.json
+//   bot.js       ──takeCommands()──  (executes between ticks)
+//   bot.js       ──ackCommand()───▶  acks/<id>.json
+//   telegram.js  ──waitForAck()───  (reports result back to chat)
+//
+// An ack written after its waiter gave up is removed by removeStaleAcks().
+//
+// and the other way, for events nobody asked for (stop-outs):
+//
+//   bot.js       ──postNotification()──▶  outbox/<id>.json
+//   telegram.js  ──takeNotifications()──  (sends them to the chat)
+//
+// Files are written to a temp name and renamed so readers never see a
+// partially written command.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const COMMANDS_DIR = process.env.COMMANDS_DIR
+  ? path.resolve(process.env.COMMANDS_DIR)
+  : path.join(__dirname, "data", "commands");
+const INBOX_DIR = path.join(COMMANDS_DIR, "inbox");
+const ACKS_DIR = path.join(COMMANDS_DIR, "acks");
+const OUTBOX_DIR = path.join(COMMANDS_DIR, "outbox");
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+function newCommandId() {
+  // Time-prefixed so lexical order == submission order
+  return `${Date.now()}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PRODUCER SIDE (telegram.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function sendCommand(action, args = {}) {
+  ensureDir(INBOX_DIR);
+  const id = newCommandId();
+  writeJsonAtomic(path.join(INBOX_DIR, `${id}.json`), {
+    id,
+    action,
+    args,
+    timestamp: Date.now(),
+  });
+  return id;
+}
+
+async function waitForAck(id, timeoutMs, pollMs = 500) {
+  const file = path.join(ACKS_DIR, `${id}.json`);
+  const start = Date.now();
+
+  while (Date.now() - start < timeoutMs) {
+    if (fs.existsSync(file)) {
+      try {
+        const ack = JSON.parse(fs.readFileSync(file, "utf8"));
+        fs.unlinkSync(file);
+        return ack;
+      } catch {}
+    }
+    await sleep(pollMs);
+  }
+
+  // Nobody picked it up - withdraw it so it can't fire later
+  try {
+    fs.unlinkSync(path.join(INBOX_DIR, `${id}.json`));
+  } catch {}
+  return null;
+}
+
+// Acks nobody is waiting for any more - the command finished after its
+// waitForAck timed out
+function removeStaleAcks(maxAgeMs) {
+  if (!fs.existsSync(ACKS_DIR)) return;
+
+  for (const name of fs.readdirSync(ACKS_DIR)) {
+    const file = path.join(ACKS_DIR, name);
+    try {
+      if (Date.now() - fs.statSync(file).mtimeMs > maxAgeMs) {
+        fs.unlinkSync(file);
+      }
+    } catch {}
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONSUMER SIDE (bot.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Read and remove every message in a queue directory, oldest first
+function drainDir(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = fs.readdirSync(dir)
+    .filter(name => name.endsWith(".json"))
+    .sort();
+
+  const messages = [];
+  for (const name of files) {
+    const file = path.join(dir, name);
+    try {
+      const msg = JSON.parse(fs.readFileSync(file, "utf8"));
+      fs.unlinkSync(file);
+      messages.push(msg);
+    } catch {
+      // Malformed or already taken - drop it
+      try { fs.unlinkSync(file); } catch {}
+    }
+  }
+  return messages;
+}
+
+function takeCommands() {
+  return drainDir(INBOX_DIR);
+}
+
+function ackCommand(id, result) {
+  ensureDir(ACKS_DIR);
+  writeJsonAtomic(path.join(ACKS_DIR, `${id}.json`), {
+    id,
+    ...result,
+    timestamp: Date.now(),
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NOTIFICATIONS (bot.js -> telegram.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function postNotification(event) {
+  ensureDir(OUTBOX_DIR);
+  const id = newCommandId();
+  writeJsonAtomic(path.join(OUTBOX_DIR, `${id}.json`), {
+    id,
+    ...event,
+    timestamp: Date.now(),
+  });
+  return id;
+}
+
+function takeNotifications() {
+  return drainDir(OUTBOX_DIR);
+}
+
+module.exports = {
+  COMMANDS_DIR,
+  sendCommand,
+  waitForAck,
+  removeStaleAcks,
+  takeCommands,
+  ackCommand,
+  postNotification,
+  takeNotifications,
+};
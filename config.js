@@ -2,12 +2,34 @@
 // All trading parameters in one place - easy to tweak
 
 module.exports = {
+  // ═══════════════════════════════════════════════════════════════
+  // STRATEGY
+  // ═══════════════════════════════════════════════════════════════
+
+  // "ladder" = DCA ladder + trailing stop (entry, steps, trailing below)
+  // "grid"   = lot-based grid for ranging tokens (strategies/grid.js, see GRID)
+  // Or your own: "<name>" loads strategies/<name>.js, "./path/to/file.js" is
+  // relative to the repo root (interface in strategies/index.js)
+  strategy: "ladder",
+
   // ═══════════════════════════════════════════════════════════════
   // ENTRY LOGIC
   // ═══════════════════════════════════════════════════════════════
 
   entryDropPct: 4,              // Default: buy when price drops 4% from watch price
 
+  // Where the watch price sits while WATCHING (it never moves once building):
+  //   fixed           first price seen after a sell / startup (original behaviour)
+  //   trailing_high   follows new highs - re-anchors once price is reanchorPct above it
+  //   rolling_high    highest price of the last windowHours
+  //   periodic_reset  jumps to the current price every resetHours
+  watchAnchor: {
+    mode: "fixed",
+    reanchorPct: 0,             // trailing_high: min rise before moving up (0 = every new high)
+    windowHours: 6,             // rolling_high: lookback window
+    resetHours: 12,             // periodic_reset: re-anchor interval
+  },
+
   // Position building steps (3 steps)
   steps: [
     { dropPct: 4,  sizePct: 15 },   // Step 1: 4% drop, use 15% of allocation
@@ -15,12 +37,54 @@ module.exports = {
     { dropPct: 23, sizePct: 60 },   // Step 3: 23% drop, use 60% of allocation
   ],
 
+  // ═══════════════════════════════════════════════════════════════
+  // VOLATILITY-ADAPTIVE LADDER (disabled by default)
+  // ═══════════════════════════════════════════════════════════════
+
+  // Scales the entry trigger, every step dropPct and the trailing stop by
+  // realizedVol / baselineVolPct, clamped to [minScale, maxScale]: wider
+  // steps when the token is swinging hard, tighter when it's quiet.
+  // Realized vol = % move over windowMinutes from the tick history.
+  volatilityLadder: {
+    enabled: false,
+    windowMinutes: 60,          // Lookback for realized volatility
+    baselineVolPct: 5,          // Vol at which the ladder is used as configured
+    minScale: 0.5,              // Never tighter than half the configured drops
+    maxScale: 2.5,              // Never wider than 2.5x
+    scaleTrailing: true,        // Also scale trailingStopPct
+  },
+
   // ═══════════════════════════════════════════════════════════════
   // WALLET & ALLOCATION
   // ═══════════════════════════════════════════════════════════════
 
   maxWalletUsePct: 80,          // Only use 80% of SOL balance
 
+  // ═══════════════════════════════════════════════════════════════
+  // MULTI-TOKEN PORTFOLIO (empty = single token from TARGET_MINT)
+  // ═══════════════════════════════════════════════════════════════
+
+  // Each entry runs its own state machine with data/state-<label>.json.
+  // sharePct is its slice of maxWalletUsePct (default: split evenly), taken
+  // from free SOL plus the other tokens' open positions at cost.
+  // steps is optional and overrides the ladder above for that token.
+  portfolio: [
+    // { mint: "DezX...B263", label: "BONK", sharePct: 60 },
+    // { mint: "EKpQ...zcjm", label: "WIF", sharePct: 40,
+    //   steps: [{ dropPct: 6, sizePct: 30 }, { dropPct: 15, sizePct: 70 }] },
+  ],
+
+  // ═══════════════════════════════════════════════════════════════
+  // MULTI-WALLET SUPERVISOR (npm run supervisor)
+  // ═══════════════════════════════════════════════════════════════
+
+  // One bot worker per trading wallet in wallets.json (TRADE_WALLET_COUNT
+  // caps how many, BOT_RESTART_DELAY_MS sets the crash restart delay).
+  supervisor: {
+    perMint: false,             // true = one worker per wallet x portfolio entry
+    statusIntervalMs: 15000,    // How often data/supervisor.json is refreshed
+  },
+
   // ═══════════════════════════════════════════════════════════════
   // TAKE PROFIT - TRAILING STOP
   // ═══════════════════════════════════════════════════════════════
@@ -41,6 +105,37 @@ module.exports = {
     ]
   },
 
+  // ═══════════════════════════════════════════════════════════════
+  // STOP-LOSS & RISK (0 = disabled)
+  // ═══════════════════════════════════════════════════════════════
+
+  // A stop-out sells the whole position, then the market sits in LOCKOUT
+  // (no new entries) for lockoutHours before it starts watching again.
+  stopLossPct: 0,               // Sell when price falls this % below avg entry (e.g. 30)
+  maxHoldHours: 0,              // Sell when a position has been open this long (e.g. 72)
+  maxDrawdownPct: 0,            // Sell every token when portfolio equity drops this % from its peak (paused ones excepted)
+  lockoutHours: 12,             // No re-entry for 12 hours after a stop-out
+
+  // ═══════════════════════════════════════════════════════════════
+  // GRID (strategy: "grid")
+  // ═══════════════════════════════════════════════════════════════
+
+  // The allocation is split into maxUnits lots. Each lot remembers what it
+  // cost and sells on its own once price is one grid step above its buy.
+  // Stop-loss, max drawdown and the lockout apply to grid positions too.
+  grid: {
+    stepPct: 1.5,               // Base grid spacing (and each lot's take-profit distance)
+    minStepPct: 1,              // Spacing is clamped to min..max after the vol adjustment
+    maxStepPct: 5,
+    volWindowSec: 60,           // Spacing widens with the avg tick move over this window...
+    volMult: 2,                 // ...as stepPct x (1 + avgMovePct x volMult)
+    maxUnits: 10,               // Lots the allocation is split into
+    seedUnits: -1,              // Lots bought when the grid anchors (-1 = half of maxUnits)
+    skipMult: 0.5,              // Extra size per level gapped through in one tick
+    gapReanchorPct: 20,         // Re-anchor when flat and price is 20% from the anchor
+    minProfitPct: 0.25,         // A lot only sells if its quote beats its cost by 0.25% after fees
+  },
+
   // ═══════════════════════════════════════════════════════════════
   // DYNAMIC RE-ENTRY (after profitable sell)
   // ═══════════════════════════════════════════════════════════════
@@ -65,20 +160,196 @@ module.exports = {
   priceCheckMs: 3000,           // Check price every 3 seconds
   confirmTicks: 2,              // Require 2 consecutive ticks to confirm signals
 
+  // ═══════════════════════════════════════════════════════════════
+  // STATE FILES (statefile.js)
+  // ═══════════════════════════════════════════════════════════════
+
+  // State is written atomically (temp file + rename) under a lock file.
+  // Each write that changes the position, phase or step first copies the
+  // old file to state.json.1 (newest) .. state.json.<backups>.
+  state: {
+    backups: 5,                 // Rolling backups kept per state file (0 = none)
+    lockTimeoutMs: 2000,        // Give up on a held lock after 2 seconds
+    lockStaleMs: 10000,         // A lock older than this is left over from a crash
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // LOGGING (logger.js)
+  // ═══════════════════════════════════════════════════════════════
+
+  // data/bot.jsonl gets one JSON object per line (event type, market,
+  // amounts, signature...); the console gets the same as readable text.
+  logging: {
+    level: "info",              // debug | info | warn | error (debug adds every tick's price)
+    maxMb: 10,                  // Roll the file over past this size (and at each new UTC day)
+    retentionDays: 14,          // Delete rolled-over files older than this
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // METRICS (metrics.js)
+  // ═══════════════════════════════════════════════════════════════
+
+  // Prometheus-style scrape endpoint: http://127.0.0.1:9464/metrics
+  // (tick / quote latency, errors, swaps by side, phase, position, P&L,
+  // SOL balance, slippage and priority fee in effect).
+  metrics: {
+    enabled: false,             // Off by default - nothing listens unless turned on
+    host: "127.0.0.1",          // Localhost only; put a proxy in front to expose it
+    port: 9464,                 // Supervisor workers take 9464, 9465, ... in wallet order
+    balanceRefreshMs: 30000,    // Wallet SOL balance is re-read this often
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // RECONCILER (/reconcile and /fix)
+  // ═══════════════════════════════════════════════════════════════
+
+  // The open position is rebuilt from the token account's on-chain history,
+  // back to the last time the balance was zero (the ledger's last full exit
+  // when it has one). It runs between ticks, so the walk is capped.
+  reconcile: {
+    maxSignatures: 1000,        // Signatures searched per token account before giving up
+    maxTransactions: 200,       // Transactions fetched back to the zero balance before giving up
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // JUPITER API (shared by bot, swap, sell and the legacy bots)
+  // ═══════════════════════════════════════════════════════════════
+
+  // Base URL from JUPITER_API_BASE (default lite-api.jup.ag); the quote,
+  // swap and token endpoints are discovered from the lite and v6 paths.
+  jupiter: {
+    timeoutMs: 10000,           // Abort a request after 10 seconds
+    minQuoteIntervalMs: 1000,   // Min gap between quotes (shared by all tokens)
+    rateLimitBackoffMs: 5000,   // On 429 wait 5s, 10s, 15s... (or Retry-After)
+    rateLimitMaxRetries: 3,     // Give up after 3 backoffs
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // RPC POOL (rpc.js)
+  // ═══════════════════════════════════════════════════════════════
+
+  // SOLANA_RPC_URL first, then the fallbacks in SOLANA_RPC_URLS (comma-
+  // separated). Calls fail over to the next healthy endpoint on network
+  // errors, timeouts, 429s and 5xx.
+  rpc: {
+    healthCheckMs: 30000,       // Check every endpoint's slot + latency this often
+    maxLatencyMs: 2000,         // Slower than this = unhealthy
+    maxSlotLag: 20,             // This many slots behind the best endpoint = unhealthy
+    requestTimeoutMs: 15000,    // Abort a single RPC request after 15 seconds
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // TRANSACTION SENDING (sender.js)
+  // ═══════════════════════════════════════════════════════════════
+
+  // Swaps are sent to SOLANA_RPC_URL plus every URL in SOLANA_SEND_RPC_URLS
+  // (comma-separated, e.g. a staked or Jito endpoint) and rebroadcast until
+  // they confirm or their blockhash expires. If the outcome is unknown the
+  // wallet balance decides whether the swap landed before it is retried.
+  send: {
+    rebroadcastMs: 2000,        // Resend to every endpoint this often
+    pollMs: 1500,               // Status / block height check interval
+    timeoutMs: 120000,          // Give up (outcome unknown) if expiry can't be confirmed by then
+  },
+
   // ═══════════════════════════════════════════════════════════════
   // FEES & SLIPPAGE
   // ═══════════════════════════════════════════════════════════════
 
   buySlippageBps: 150,          // 1.5% slippage for buys
   sellSlippageBps: 100,         // 1% slippage for sells
-  buyPriorityFeeLamports: 0,    // Priority fee for buys (0 = none)
-  sellPriorityFeeLamports: 0,   // Priority fee for sells (0 = none)
+  buyPriorityFeeLamports: 0,    // Priority fee for buys when feeEstimator is off (0 = none)
+  sellPriorityFeeLamports: 0,   // Priority fee for sells when feeEstimator is off (0 = none)
 
-  // Escalation on failed transactions
+  // First attempt of every swap: the percentile of getRecentPrioritizationFees
+  // for the pools on its route (micro-lamports per compute unit) x computeUnits,
+  // clamped to floorLamports..capLamports
+  feeEstimator: {
+    enabled: true,
+    percentile: 75,             // 50 = median, 90 = outbid most recent txs
+    computeUnits: 300000,       // Typical Jupiter swap (turns the per-CU price into lamports)
+    floorLamports: 1000,        // Never less (also used when the RPC call fails)
+    capLamports: 100000,        // Never more than 0.0001 SOL
+  },
+
+  // Escalation on failed transactions (buys and sells, reset after a fill)
   slippageStepBps: 25,          // Increase slippage by 0.25% per retry
   slippageCapBps: 500,          // Max slippage 5%
-  priorityFeeStepLamports: 2000,
-  priorityFeeCapLamports: 20000,
+  priorityFeeStepLamports: 2000,  // Added to the estimate / static fee per retry
+  priorityFeeCapLamports: 20000,  // Escalation stops here (a higher estimate is still used as is)
+
+  // ═══════════════════════════════════════════════════════════════
+  // TRADE GUARD (checked on every swap quote before it is sent, 0 = off)
+  // ═══════════════════════════════════════════════════════════════
+
+  // An order whose price impact is over the limit is split into equal
+  // slices (each re-quoted and re-checked) when splitOrders is on, otherwise
+  // rejected. Rejections are logged and sent to Telegram with the numbers.
+  // Stop-loss / time stop / max drawdown exits and /sell are never rejected:
+  // they are still split (up to maxSlices) but go out whatever the checks
+  // say, so a pool being drained can't trap the position.
+  tradeGuard: {
+    maxPriceImpactPct: 5,         // Jupiter's quoted price impact for the order
+    splitOrders: true,            // Split an order over the impact limit...
+    maxSlices: 4,                 // ...into at most 4 swaps (more needed = reject)
+    maxTickDeviationPct: 10,      // Quote price vs the last tick price (spike / manipulation)
+    minLiquiditySol: 0,           // Pool depth implied by the quote's impact, in SOL (e.g. 50)
+    priceProbeSol: 0.1,           // Size of the quote that prices every tick
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // TWAP ORDER SLICING (disabled by default)
+  // ═══════════════════════════════════════════════════════════════
+
+  // Buys and full exits worth at least minOrderSol go out as `slices` child
+  // swaps spread over windowMinutes (one now, then one per window/slices).
+  // Each child is its own swap with the slippage / priority-fee escalation
+  // and updates the position as it lands; the order is kept in the state
+  // file and carries on after a restart. The strategy waits until it's done.
+  twap: {
+    enabled: false,
+    minOrderSol: 0.5,           // Smaller orders are sent in one swap
+    slices: 4,                  // Child swaps per order
+    windowMinutes: 10,          // Time the children are spread over
+    impactBudgetPct: 1,         // Send the rest at once when its quoted impact is within this (0 = always all slices)
+    sliceStops: false,          // Also slice stop-loss / time stop / drawdown exits (false = dump at once)
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // SIMULATION (paper trading - disabled by default)
+  // ═══════════════════════════════════════════════════════════════
+
+  // Fills are taken from the Jupiter quote and never sent on-chain.
+  // Uses data/sim_state.json + data/sim_wallet.json so real state is untouched.
+  // Delete data/sim_wallet.json to restart with a fresh virtual balance.
+  simulation: {
+    enabled: false,
+    startSol: 1,                // Virtual SOL balance for a fresh sim wallet
+    networkFeeLamports: 5000,   // Simulated base fee charged per swap
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // PRICE RECORDER (data/prices/<mint>/<day>.jsonl - replay with backtest)
+  // ═══════════════════════════════════════════════════════════════
+
+  recorder: {
+    enabled: true,              // Record every price check made by the trading loop
+    format: "jsonl",            // "jsonl" or "csv"
+    retentionDays: 30,          // Delete daily files older than this (0 = keep forever)
+    intervalMs: 3000,           // Poll interval for the standalone record command
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // BACKTEST (npm run backtest -- <prices.csv|prices.jsonl>)
+  // ═══════════════════════════════════════════════════════════════
+
+  backtest: {
+    startSol: 1,                // Starting SOL balance
+    slippageBps: 50,            // Adverse slippage applied to every fill
+    feeBps: 25,                 // DEX/LP fee taken from every fill
+    networkFeeLamports: 5000,   // Network fee per swap
+    tokenDecimals: 6,           // Decimals of the replayed token
+  },
 
   // ═══════════════════════════════════════════════════════════════
   // TELEGRAM
@@ -86,4 +357,8 @@ module.exports = {
 
   tgPollIntervalMs: 1000,       // Poll Telegram every 1 second
   tgStatusRefreshMs: 10000,     // Auto-refresh status every 10 seconds (0 = disabled)
+
+  // Commands are queued to the trading process (npm start) via data/commands
+  commandTtlMs: 150000,         // Drop queued commands not picked up within 150s (a tick can sit in a swap)
+  commandAckTimeoutMs: 300000,  // How long Telegram waits for a result (queue wait + swap confirmation)
 };
@@ -0,0 +1,126 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Swap Journal
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Write-ahead log for live swaps (data/journal.jsonl). A swap's intent is
+// appended - and fsynced - after it is signed and before it is sent, so a
+// process that dies mid-swap leaves a record of what may be on-chain:
+//
+//   intent   id, mint, side, signature, lastValidBlockHeight, the quote, the
+//            priority fee, the order's reason + meta, wallet balances before
+//   applied  the fill is in the state file (written after writeState)
+//   dropped  the swap can't have landed (rejected, failed, expired)
+//
+// The state file lists the ids it has booked until their applied entries
+// are written (state.bookedSwaps). An intent in neither at startup is
+// resolved by bot.js (recoverSwaps). compact() drops settled entries.
+
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "data");
+const JOURNAL_FILE = path.join(DATA_DIR, "journal.jsonl");
+
+let lastId = 0;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// READ / WRITE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Unlike the ledger this must hit the disk before the swap is sent - a
+// failed append throws and the swap is never sent
+function appendEntry(entry) {
+  const line = JSON.stringify({ timestamp: Date.now(), ...entry }, (key, value) =>
+    typeof value === "bigint" ? value.toString() : value
+  );
+  const fd = fs.openSync(JOURNAL_FILE, "a+");
+  try {
+    // A torn last line from a crash must not swallow this entry
+    fs.writeSync(fd, (endsTorn(fd) ? "\n" : "") + line + "\n");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function endsTorn(fd) {
+  const { size } = fs.fstatSync(fd);
+  if (!size) return false;
+  const last = Buffer.alloc(1);
+  fs.readSync(fd, last, 0, 1, size - 1);
+  return last[0] !== 0x0a;
+}
+
+function readEntries() {
+  if (!fs.existsSync(JOURNAL_FILE)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(JOURNAL_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Torn last line after a crash - skip it
+    }
+  }
+  return entries;
+}
+
+// Millisecond timestamps, bumped past the last one handed out (this run or
+// the journal's) so two swaps in the same millisecond still sort in order
+function newId() {
+  if (!lastId) {
+    lastId = readEntries().reduce((max, entry) => Math.max(max, entry.id || 0), 0);
+  }
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENTRIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function recordIntent(intent) {
+  const id = newId();
+  appendEntry({ type: "intent", id, ...intent });
+  return id;
+}
+
+function markApplied(ids) {
+  for (const id of ids) {
+    appendEntry({ type: "applied", id });
+  }
+}
+
+function markDropped(id, reason) {
+  appendEntry({ type: "dropped", id, reason });
+}
+
+// Intents for this mint with no applied / dropped entry, oldest first
+function pendingIntents(mint) {
+  const entries = readEntries();
+  const settled = new Set(entries.filter(e => e.type !== "intent").map(e => e.id));
+  return entries.filter(e => e.type === "intent" && e.mint === mint && !settled.has(e.id));
+}
+
+// Rewrite the journal with just the open intents (after startup recovery)
+function compact() {
+  const entries = readEntries();
+  const settled = new Set(entries.filter(e => e.type !== "intent").map(e => e.id));
+  const open = entries.filter(e => e.type === "intent" && !settled.has(e.id));
+  if (open.length === entries.length) return;
+
+  const tmp = `${JOURNAL_FILE}.tmp`;
+  fs.writeFileSync(tmp, open.map(e => JSON.stringify(e) + "\n").join(""), "utf8");
+  fs.renameSync(tmp, JOURNAL_FILE);
+}
+
+module.exports = {
+  recordIntent,
+  markApplied,
+  markDropped,
+  pendingIntents,
+  compact,
+};
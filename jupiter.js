@@ -0,0 +1,317 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Jupiter Client
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// The one place that talks to the Jupiter HTTP API (bot, swap, sell and the
+// legacy bots all use it).
+//
+// Endpoints: JUPITER_API_BASE (default lite-api.jup.ag) is probed with the
+// lite paths (/swap/v1/...) and the v6 paths, in the order that suits the
+// host. The first path that answers is remembered and tried first from then
+// on; a 404 forgets it and discovery starts over. JUPITER_QUOTE_URL,
+// JUPITER_SWAP_URL and JUPITER_TOKENS_URL pin an exact URL instead.
+//
+// Every request has a timeout, 429s back off and retry, and quotes share a
+// minimum interval (config.jupiter). Failures are thrown as the typed errors
+// below so callers can tell "no route" from "rate limited" from "Jupiter down".
+
+const fetch = global.fetch || require("node-fetch");
+const config = require("./config");
+
+const JUP_BASE_URL = (process.env.JUPITER_API_BASE || "https://lite-api.jup.ag").replace(/\/+$/, "");
+const JUP_API_KEY = process.env.JUPITER_API_KEY || "";
+
+const ENDPOINTS = {
+  quote: {
+    override: process.env.JUPITER_QUOTE_URL,
+    lite: ["/swap/v1/quote", "/quote", "/v1/quote"],
+    v6: ["/v6/quote"],
+  },
+  swap: {
+    override: process.env.JUPITER_SWAP_URL,
+    lite: ["/swap/v1/swap", "/swap", "/v1/swap"],
+    v6: ["/v6/swap"],
+  },
+  tokens: {
+    override: process.env.JUPITER_TOKENS_URL,
+    lite: ["/tokens", "/v1/tokens"],
+    v6: ["/v6/tokens"],
+  },
+};
+
+// Tunables - config.jupiter, overridable per process with configure()
+const options = {
+  timeoutMs: config.jupiter.timeoutMs,
+  minQuoteIntervalMs: config.jupiter.minQuoteIntervalMs,
+  rateLimitBackoffMs: config.jupiter.rateLimitBackoffMs,
+  rateLimitMaxRetries: config.jupiter.rateLimitMaxRetries,
+  log: (...args) => console.warn(...args),
+};
+
+const discovered = {};          // kind -> URL that last worked
+let lastQuoteAt = 0;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ERRORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+class JupiterError extends Error {
+  constructor(message, { status = null, url = null, body = null } = {}) {
+    super(message);
+    this.name = "JupiterError";
+    this.status = status;
+    this.url = url;
+    this.body = body;
+  }
+}
+
+// Still 429 after every backoff
+class RateLimitError extends JupiterError {
+  constructor(label, url) {
+    super(`${label} rate limited (429) after ${options.rateLimitMaxRetries} retries`, { status: 429, url });
+    this.name = "RateLimitError";
+  }
+}
+
+// Every candidate path returned 404 - Jupiter moved the API again
+class EndpointNotFoundError extends JupiterError {
+  constructor(label, urls) {
+    super(`${label} failed: endpoint not found (404). Tried: ${urls.join(", ")}`, { status: 404 });
+    this.name = "EndpointNotFoundError";
+    this.urls = urls;
+  }
+}
+
+class TimeoutError extends JupiterError {
+  constructor(label, url) {
+    super(`${label} timed out after ${options.timeoutMs}ms (${url})`, { url });
+    this.name = "TimeoutError";
+  }
+}
+
+// DNS, connection reset, TLS...
+class NetworkError extends JupiterError {
+  constructor(label, url, cause) {
+    super(`${label} fetch failed: ${cause.message || cause} (${url})`, { url });
+    this.name = "NetworkError";
+  }
+}
+
+// The pair has no route (or no liquidity) for this amount
+class NoRouteError extends JupiterError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = "NoRouteError";
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function configure(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) options[key] = value;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// lite-api serves the /swap/v1 paths; anything else is tried as v6 first
+function candidateUrls(kind) {
+  const endpoint = ENDPOINTS[kind];
+  if (endpoint.override) return [endpoint.override];
+
+  const isLite = JUP_BASE_URL.includes("lite-api");
+  const paths = isLite
+    ? endpoint.lite.concat(endpoint.v6)
+    : endpoint.v6.concat(endpoint.lite);
+  const urls = paths.map(p => `${JUP_BASE_URL}${p}`);
+
+  const known = discovered[kind];
+  return known ? [known, ...urls.filter(u => u !== known)] : urls;
+}
+
+function isNoRoute(status, body) {
+  return status === 400 && /no.?route|could.?not.?find.?any.?route|TOKEN_NOT_TRADABLE/i.test(body);
+}
+
+function retryAfterMs(response, attempt) {
+  const header = Number(response.headers.get("retry-after"));
+  if (Number.isFinite(header) && header > 0) return header * 1000;
+  return options.rateLimitBackoffMs * (attempt + 1);
+}
+
+// One URL: timeout + 429 backoff. Returns the Response (ok or 404) and its
+// body text - the timeout covers reading the body too, a stalled one aborts.
+async function requestOnce(url, init, label) {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeoutMs);
+
+    let response;
+    let body;
+    try {
+      response = await fetch(url, {
+        ...init,
+        headers: { ...(init.headers || {}), ...(JUP_API_KEY ? { "x-api-key": JUP_API_KEY } : {}) },
+        signal: controller.signal,
+      });
+      body = await response.text();
+    } catch (err) {
+      if (err.name === "AbortError") throw new TimeoutError(label, url);
+      throw new NetworkError(label, url, err);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.status !== 429) return { response, body };
+    if (attempt >= options.rateLimitMaxRetries) throw new RateLimitError(label, url);
+
+    const waitMs = retryAfterMs(response, attempt);
+    options.log(`${label} rate limited, backing off ${waitMs}ms (attempt ${attempt + 1})`);
+    await sleep(waitMs);
+  }
+}
+
+// Walk the candidate endpoints, skipping 404s, and parse the JSON body
+async function request(kind, label, { query = null, init = { method: "GET" } } = {}) {
+  const urls = candidateUrls(kind);
+  const tried = [];
+
+  for (const rawUrl of urls) {
+    const url = new URL(rawUrl);
+    for (const [key, value] of Object.entries(query || {})) {
+      url.searchParams.set(key, String(value));
+    }
+    tried.push(rawUrl);
+
+    const { response, body } = await requestOnce(url.toString(), init, label);
+    if (response.status === 404) {
+      if (discovered[kind] === rawUrl) delete discovered[kind];
+      continue;
+    }
+
+    if (!response.ok) {
+      const details = { status: response.status, url: rawUrl, body };
+      if (isNoRoute(response.status, body)) {
+        throw new NoRouteError(`${label}: no route (${body.slice(0, 200)})`, details);
+      }
+      throw new JupiterError(`${label} failed: ${response.status} ${body.slice(0, 200)} (${rawUrl})`, details);
+    }
+
+    // An HTML error page from a proxy, or a cut-off body
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (err) {
+      throw new JupiterError(`${label} failed: unreadable response (${err.message}) (${rawUrl})`, {
+        status: response.status,
+        url: rawUrl,
+        body: body.slice(0, 200),
+      });
+    }
+    discovered[kind] = rawUrl;
+    return data;
+  }
+
+  throw new EndpointNotFoundError(label, tried);
+}
+
+// All callers in this process share one quote budget
+async function waitForQuoteSlot() {
+  // Reserve the slot before sleeping, so concurrent callers queue up behind
+  // each other instead of all waking at once
+  const slot = Math.max(Date.now(), lastQuoteAt + options.minQuoteIntervalMs);
+  lastQuoteAt = slot;
+  const wait = slot - Date.now();
+  if (wait > 0) {
+    await sleep(wait);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// API
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function fetchQuote(inputMint, outputMint, amount, slippageBps, extraParams = {}) {
+  await waitForQuoteSlot();
+
+  const data = await request("quote", "Quote", {
+    query: {
+      inputMint,
+      outputMint,
+      amount: amount.toString(),
+      slippageBps,
+      ...extraParams,
+    },
+  });
+
+  if (!data || !data.outAmount) {
+    throw new NoRouteError("Quote returned no outAmount", { body: JSON.stringify(data).slice(0, 200) });
+  }
+  return data;
+}
+
+// Full /swap response (swapTransaction, lastValidBlockHeight, ...).
+// swapOptions are merged into the request body (prioritizationFeeLamports...).
+async function fetchSwap(quote, userPublicKey, swapOptions = {}) {
+  const data = await request("swap", "Swap", {
+    init: {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        quoteResponse: quote,
+        userPublicKey,
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+        ...swapOptions,
+      }),
+    },
+  });
+
+  if (!data || !data.swapTransaction) {
+    throw new JupiterError("Swap response missing transaction", { body: JSON.stringify(data).slice(0, 200) });
+  }
+  return data;
+}
+
+// Base64 transaction only
+async function fetchSwapTransaction(quote, userPublicKey, swapOptions = {}) {
+  const data = await fetchSwap(quote, userPublicKey, swapOptions);
+  return data.swapTransaction;
+}
+
+// Map<mint, token> - or null when this host has no token list endpoint
+async function fetchTokenMap() {
+  let tokens;
+  try {
+    tokens = await request("tokens", "Token list");
+  } catch (err) {
+    if (err instanceof EndpointNotFoundError) return null;
+    throw err;
+  }
+
+  const map = new Map();
+  for (const token of tokens) {
+    map.set(token.address, token);
+  }
+  return map;
+}
+
+module.exports = {
+  JUP_BASE_URL,
+  configure,
+  fetchQuote,
+  fetchSwap,
+  fetchSwapTransaction,
+  fetchTokenMap,
+  JupiterError,
+  RateLimitError,
+  EndpointNotFoundError,
+  TimeoutError,
+  NetworkError,
+  NoRouteError,
+};
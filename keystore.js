@@ -0,0 +1,225 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Keystore (encrypted wallet keys)
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Usage: npm run migrate-wallets   encrypt every plaintext key in wallets.json
+//
+// Secret keys are stored per wallet entry as scrypt + AES-256-GCM blobs;
+// publicKey stays in the clear so status, balance and Telegram views never
+// need the passphrase:
+//
+//   { "name": "main", "publicKey": "...",
+//     "keystore": { "version": 1, "kdf": "scrypt", "kdfparams": { "n", "r", "p", "salt" },
+//                   "cipher": "aes-256-gcm", "iv", "tag", "ciphertext" } }
+//
+// The passphrase comes from WALLET_PASSPHRASE, or an interactive prompt
+// when that's unset (supervisor workers get it from the supervisor over
+// IPC). Every entry in one wallets.json uses the same passphrase.
+
+require("dotenv").config();
+const crypto = require("crypto");
+const readline = require("readline");
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_N = 2 ** 17;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+
+let cachedPassphrase = null;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ERRORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+class KeystoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "KeystoreError";
+  }
+}
+
+// Wrong passphrase or a tampered blob - GCM can't tell the two apart
+class DecryptError extends KeystoreError {
+  constructor(name) {
+    super(`Could not decrypt wallet "${name}" - wrong passphrase or corrupted keystore`);
+    this.name = "DecryptError";
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENCRYPT / DECRYPT
+// ═══════════════════════════════════════════════════════════════════════════
+
+function deriveKey(passphrase, kdfparams) {
+  return crypto.scryptSync(passphrase, Buffer.from(kdfparams.salt, "hex"), 32, {
+    N: kdfparams.n,
+    r: kdfparams.r,
+    p: kdfparams.p,
+    maxmem: SCRYPT_MAXMEM,
+  });
+}
+
+function encryptSecretKey(secretKey, passphrase) {
+  const kdfparams = {
+    n: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+    salt: crypto.randomBytes(16).toString("hex"),
+  };
+  const key = deriveKey(passphrase, kdfparams);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretKey)), cipher.final()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    kdf: "scrypt",
+    kdfparams,
+    cipher: "aes-256-gcm",
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    ciphertext: ciphertext.toString("hex"),
+  };
+}
+
+function decryptSecretKey(keystore, passphrase, name = "unnamed") {
+  if (keystore.version !== KEYSTORE_VERSION || keystore.kdf !== "scrypt" || keystore.cipher !== "aes-256-gcm") {
+    throw new KeystoreError(`Wallet "${name}" uses an unsupported keystore format`);
+  }
+
+  const key = deriveKey(passphrase, keystore.kdfparams);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(keystore.iv, "hex"));
+  decipher.setAuthTag(Buffer.from(keystore.tag, "hex"));
+
+  try {
+    return Uint8Array.from(Buffer.concat([
+      decipher.update(Buffer.from(keystore.ciphertext, "hex")),
+      decipher.final(),
+    ]));
+  } catch {
+    throw new DecryptError(name);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PASSPHRASE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Prompt on the terminal without echoing what's typed
+function promptHidden(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new KeystoreError("WALLET_PASSPHRASE is not set and there is no terminal to prompt on"));
+  }
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    rl._writeToOutput = text => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+    rl.question(question, answer => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+// confirm = ask twice (when creating or migrating keys)
+async function getPassphrase({ confirm = false } = {}) {
+  if (cachedPassphrase) return cachedPassphrase;
+
+  let passphrase = process.env.WALLET_PASSPHRASE;
+  if (!passphrase) {
+    passphrase = await promptHidden("Wallet passphrase: ");
+    if (confirm) {
+      const again = await promptHidden("Repeat passphrase: ");
+      if (again !== passphrase) {
+        throw new KeystoreError("Passphrases do not match");
+      }
+    }
+  }
+  if (!passphrase) {
+    throw new KeystoreError("Empty wallet passphrase");
+  }
+
+  cachedPassphrase = passphrase;
+  return passphrase;
+}
+
+// A passphrase handed over by another process (supervisor.js over IPC)
+function setPassphrase(passphrase) {
+  cachedPassphrase = passphrase;
+}
+
+function allowPlaintextKeys() {
+  return process.env.ALLOW_PLAINTEXT_KEYS === "1" || process.env.ALLOW_PLAINTEXT_KEYS === "true";
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MIGRATION (npm run migrate-wallets)
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function migrate() {
+  // Required lazily - wallets.js requires this module
+  const wallets = require("./wallets");
+  const { Keypair } = require("@solana/web3.js");
+
+  const list = wallets.readWallets();
+  const plaintext = list.filter(entry => entry.secretKey);
+  if (!plaintext.length) {
+    console.log("wallets.json has no plaintext keys - nothing to migrate");
+    return;
+  }
+
+  const passphrase = await getPassphrase({ confirm: true });
+
+  // Existing encrypted entries must open with the same passphrase
+  for (const entry of list) {
+    if (entry.keystore) decryptSecretKey(entry.keystore, passphrase, entry.name);
+  }
+
+  const migrated = list.map(entry => {
+    if (!entry.secretKey) return entry;
+
+    const secretKey = Uint8Array.from(entry.secretKey);
+    const publicKey = Keypair.fromSecretKey(secretKey).publicKey.toBase58();
+    const keystore = encryptSecretKey(secretKey, passphrase);
+
+    // Round-trip before anything touches disk
+    const check = decryptSecretKey(keystore, passphrase, entry.name);
+    if (Buffer.compare(Buffer.from(check), Buffer.from(secretKey)) !== 0) {
+      throw new KeystoreError(`Round-trip check failed for wallet "${entry.name}"`);
+    }
+
+    const { secretKey: _dropped, ...rest } = entry;
+    console.log(`Encrypted ${entry.name || "unnamed"} (${publicKey})`);
+    return { ...rest, publicKey, keystore };
+  });
+
+  wallets.saveWallets(migrated);
+  console.log(`Migrated ${plaintext.length} wallet(s). Keep your passphrase safe - it cannot be recovered.`);
+}
+
+module.exports = {
+  KeystoreError,
+  DecryptError,
+  encryptSecretKey,
+  decryptSecretKey,
+  getPassphrase,
+  setPassphrase,
+  allowPlaintextKeys,
+};
+
+if (require.main === module) {
+  const command = process.argv[2];
+  if (command !== "migrate") {
+    console.error("Usage: node keystore.js migrate");
+    process.exit(1);
+  }
+  migrate().catch(err => {
+    console.error("Migration failed:", err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,208 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Trade Ledger
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Append-only JSONL log of every fill (data/ledger.jsonl, or
+// data/sim_ledger.jsonl in simulation mode). Lines are never rewritten;
+// realized P&L is derived by replaying the fills with average cost.
+//
+// Entry fields (amounts are strings of base units, wallet perspective):
+//   type         buy | partial | sell
+//   cycleId      increments on every first buy from a flat position
+//   orderId      signature of the order's first swap (shared by the swaps of
+//                a split or TWAP order)
+//   lamportsOut  SOL leaving the wallet (buys)
+//   lamportsIn   SOL coming back (partials, sells)
+//   tokensIn     tokens received (buys)
+//   tokensOut    tokens sold (partials, sells)
+//   quotedOut    quote.outAmount at the time of the swap
+//   actualOut    amount actually received
+//   feeLamports  network + priority fee the transaction actually paid
+//   priorityFeeLamports  priority fee sent with the swap (estimate + escalation)
+//   costLamports cost basis of the tokens sold, when the strategy tracks lots
+//                (grid) - otherwise the cycle's average cost is used
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "data");
+const LEDGER_FILE = path.join(
+  DATA_DIR,
+  config.simulation.enabled ? "sim_ledger.jsonl" : "ledger.jsonl"
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// READ / WRITE
+// ═══════════════════════════════════════════════════════════════════════════
+
+function appendEntry(entry) {
+  const line = JSON.stringify({ timestamp: Date.now(), ...entry }, (key, value) =>
+    typeof value === "bigint" ? value.toString() : value
+  );
+  try {
+    fs.appendFileSync(LEDGER_FILE, line + "\n", "utf8");
+  } catch (err) {
+    console.error(`Ledger write failed: ${err.message}`);
+  }
+}
+
+function readEntries() {
+  if (!fs.existsSync(LEDGER_FILE)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(LEDGER_FILE, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Torn last line after a crash - skip it
+    }
+  }
+  return entries;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// P&L
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Attach realizedLamports to every partial/sell using average cost per cycle
+function withRealized(entries) {
+  const books = new Map(); // `${mint}:${cycleId}` -> { cost, tokens }
+
+  return entries.map(entry => {
+    const key = `${entry.mint}:${entry.cycleId}`;
+    const book = books.get(key) || { cost: 0n, tokens: 0n };
+    books.set(key, book);
+
+    if (entry.type === "buy") {
+      book.cost += BigInt(entry.lamportsOut || "0");
+      book.tokens += BigInt(entry.tokensIn || "0");
+      return entry;
+    }
+
+    const sold = BigInt(entry.tokensOut || "0");
+    let costPortion = book.tokens > 0n
+      ? (book.cost * (sold < book.tokens ? sold : book.tokens)) / book.tokens
+      : 0n;
+    if (entry.costLamports !== undefined) {
+      costPortion = BigInt(entry.costLamports);
+    }
+    book.cost = costPortion < book.cost ? book.cost - costPortion : 0n;
+    book.tokens = sold < book.tokens ? book.tokens - sold : 0n;
+
+    const realized = BigInt(entry.lamportsIn || "0") - costPortion;
+    return { ...entry, costLamports: costPortion.toString(), realizedLamports: realized.toString() };
+  });
+}
+
+function getCycles(entries = readEntries()) {
+  const cycles = new Map();
+
+  for (const entry of withRealized(entries)) {
+    const key = `${entry.mint}:${entry.cycleId}`;
+    if (!cycles.has(key)) {
+      cycles.set(key, {
+        mint: entry.mint,
+        cycleId: entry.cycleId,
+        openedAt: entry.timestamp,
+        closedAt: null,
+        buys: 0,
+        sells: 0,
+        solSpent: 0n,
+        solReceived: 0n,
+        realizedLamports: 0n,
+      });
+    }
+    const cycle = cycles.get(key);
+
+    if (entry.type === "buy") {
+      cycle.buys++;
+      cycle.solSpent += BigInt(entry.lamportsOut || "0");
+    } else {
+      cycle.sells++;
+      cycle.solReceived += BigInt(entry.lamportsIn || "0");
+      cycle.realizedLamports += BigInt(entry.realizedLamports);
+      if (entry.type === "sell") {
+        cycle.closedAt = entry.timestamp;
+      }
+    }
+  }
+
+  return [...cycles.values()].map(cycle => ({
+    ...cycle,
+    solSpent: cycle.solSpent.toString(),
+    solReceived: cycle.solReceived.toString(),
+    realizedLamports: cycle.realizedLamports.toString(),
+    realizedPct: cycle.solSpent > 0n
+      ? (Number(cycle.realizedLamports) / Number(cycle.solSpent)) * 100
+      : 0,
+  }));
+}
+
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Monday (UTC) of the timestamp's week
+function weekKey(timestamp) {
+  const d = new Date(timestamp);
+  const sinceMonday = (d.getUTCDay() + 6) % 7;
+  return dayKey(timestamp - sinceMonday * DAY_MS);
+}
+
+// Realized P&L bucketed by "day" or "week" (newest first)
+function getRealizedByPeriod(period, entries = readEntries()) {
+  const keyOf = period === "week" ? weekKey : dayKey;
+  const buckets = new Map();
+
+  for (const entry of withRealized(entries)) {
+    if (entry.type === "buy") continue;
+    const key = keyOf(entry.timestamp);
+    const bucket = buckets.get(key) || { period: key, realizedLamports: 0n, sells: 0 };
+    bucket.realizedLamports += BigInt(entry.realizedLamports);
+    bucket.sells++;
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => (a.period < b.period ? 1 : -1))
+    .map(bucket => ({ ...bucket, realizedLamports: bucket.realizedLamports.toString() }));
+}
+
+function getPnlReport(now = Date.now()) {
+  const entries = readEntries();
+  const byDay = getRealizedByPeriod("day", entries);
+  const byWeek = getRealizedByPeriod("week", entries);
+  const cycles = getCycles(entries);
+
+  const total = cycles.reduce((sum, c) => sum + BigInt(c.realizedLamports), 0n);
+  const empty = { realizedLamports: "0", sells: 0 };
+
+  return {
+    today: byDay.find(b => b.period === dayKey(now)) || empty,
+    thisWeek: byWeek.find(b => b.period === weekKey(now)) || empty,
+    totalRealizedLamports: total.toString(),
+    byDay,
+    byWeek,
+    cycles,
+  };
+}
+
+function getRecentFills(limit = 10, entries = readEntries()) {
+  return withRealized(entries).slice(-limit).reverse();
+}
+
+module.exports = {
+  LEDGER_FILE,
+  appendEntry,
+  readEntries,
+  getCycles,
+  getRealizedByPeriod,
+  getPnlReport,
+  getRecentFills,
+};
@@ -1,21 +1,15 @@
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
-const fetch = global.fetch || require("node-fetch");
 const {
   Connection,
-  Keypair,
   PublicKey,
   VersionedTransaction,
 } = require("@solana/web3.js");
+const jupiter = require("../jupiter");
+const walletStore = require("../wallets");
 
 const RPC_URL = process.env.SOLANA_RPC_URL;
-const JUP_BASE_URL = (process.env.JUPITER_API_BASE || "https://quote-api.jup.ag").replace(
-  /\/+$/,
-  ""
-);
-const WALLETS_FILE =
-  process.env.WALLETS_FILE || path.join(__dirname, "wallets.json");
 const STATE_FILE =
   process.env.GRID_STATE_PATH || path.join(__dirname, "grid_state.json");
 
@@ -44,7 +38,6 @@ const DEFAULT_MIN_PROFIT_PCT = 0.25;
 let RATE_LIMIT_BACKOFF_MS = 5000;
 let RATE_LIMIT_MAX_RETRIES = 3;
 let MIN_QUOTE_INTERVAL_MS = 5000;
-let lastQuoteAtMs = 0;
 const LOG_FILE =
   process.env.BOT_GRID_LOG_PATH || path.join(__dirname, "bot_grid.log");
 const LOG_TO_CONSOLE = process.env.LOG_TO_CONSOLE !== "false";
@@ -150,48 +143,6 @@ console.error = (...args) => {
   writeLogLine(`ERROR | ${formatLogArgs(args)}`, true);
 };
 
-function loadWallets() {
-  if (!fs.existsSync(WALLETS_FILE)) {
-    return [];
-  }
-  const raw = fs.readFileSync(WALLETS_FILE, "utf8");
-  if (!raw.trim()) {
-    return [];
-  }
-  const data = JSON.parse(raw);
-  return Array.isArray(data.wallets) ? data.wallets : [];
-}
-
-function saveWallets(wallets) {
-  fs.writeFileSync(
-    WALLETS_FILE,
-    JSON.stringify({ wallets }, null, 2),
-    "utf8"
-  );
-}
-
-function ensureInitialWallet() {
-  const wallets = loadWallets();
-  if (wallets.length > 0) {
-    return wallets;
-  }
-  const kp = Keypair.generate();
-  const entry = {
-    name: "grid",
-    publicKey: kp.publicKey.toBase58(),
-    secretKey: Array.from(kp.secretKey),
-  };
-  saveWallets([entry]);
-  console.log("Created grid wallet:");
-  console.log(`- publicKey: ${entry.publicKey}`);
-  console.log(`- secretKey (store securely): ${JSON.stringify(entry.secretKey)}`);
-  return [entry];
-}
-
-function keypairFromEntry(entry) {
-  return Keypair.fromSecretKey(Uint8Array.from(entry.secretKey));
-}
-
 function readState() {
   try {
     if (!fs.existsSync(STATE_FILE)) return null;
@@ -258,121 +209,13 @@ function rebuildLotsFromAggregate(state) {
   return true;
 }
 
-function buildUrls(pathSuffixes) {
-  return pathSuffixes.map((suffix) => `${JUP_BASE_URL}${suffix}`);
-}
-
-async function fetchWithFallback(urls, label) {
-  let lastStatus = null;
-  for (const url of urls) {
-    let response;
-    for (let attempt = 0; attempt <= RATE_LIMIT_MAX_RETRIES; attempt += 1) {
-      try {
-        response = await fetch(url);
-      } catch (err) {
-        throw new Error(`${label} fetch failed: ${err.message || err} (${url})`);
-      }
-      if (response.ok) {
-        return { response, url };
-      }
-      if (response.status === 429 && attempt < RATE_LIMIT_MAX_RETRIES) {
-        const waitMs = RATE_LIMIT_BACKOFF_MS * (attempt + 1);
-        logWarn(`${label} rate limited, backing off`, {
-          status: response.status,
-          attempt: attempt + 1,
-          waitMs,
-        });
-        await sleep(waitMs);
-        continue;
-      }
-      break;
-    }
-    lastStatus = response ? response.status : lastStatus;
-    if (response.status !== 404) {
-      const body = await response.text();
-      throw new Error(`${label} failed: ${response.status} ${body} (${url})`);
-    }
-  }
-  throw new Error(
-    `${label} failed: endpoint not found (${lastStatus}). Tried: ${urls.join(", ")}`
-  );
-}
-
-async function fetchQuote(inputMint, outputMint, amount, slippageBps) {
-  const now = Date.now();
-  const elapsed = now - lastQuoteAtMs;
-  if (elapsed < MIN_QUOTE_INTERVAL_MS) {
-    await sleep(MIN_QUOTE_INTERVAL_MS - elapsed);
-  }
-  lastQuoteAtMs = Date.now();
-  const liteFallbacks = buildUrls(["/swap/v1/quote", "/quote", "/v1/quote"]);
-  const defaultUrls = buildUrls(["/v6/quote"]);
-  const urls =
-    JUP_BASE_URL.includes("lite-api.jup.ag")
-      ? liteFallbacks.concat(defaultUrls)
-      : defaultUrls;
-
-  const urlsWithParams = urls.map((rawUrl) => {
-    const url = new URL(rawUrl);
-    url.searchParams.set("inputMint", inputMint);
-    url.searchParams.set("outputMint", outputMint);
-    url.searchParams.set("amount", amount.toString());
-    url.searchParams.set("slippageBps", String(slippageBps));
-    return url.toString();
-  });
-
-  const { response } = await fetchWithFallback(urlsWithParams, "Quote");
-  const data = await response.json();
-  if (!data || !data.outAmount) {
-    throw new Error("Quote returned no outAmount");
-  }
-  return data;
+// Jupiter HTTP (endpoints, timeouts, 429 backoff) lives in ../jupiter.js
+function fetchQuote(inputMint, outputMint, amount, slippageBps) {
+  return jupiter.fetchQuote(inputMint, outputMint, amount, slippageBps);
 }
 
-async function fetchSwapTransaction(quote, userPublicKey) {
-  const liteFallbacks = buildUrls(["/swap/v1/swap", "/swap", "/v1/swap"]);
-  const defaultUrls = buildUrls(["/v6/swap"]);
-  const urls =
-    JUP_BASE_URL.includes("lite-api.jup.ag")
-      ? liteFallbacks.concat(defaultUrls)
-      : defaultUrls;
-
-  let lastError = null;
-  for (const url of urls) {
-    let response;
-    try {
-      response = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          quoteResponse: quote,
-          userPublicKey,
-          wrapAndUnwrapSol: true,
-          dynamicComputeUnitLimit: true,
-        }),
-      });
-    } catch (err) {
-      lastError = err;
-      continue;
-    }
-    if (response.ok) {
-      const data = await response.json();
-      if (!data || !data.swapTransaction) {
-        throw new Error("Swap response missing transaction");
-      }
-      return data.swapTransaction;
-    }
-    if (response.status !== 404) {
-      const body = await response.text();
-      throw new Error(`Swap failed: ${response.status} ${body} (${url})`);
-    }
-  }
-  if (lastError) {
-    throw new Error(`Swap fetch failed: ${lastError.message || lastError}`);
-  }
-  throw new Error(
-    `Swap failed: endpoint not found (404). Tried: ${urls.join(", ")}`
-  );
+function fetchSwapTransaction(quote, userPublicKey) {
+  return jupiter.fetchSwapTransaction(quote, userPublicKey, quote._swapOptions || {});
 }
 
 async function executeSwap(connection, keypair, quote, timeoutMs) {
@@ -456,8 +299,9 @@ async function main() {
     process.exit(1);
   }
 
-  const wallets = ensureInitialWallet();
-  const keypair = keypairFromEntry(wallets[0]);
+  // Shared loader: creates an encrypted wallet on first run, never prints the key
+  const wallets = await walletStore.ensureInitialWallet();
+  const keypair = await walletStore.unlockKeypair(wallets[0]);
   const connection = new Connection(RPC_URL, "confirmed");
 
   const gridStepPctBase = Number(
@@ -543,6 +387,12 @@ async function main() {
   if (Number.isFinite(minQuoteIntervalMs)) {
     MIN_QUOTE_INTERVAL_MS = minQuoteIntervalMs;
   }
+  jupiter.configure({
+    rateLimitBackoffMs: RATE_LIMIT_BACKOFF_MS,
+    rateLimitMaxRetries: RATE_LIMIT_MAX_RETRIES,
+    minQuoteIntervalMs: MIN_QUOTE_INTERVAL_MS,
+    log: (message) => logWarn(message),
+  });
 
   const tokenDecimals = await getMintDecimals(connection, tokenMint);
   const tokenFactor = 10n ** BigInt(tokenDecimals);
@@ -2,19 +2,17 @@ require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
 const readline = require("readline");
-const fetch = global.fetch || require("node-fetch");
 const {
   Connection,
-  Keypair,
   PublicKey,
   VersionedTransaction,
 } = require("@solana/web3.js");
+const jupiter = require("../jupiter");
+const walletStore = require("../wallets");
 
 const RPC_URL = process.env.SOLANA_RPC_URL;
-const WALLETS_FILE = path.join(__dirname, "wallets.json");
 const STATE_FILE = path.join(__dirname, "bot_state.json");
 const SOL_MINT = "So11111111111111111111111111111111111111112";
-const JUP_BASE_URL = process.env.JUPITER_API_BASE || "https://quote-api.jup.ag";
 
 const DEFAULT_STEP_SOL = [0.01, 0.03, 0.05];
 const DEFAULT_STEP_DRAWDOWN_PCT = [0, 5, 10];
@@ -43,23 +41,12 @@ const LOG_FILE =
   process.env.BOT_LOG_PATH || path.join(__dirname, "botv2.log");
 const LOG_TO_CONSOLE = process.env.LOG_TO_CONSOLE !== "false";
 
+// wallets.json is read and unlocked by the shared loader (encrypted keys)
 function loadWallets() {
-  if (!fs.existsSync(WALLETS_FILE)) {
+  if (!fs.existsSync(walletStore.WALLETS_FILE)) {
     return [];
   }
-
-  const raw = fs.readFileSync(WALLETS_FILE, "utf8");
-  if (!raw.trim()) {
-    return [];
-  }
-
-  const data = JSON.parse(raw);
-  return Array.isArray(data.wallets) ? data.wallets : [];
-}
-
-function keypairFromEntry(entry) {
-  const secretKey = Uint8Array.from(entry.secretKey);
-  return Keypair.fromSecretKey(secretKey);
+  return walletStore.readWallets();
 }
 
 function createPrompt() {
@@ -277,122 +264,13 @@ function formatSwapError(err) {
   return firstLine.slice(0, 200);
 }
 
-function buildUrls(pathSuffixes) {
-  const base = JUP_BASE_URL.replace(/\/+$/, "");
-  return pathSuffixes.map((suffix) => `${base}${suffix}`);
-}
-
-function buildFallbackUrls(primaryUrl, fallbackPaths) {
-  if (primaryUrl) {
-    return [primaryUrl];
-  }
-  return fallbackPaths;
-}
-
-async function fetchWithFallback(urls, label) {
-  for (const url of urls) {
-    let response;
-    try {
-      response = await fetch(url);
-    } catch (err) {
-      throw new Error(`${label} fetch failed: ${err.message || err} (${url})`);
-    }
-
-    if (response.ok) {
-      return { response, url };
-    }
-
-    if (response.status !== 404) {
-      throw new Error(`${label} failed: ${response.status} (${url})`);
-    }
-  }
-
-  throw new Error(
-    `${label} failed: endpoint not found (404). Tried: ${urls.join(", ")}`
-  );
-}
-
-async function fetchQuote(inputMint, outputMint, amount, slippageBps) {
-  const liteFallbacks = buildUrls(["/swap/v1/quote", "/quote", "/v1/quote"]);
-  const defaultUrls = buildUrls(["/v6/quote"]);
-  const urls = buildFallbackUrls(
-    process.env.JUPITER_QUOTE_URL,
-    JUP_BASE_URL.includes("lite-api.jup.ag")
-      ? liteFallbacks.concat(defaultUrls)
-      : defaultUrls
-  );
-
-  const urlsWithParams = urls.map((rawUrl) => {
-    const url = new URL(rawUrl);
-    url.searchParams.set("inputMint", inputMint);
-    url.searchParams.set("outputMint", outputMint);
-    url.searchParams.set("amount", amount.toString());
-    url.searchParams.set("slippageBps", String(slippageBps));
-    return url.toString();
-  });
-
-  const { response } = await fetchWithFallback(urlsWithParams, "Quote");
-  const data = await response.json();
-  if (!data || !data.outAmount) {
-    throw new Error("Quote returned no outAmount");
-  }
-  return data;
+// Jupiter HTTP (endpoints, timeouts, 429 backoff) lives in ../jupiter.js
+function fetchQuote(inputMint, outputMint, amount, slippageBps) {
+  return jupiter.fetchQuote(inputMint, outputMint, amount, slippageBps);
 }
 
-async function fetchSwapTransaction(quote, userPublicKey) {
-  const liteFallbacks = buildUrls(["/swap/v1/swap", "/swap", "/v1/swap"]);
-  const defaultUrls = buildUrls(["/v6/swap"]);
-  const urls = buildFallbackUrls(
-    process.env.JUPITER_SWAP_URL,
-    JUP_BASE_URL.includes("lite-api.jup.ag")
-      ? liteFallbacks.concat(defaultUrls)
-      : defaultUrls
-  );
-
-  let response;
-  let lastError = null;
-  for (const url of urls) {
-    try {
-      response = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          quoteResponse: quote,
-          userPublicKey,
-          wrapAndUnwrapSol: true,
-          dynamicComputeUnitLimit: true,
-          ...(quote._swapOptions || {}),
-        }),
-      });
-    } catch (err) {
-      lastError = err;
-      continue;
-    }
-
-    if (response.ok) {
-      break;
-    }
-
-    if (response.status !== 404) {
-      const body = await response.text();
-      throw new Error(`Swap failed: ${response.status} ${body} (${url})`);
-    }
-  }
-
-  if (!response || !response.ok) {
-    if (lastError) {
-      throw new Error(`Swap fetch failed: ${lastError.message || lastError}`);
-    }
-    throw new Error(
-      `Swap failed: endpoint not found (404). Tried: ${urls.join(", ")}`
-    );
-  }
-
-  const data = await response.json();
-  if (!data || !data.swapTransaction) {
-    throw new Error("Swap response missing transaction");
-  }
-  return data.swapTransaction;
+function fetchSwapTransaction(quote, userPublicKey) {
+  return jupiter.fetchSwapTransaction(quote, userPublicKey, quote._swapOptions || {});
 }
 
 async function getTokenAccountBalanceInfo(connection, owner, mint) {
@@ -482,7 +360,7 @@ async function main() {
     process.exit(1);
   }
 
-  const keypair = keypairFromEntry(wallets[0]);
+  const keypair = await walletStore.unlockKeypair(wallets[0]);
   const connection = new Connection(RPC_URL, "confirmed");
 
   let tokenMint = process.env.TARGET_MINT || "";
@@ -1312,7 +1190,6 @@ async function main() {
       continue;
     }
 
-
     await new Promise((resolve) => setTimeout(resolve, pollMs));
     } catch (err) {
       logError("Loop error", { error: err.message || err });
@@ -0,0 +1,141 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Logger
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Structured log for bot.js: one JSON object per line (data/bot.jsonl),
+// a readable line on the console. A record is
+//
+//   { ts, level, event, msg, mint, market, ...fields }
+//
+// ts is an ISO timestamp, level debug | info | warn | error, msg the same
+// text the console shows. Amounts are strings of base units (lamports,
+// token units) like the ledger's.
+//
+// Event types are stable - tools should key off `event`, not `msg`:
+//   startup, shutdown       process start (settings in msg) / stop
+//   tick                    debug: every price tick (price, phase)
+//   order                   an order going out (side, lamports | tokens, reason)
+//   tx_confirmed            a swap landed (signature, source)
+//   tx_unknown              a swap's outcome couldn't be confirmed (error)
+//   fill                    position booked (side, tokens, lamports,
+//                           feeLamports, signature, profitPct, closed)
+//   swap_failed             a swap failed; the next try escalates (side, error)
+//   sim_fill                paper fill (signature, inAmount, outAmount)
+//   priority_fee            fee estimate (lamports, microLamports, percentile)
+//   guard_split / guard_reject / guard_override   trade guard (side, check,
+//                           impactPct, slices); override = an exit sent anyway
+//   twap_start / twap_slice / twap_done / twap_cancel   sliced orders
+//   stop                    stop-loss / time stop fired (reason, profitPct, price)
+//   max_drawdown            portfolio drawdown exit (equity, peak, drawdownPct)
+//   lockout / lockout_end   after a stop-out (reason, until)
+//   recovery                swap journal recovery at startup (signature, outcome)
+//   reconcile               state rebuilt from the chain (changes)
+//   position_synced         state said tokens, the wallet had none
+//   strategy                the strategy's own log lines (phase)
+//   command / command_expired   Telegram commands (action, market)
+//   paused / resumed / state_reset / state_migrated
+//   jupiter / send / rpc    lines from jupiter.js, sender.js, rpc.js
+//   message / error         anything else
+//
+// The file rolls over to bot-YYYY-MM-DD.jsonl (bot-YYYY-MM-DD.N.jsonl when
+// one day fills several) at the first write of a new UTC day or when it
+// passes maxMb; rolled files older than retentionDays are deleted.
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Tunables - config.logging, overridable per process with configure()
+const options = {
+  level: config.logging.level,
+  maxMb: config.logging.maxMb,
+  retentionDays: config.logging.retentionDays,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function configure(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) options[key] = value;
+  }
+}
+
+// An unknown level in config.js logs everything rather than nothing
+function enabled(level) {
+  return LEVELS[level] >= (LEVELS[options.level] || LEVELS.debug);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FORMATTING
+// ═══════════════════════════════════════════════════════════════════════════
+
+// [2026-01-31 12:00:00] [BONK] ERROR: msg - tag only when several markets run
+function formatConsole(record, { tag = false } = {}) {
+  const time = record.ts.replace("T", " ").split(".")[0];
+  const market = tag && record.market ? `[${record.market}] ` : "";
+  const prefix = record.level === "error" ? "ERROR: " : "";
+  return `[${time}] ${market}${prefix}${record.msg}`;
+}
+
+function serialize(record) {
+  return JSON.stringify(record, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FILE + ROTATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Logging never throws - a full disk must not stop the trading loop
+function append(file, record) {
+  try {
+    rotate(file, record.ts.slice(0, 10));
+    fs.appendFileSync(file, serialize(record) + "\n");
+  } catch {}
+}
+
+function rotate(file, day) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return;
+  }
+  const fileDay = stat.mtime.toISOString().slice(0, 10);
+  if (fileDay === day && stat.size < options.maxMb * 1024 * 1024) return;
+
+  const { dir, name, ext } = path.parse(file);
+  let target = path.join(dir, `${name}-${fileDay}${ext}`);
+  for (let n = 1; fs.existsSync(target); n++) {
+    target = path.join(dir, `${name}-${fileDay}.${n}${ext}`);
+  }
+  try {
+    fs.renameSync(file, target);
+  } catch {
+    return; // Another process (telegram.js) rolled it first
+  }
+  prune(file);
+}
+
+function prune(file) {
+  const { dir, name, ext } = path.parse(file);
+  const pattern = new RegExp(`^${name}-(\\d{4}-\\d{2}-\\d{2})(\\.\\d+)?${ext.replace(".", "\\.")}$`);
+  const cutoff = Date.now() - options.retentionDays * DAY_MS;
+
+  for (const entry of fs.readdirSync(dir)) {
+    const match = pattern.exec(entry);
+    if (match && Date.parse(match[1]) + DAY_MS < cutoff) {
+      try {
+        fs.unlinkSync(path.join(dir, entry));
+      } catch {}
+    }
+  }
+}
+
+module.exports = {
+  configure,
+  enabled,
+  formatConsole,
+  append,
+};
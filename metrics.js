@@ -0,0 +1,180 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Metrics
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// In-memory counters / gauges / histograms for the trading loop, served in
+// the Prometheus text format at http://127.0.0.1:<port>/metrics when
+// config.metrics.enabled is on (off by default). bot.js records into it
+// either way; only main() starts the server.
+//
+// Series are keyed by their labels (market, side, ...). Every metric is
+// declared in METRICS - recording an undeclared name throws, so a typo
+// can't quietly start a new series.
+
+const http = require("http");
+const config = require("./config");
+
+// Tunables - config.metrics, overridable per process with configure().
+// METRICS_PORT is set per worker by supervisor.js.
+const options = {
+  host: config.metrics.host,
+  port: Number(process.env.METRICS_PORT) || config.metrics.port,
+};
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const METRICS = {
+  mmprofit_tick_seconds: { type: "histogram", help: "Time one market's tick took (price probe, strategy, swaps)" },
+  mmprofit_quote_seconds: { type: "histogram", help: "Jupiter quote latency" },
+  mmprofit_quote_errors_total: { type: "counter", help: "Jupiter quotes that failed" },
+  mmprofit_errors_total: { type: "counter", help: "Error-level log events by event type (see logger.js)" },
+  mmprofit_swaps_total: { type: "counter", help: "Swaps by side and outcome (success / failure)" },
+  mmprofit_guard_rejections_total: { type: "counter", help: "Orders the trade guard rejected, by check" },
+  mmprofit_phase: { type: "gauge", help: "1 for the phase each market is in" },
+  mmprofit_price_sol: { type: "gauge", help: "Last tick price (SOL per token)" },
+  mmprofit_last_tick_timestamp_seconds: { type: "gauge", help: "When the market last ticked" },
+  mmprofit_position_tokens: { type: "gauge", help: "Tokens held by the open position" },
+  mmprofit_position_cost_sol: { type: "gauge", help: "SOL spent on the open position minus partial exits" },
+  mmprofit_unrealized_pnl_sol: { type: "gauge", help: "Cycle P&L if the position closed at the last price" },
+  mmprofit_unrealized_pnl_pct: { type: "gauge", help: "Last price vs the average entry, %" },
+  mmprofit_sol_balance: { type: "gauge", help: "Wallet SOL balance" },
+  mmprofit_slippage_bps: { type: "gauge", help: "Slippage the next swap goes out with" },
+  mmprofit_priority_fee_lamports: { type: "gauge", help: "Priority fee the next swap goes out with (last estimate + escalation)" },
+};
+
+const series = new Map(); // name -> Map(labelKey -> { labels, value | buckets/sum/count })
+let server = null;
+
+function configure(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) options[key] = value;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECORDING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getSeries(name, labels) {
+  if (!METRICS[name]) throw new Error(`Unknown metric ${name}`);
+  if (!series.has(name)) series.set(name, new Map());
+  const byLabels = series.get(name);
+  const key = JSON.stringify(Object.entries(labels).sort());
+  if (!byLabels.has(key)) {
+    byLabels.set(key, METRICS[name].type === "histogram"
+      ? { labels, buckets: DEFAULT_BUCKETS.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return byLabels.get(key);
+}
+
+function inc(name, labels = {}, value = 1) {
+  getSeries(name, labels).value += value;
+}
+
+function set(name, labels = {}, value) {
+  getSeries(name, labels).value = value;
+}
+
+function observe(name, labels = {}, seconds) {
+  const entry = getSeries(name, labels);
+  DEFAULT_BUCKETS.forEach((bound, i) => {
+    if (seconds <= bound) entry.buckets[i]++;
+  });
+  entry.sum += seconds;
+  entry.count++;
+}
+
+// Drop a metric's series whose labels include `match` (e.g. a market's
+// old phase before setting the new one)
+function clear(name, match = {}) {
+  const byLabels = series.get(name);
+  if (!byLabels) return;
+  for (const [key, entry] of byLabels) {
+    if (Object.entries(match).every(([k, v]) => entry.labels[k] === v)) byLabels.delete(key);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPOSITION (Prometheus text format 0.0.4)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) =>
+    `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function render() {
+  const lines = [];
+  for (const [name, meta] of Object.entries(METRICS)) {
+    const byLabels = series.get(name);
+    if (!byLabels || !byLabels.size) continue;
+    lines.push(`# HELP ${name} ${meta.help}`);
+    lines.push(`# TYPE ${name} ${meta.type}`);
+
+    for (const entry of byLabels.values()) {
+      if (meta.type !== "histogram") {
+        lines.push(`${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+        continue;
+      }
+      DEFAULT_BUCKETS.forEach((bound, i) => {
+        lines.push(`${name}_bucket${formatLabels(entry.labels, { le: bound })} ${entry.buckets[i]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels(entry.labels, { le: "+Inf" })} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SERVER
+// ═══════════════════════════════════════════════════════════════════════════
+
+function url() {
+  return `http://${options.host}:${options.port}/metrics`;
+}
+
+// onError: a port already in use is reported, never fatal to trading
+function start(onError = () => {}) {
+  if (server) return server;
+  server = http.createServer((req, res) => {
+    if (req.method !== "GET" || req.url.split("?")[0] !== "/metrics") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found - try /metrics\n");
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+    res.end(render());
+  });
+  server.on("error", err => {
+    onError(err);
+    server = null;
+  });
+  server.listen(options.port, options.host);
+  // The trading loop decides when the process ends
+  server.unref();
+  return server;
+}
+
+module.exports = {
+  configure,
+  inc,
+  set,
+  observe,
+  clear,
+  render,
+  url,
+  start,
+};
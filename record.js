@@ -0,0 +1,69 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Price Recorder (standalone - no trading, no wallet needed)
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Usage: npm run record
+// Polls the same Jupiter price probe as the bot for every configured token
+// (TARGET_MINT or config.portfolio) and appends samples to
+// data/prices/<mint>/<day>.jsonl. Replay later with backtest.js.
+
+require("dotenv").config();
+const bot = require("./bot");
+const config = require("./config");
+const recorder = require("./recorder");
+
+let running = true;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function main() {
+  if (!process.env.SOLANA_RPC_URL) {
+    console.error("Missing SOLANA_RPC_URL in .env");
+    process.exit(1);
+  }
+  if (bot.markets.some(m => !m.mint)) {
+    console.error("Missing TARGET_MINT in .env (or a mint in config.portfolio)");
+    process.exit(1);
+  }
+
+  bot.ensureConnection();
+
+  for (const m of bot.markets) {
+    console.log(`Recording ${m.label} (${m.mint}) every ${config.recorder.intervalMs}ms`);
+  }
+  console.log(`Output: ${recorder.PRICES_DIR}/<mint>/ (${config.recorder.format})`);
+
+  process.on("SIGINT", () => {
+    running = false;
+  });
+
+  let count = 0;
+  while (running) {
+    for (const m of bot.markets) {
+      try {
+        const { price, quote } = await bot.withMarket(m, bot.getPriceSample);
+        if (price > 0) {
+          const sample = recorder.buildSample(price, quote);
+          recorder.recordSample(m.mint, sample);
+          count++;
+          console.log(
+            `[${new Date(sample.ts).toISOString()}] ${m.label} #${count} price=${price.toExponential(6)} ` +
+            `impact=${sample.priceImpactPct ?? "-"}% route=${sample.route || "-"}`
+          );
+        }
+      } catch (err) {
+        console.error(`${m.label} sample failed: ${err.message}`);
+      }
+    }
+    await sleep(config.recorder.intervalMs);
+  }
+
+  console.log(`Stopped after ${count} samples`);
+}
+
+main().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Price Recorder
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Appends every price probe to data/prices/<mint>/<YYYY-MM-DD>.<jsonl|csv>.
+// Files rotate daily (UTC) and are pruned after config.recorder.retentionDays.
+// The output can be replayed directly with backtest.js.
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "data");
+const PRICES_DIR = path.join(DATA_DIR, "prices");
+const CSV_HEADER = "ts,price,inAmount,outAmount,priceImpactPct,route";
+
+// Last file written per mint - pruning only runs when the day rolls over
+const currentFiles = new Map();
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// "Raydium CLMM > Meteora DLMM"
+function routeLabel(quote) {
+  const plan = quote?.routePlan || [];
+  const labels = plan.map(hop => hop?.swapInfo?.label).filter(Boolean);
+  return labels.join(" > ");
+}
+
+function buildSample(price, quote, timestamp = Date.now()) {
+  return {
+    ts: timestamp,
+    price,
+    inAmount: quote?.inAmount ?? null,
+    outAmount: quote?.outAmount ?? null,
+    priceImpactPct: quote?.priceImpactPct !== undefined ? Number(quote.priceImpactPct) : null,
+    route: routeLabel(quote),
+  };
+}
+
+function formatLine(sample, format) {
+  if (format === "csv") {
+    return [
+      sample.ts,
+      sample.price,
+      sample.inAmount ?? "",
+      sample.outAmount ?? "",
+      sample.priceImpactPct ?? "",
+      sample.route.replace(/,/g, " "),
+    ].join(",");
+  }
+  return JSON.stringify(sample);
+}
+
+function pruneOldFiles(dir, retentionDays) {
+  if (!retentionDays || retentionDays <= 0) return;
+  const cutoff = dayKey(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  for (const name of fs.readdirSync(dir)) {
+    const day = name.slice(0, 10);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(day) && day < cutoff) {
+      try {
+        fs.unlinkSync(path.join(dir, name));
+      } catch {}
+    }
+  }
+}
+
+function recordSample(mint, sample) {
+  const format = config.recorder.format === "csv" ? "csv" : "jsonl";
+  const dir = path.join(PRICES_DIR, mint);
+  const file = path.join(dir, `${dayKey(sample.ts)}.${format}`);
+
+  try {
+    if (currentFiles.get(mint) !== file) {
+      ensureDir(dir);
+      pruneOldFiles(dir, config.recorder.retentionDays);
+      currentFiles.set(mint, file);
+    }
+
+    if (format === "csv" && !fs.existsSync(file)) {
+      fs.appendFileSync(file, CSV_HEADER + "\n");
+    }
+    fs.appendFileSync(file, formatLine(sample, format) + "\n");
+  } catch (err) {
+    console.error(`Price recorder write failed: ${err.message}`);
+  }
+}
+
+module.exports = {
+  PRICES_DIR,
+  buildSample,
+  recordSample,
+};
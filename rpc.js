@@ -0,0 +1,194 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit RPC Pool
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// SOLANA_RPC_URL plus the fallbacks in SOLANA_RPC_URLS (comma-separated), in
+// priority order. Every healthCheckMs each endpoint is asked for its slot:
+// one that errors, answers slower than maxLatencyMs or trails the best slot
+// by more than maxSlotLag is skipped until a later check passes (a lagging
+// node can report a token account that isn't there yet as empty).
+//
+// pool.connection is used like a web3.js Connection: every (async) call goes
+// to the first healthy endpoint and fails over to the next one on transport
+// errors - network, timeout, 429, 5xx. RPC-level errors (a failed simulation,
+// a bad account) are thrown straight away, another endpoint would say the
+// same. When every endpoint fails the last error is thrown - never a default.
+
+const { Connection } = require("@solana/web3.js");
+const fetch = global.fetch || require("node-fetch");
+const config = require("./config");
+
+// Tunables - config.rpc, overridable per process with configure()
+const options = {
+  healthCheckMs: config.rpc.healthCheckMs,
+  maxLatencyMs: config.rpc.maxLatencyMs,
+  maxSlotLag: config.rpc.maxSlotLag,
+  requestTimeoutMs: config.rpc.requestTimeoutMs,
+  log: (...args) => console.warn(...args),
+};
+
+const TRANSPORT_ERROR = /fetch failed|socket hang up|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|timeout|timed out|aborted|\b429\b|too many requests|\b50[0-4]\b|bad gateway|service unavailable/i;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function configure(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) options[key] = value;
+  }
+}
+
+function isTransportError(err) {
+  return TRANSPORT_ERROR.test((err && err.message) || "");
+}
+
+// Host only - RPC URLs often carry an API key
+function describeUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "invalid-url";
+  }
+}
+
+// web3.js has no request timeout of its own - a hung endpoint would hang the bot
+function fetchWithTimeout(url, init = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.requestTimeoutMs);
+  return fetch(url, { ...init, signal: controller.signal }).finally(() => clearTimeout(timer));
+}
+
+// A plain Connection with the request timeout (the pool's endpoints, and
+// the extra send endpoints swaps are broadcast to)
+function createConnection(url, commitment = "confirmed") {
+  return new Connection(url, { commitment, fetch: fetchWithTimeout });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// POOL
+// ═══════════════════════════════════════════════════════════════════════════
+
+function createPool(urls, commitment = "confirmed") {
+  const endpoints = urls.map(url => ({
+    url,
+    label: describeUrl(url),
+    connection: createConnection(url, commitment),
+    healthy: true,
+    slot: null,
+    latencyMs: null,
+    lastError: null,
+    checkedAt: null,
+  }));
+  let current = endpoints[0];
+  let lastCheckAt = 0;
+  let checking = null;
+
+  function setHealthy(endpoint, healthy, why) {
+    if (endpoint.healthy === healthy) return;
+    endpoint.healthy = healthy;
+    options.log(`RPC ${endpoint.label} ${healthy ? "is healthy again" : `marked unhealthy: ${why}`}`);
+  }
+
+  async function checkHealth() {
+    lastCheckAt = Date.now();
+    await Promise.all(endpoints.map(async endpoint => {
+      const started = Date.now();
+      try {
+        endpoint.slot = await endpoint.connection.getSlot(commitment);
+        endpoint.latencyMs = Date.now() - started;
+        endpoint.lastError = null;
+      } catch (err) {
+        endpoint.slot = null;
+        endpoint.latencyMs = null;
+        endpoint.lastError = err.message;
+      }
+      endpoint.checkedAt = Date.now();
+    }));
+
+    const bestSlot = Math.max(...endpoints.map(endpoint => endpoint.slot || 0));
+    for (const endpoint of endpoints) {
+      if (endpoint.slot === null) {
+        setHealthy(endpoint, false, endpoint.lastError);
+      } else if (endpoint.latencyMs > options.maxLatencyMs) {
+        setHealthy(endpoint, false, `${endpoint.latencyMs}ms > ${options.maxLatencyMs}ms`);
+      } else if (bestSlot - endpoint.slot > options.maxSlotLag) {
+        setHealthy(endpoint, false, `${bestSlot - endpoint.slot} slots behind`);
+      } else {
+        setHealthy(endpoint, true);
+      }
+    }
+  }
+
+  // Runs in the background - calls never wait for it. A single endpoint
+  // has nothing to fail over to, so it isn't checked.
+  function checkHealthIfDue() {
+    if (endpoints.length < 2 || checking) return;
+    if (Date.now() - lastCheckAt < options.healthCheckMs) return;
+    checking = checkHealth()
+      .catch(err => options.log(`RPC health check failed: ${err.message}`))
+      .finally(() => {
+        checking = null;
+      });
+  }
+
+  // Healthy endpoints in priority order; all of them if none is healthy
+  function candidates() {
+    const healthy = endpoints.filter(endpoint => endpoint.healthy);
+    return healthy.length ? healthy : endpoints;
+  }
+
+  async function call(method, args) {
+    checkHealthIfDue();
+    let lastError = null;
+    for (const endpoint of candidates()) {
+      try {
+        const result = await endpoint.connection[method](...args);
+        if (endpoint !== current) {
+          options.log(`RPC: now using ${endpoint.label} (was ${current.label})`);
+          current = endpoint;
+        }
+        return result;
+      } catch (err) {
+        if (!isTransportError(err)) throw err;
+        lastError = err;
+        endpoint.lastError = err.message;
+        if (endpoints.length > 1) setHealthy(endpoint, false, err.message);
+      }
+    }
+    throw lastError;
+  }
+
+  const connection = new Proxy(endpoints[0].connection, {
+    get(target, prop) {
+      const value = target[prop];
+      if (typeof value !== "function") return value;
+      return (...args) => call(prop, args);
+    },
+  });
+
+  function getStatus() {
+    return endpoints.map(endpoint => ({
+      label: endpoint.label,
+      current: endpoint === current,
+      healthy: endpoint.healthy,
+      slot: endpoint.slot,
+      latencyMs: endpoint.latencyMs,
+      lastError: endpoint.lastError,
+      checkedAt: endpoint.checkedAt,
+    }));
+  }
+
+  return {
+    connection,
+    checkHealth,
+    getStatus,
+  };
+}
+
+module.exports = {
+  configure,
+  createPool,
+  createConnection,
+  isTransportError,
+};
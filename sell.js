@@ -1,38 +1,15 @@
 require("dotenv").config();
-const fs = require("fs");
-const path = require("path");
 const readline = require("readline");
-const fetch = global.fetch || require("node-fetch");
 const {
   Connection,
-  Keypair,
   PublicKey,
   VersionedTransaction,
 } = require("@solana/web3.js");
+const walletStore = require("./wallets");
+const jupiter = require("./jupiter");
 
 const RPC_URL = process.env.SOLANA_RPC_URL;
-const WALLETS_FILE = path.join(__dirname, "wallets.json");
 const SOL_MINT = "So11111111111111111111111111111111111111112";
-const JUP_BASE_URL = process.env.JUPITER_API_BASE || "https://quote-api.jup.ag";
-
-function loadWallets() {
-  if (!fs.existsSync(WALLETS_FILE)) {
-    return [];
-  }
-
-  const raw = fs.readFileSync(WALLETS_FILE, "utf8");
-  if (!raw.trim()) {
-    return [];
-  }
-
-  const data = JSON.parse(raw);
-  return Array.isArray(data.wallets) ? data.wallets : [];
-}
-
-function keypairFromEntry(entry) {
-  const secretKey = Uint8Array.from(entry.secretKey);
-  return Keypair.fromSecretKey(secretKey);
-}
 
 function createPrompt() {
   const rl = readline.createInterface({
@@ -66,129 +43,6 @@ function toBaseUnits(amountStr, decimals) {
   return base + fracValue;
 }
 
-function buildUrls(pathSuffixes) {
-  const base = JUP_BASE_URL.replace(/\/+$/, "");
-  return pathSuffixes.map((suffix) => `${base}${suffix}`);
-}
-
-function buildFallbackUrls(primaryUrl, fallbackPaths) {
-  if (primaryUrl) {
-    return [primaryUrl];
-  }
-  return fallbackPaths;
-}
-
-async function fetchWithFallback(urls, label) {
-  let lastStatus = null;
-  for (const url of urls) {
-    let response;
-    try {
-      response = await fetch(url);
-    } catch (err) {
-      throw new Error(`${label} fetch failed: ${err.message || err} (${url})`);
-    }
-
-    if (response.ok) {
-      return { response, url };
-    }
-
-    lastStatus = response.status;
-    if (response.status !== 404) {
-      throw new Error(`${label} failed: ${response.status} (${url})`);
-    }
-  }
-
-  throw new Error(
-    `${label} failed: endpoint not found (404). Tried: ${urls.join(", ")}`
-  );
-}
-
-async function fetchQuote(inputMint, outputMint, amount, slippageBps) {
-  const liteFallbacks = buildUrls(["/swap/v1/quote", "/quote", "/v1/quote"]);
-  const defaultUrls = buildUrls(["/v6/quote"]);
-  const urls = buildFallbackUrls(
-    process.env.JUPITER_QUOTE_URL,
-    JUP_BASE_URL.includes("lite-api.jup.ag")
-      ? liteFallbacks.concat(defaultUrls)
-      : defaultUrls
-  );
-
-  const urlsWithParams = urls.map((rawUrl) => {
-    const url = new URL(rawUrl);
-    url.searchParams.set("inputMint", inputMint);
-    url.searchParams.set("outputMint", outputMint);
-    url.searchParams.set("amount", amount.toString());
-    url.searchParams.set("slippageBps", String(slippageBps));
-    return url.toString();
-  });
-
-  const { response } = await fetchWithFallback(urlsWithParams, "Quote");
-
-  const data = await response.json();
-  if (!data || !data.outAmount) {
-    throw new Error("Quote returned no outAmount");
-  }
-
-  return data;
-}
-
-async function fetchSwapTransaction(quote, userPublicKey) {
-  const liteFallbacks = buildUrls(["/swap/v1/swap", "/swap", "/v1/swap"]);
-  const defaultUrls = buildUrls(["/v6/swap"]);
-  const urls = buildFallbackUrls(
-    process.env.JUPITER_SWAP_URL,
-    JUP_BASE_URL.includes("lite-api.jup.ag")
-      ? liteFallbacks.concat(defaultUrls)
-      : defaultUrls
-  );
-
-  let response;
-  let lastError = null;
-  for (const url of urls) {
-    try {
-      response = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          quoteResponse: quote,
-          userPublicKey,
-          wrapAndUnwrapSol: true,
-          dynamicComputeUnitLimit: true,
-        }),
-      });
-    } catch (err) {
-      lastError = new Error(`Swap fetch failed: ${err.message || err} (${url})`);
-      break;
-    }
-
-    if (response.ok) {
-      lastError = null;
-      break;
-    }
-
-    if (response.status !== 404) {
-      const body = await response.text();
-      throw new Error(`Swap failed: ${response.status} ${body} (${url})`);
-    }
-  }
-
-  if (lastError) {
-    throw lastError;
-  }
-  if (!response || !response.ok) {
-    throw new Error(
-      `Swap failed: endpoint not found (404). Tried: ${urls.join(", ")}`
-    );
-  }
-
-  const data = await response.json();
-  if (!data || !data.swapTransaction) {
-    throw new Error("Swap response missing transaction");
-  }
-
-  return data.swapTransaction;
-}
-
 async function getMintDecimals(connection, mintAddress) {
   const pubkey = new PublicKey(mintAddress);
   const info = await connection.getParsedAccountInfo(pubkey, "confirmed");
@@ -209,14 +63,14 @@ async function main() {
     process.exit(1);
   }
 
-  const wallets = loadWallets();
+  const wallets = walletStore.readWallets();
   if (!wallets.length) {
     console.error("No wallets found. Run swap.js once to create a wallet.");
     process.exit(1);
   }
 
   const mainWallet = wallets[0];
-  const keypair = keypairFromEntry(mainWallet);
+  const keypair = await walletStore.unlockKeypair(mainWallet);
   const connection = new Connection(RPC_URL, "confirmed");
 
   const prompt = createPrompt();
@@ -278,7 +132,7 @@ async function main() {
     }
 
     console.log("Requesting quote...");
-    const quote = await fetchQuote(
+    const quote = await jupiter.fetchQuote(
       targetMint,
       SOL_MINT,
       amountBaseUnits,
@@ -290,7 +144,7 @@ async function main() {
     );
 
     console.log("Building swap transaction...");
-    const swapTxB64 = await fetchSwapTransaction(
+    const swapTxB64 = await jupiter.fetchSwapTransaction(
       quote,
       keypair.publicKey.toBase58()
     );
@@ -0,0 +1,188 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Transaction Sender
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Sends a signed transaction and follows it until it has either landed or
+// can no longer land:
+//   - the first send runs preflight on the main connection, so a swap that
+//     would fail (slippage, balance) is caught before it costs a fee
+//   - the raw transaction then goes to every send endpoint at once (the main
+//     RPC plus SOLANA_SEND_RPC_URLS) and is rebroadcast every rebroadcastMs
+//   - statuses are polled on the main connection; once the block height is
+//     past lastValidBlockHeight the blockhash has expired and it never will
+//
+// Anything but a confirmation is thrown as a SendError whose kind says what
+// the caller may do next:
+//   rejected   preflight failed - nothing was sent
+//   failed     landed with an error - the fee is paid, the swap did nothing
+//   expired    the blockhash expired and the signature never showed up
+//   unknown    the RPC couldn't tell (errors, timeout) - check the wallet
+//              before retrying, it may still have landed
+
+const config = require("./config");
+
+// Tunables - config.send, overridable per process with configure()
+const options = {
+  rebroadcastMs: config.send.rebroadcastMs,
+  pollMs: config.send.pollMs,
+  timeoutMs: config.send.timeoutMs,
+  log: (...args) => console.warn(...args),
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ERRORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+class SendError extends Error {
+  constructor(kind, message, signature = null) {
+    super(message);
+    this.name = "SendError";
+    this.kind = kind;
+    this.signature = signature;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function configure(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) options[key] = value;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// sendRawTransaction throws the same error type for a failed simulation and
+// a dead endpoint - only the former means the transaction itself is bad
+function isPreflightFailure(err) {
+  return /simulation failed|custom program error|insufficient (funds|lamports)/i.test(err.message || "");
+}
+
+// Every endpoint at once; resolves to the signature if any accepted it
+async function broadcast(connections, rawTx) {
+  const results = await Promise.allSettled(
+    connections.map(c => c.sendRawTransaction(rawTx, { skipPreflight: true, maxRetries: 0 }))
+  );
+  const sent = results.find(r => r.status === "fulfilled");
+  return {
+    signature: sent ? sent.value : null,
+    accepted: results.filter(r => r.status === "fulfilled").length,
+    errors: results.filter(r => r.status === "rejected").map(r => r.reason.message),
+  };
+}
+
+// "confirmed" | "failed" (with err) | null when not seen
+function readStatus(status) {
+  if (!status) return null;
+  if (status.err) return { state: "failed", err: status.err };
+  if (status.confirmationStatus === "confirmed" || status.confirmationStatus === "finalized") {
+    return { state: "confirmed" };
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SEND & CONFIRM
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Resolves to the signature once the transaction is confirmed.
+// connection: main RPC (preflight, statuses, block height)
+// sendConnections: extra endpoints the transaction is also broadcast to
+async function sendAndConfirm({ connection, sendConnections = [], rawTx, lastValidBlockHeight = null }) {
+  const endpoints = [connection, ...sendConnections];
+  let signature = null;
+
+  try {
+    signature = await connection.sendRawTransaction(rawTx, { skipPreflight: false, maxRetries: 0 });
+  } catch (err) {
+    if (isPreflightFailure(err)) {
+      throw new SendError("rejected", `Preflight failed: ${err.message}`);
+    }
+    options.log(`TX send via main RPC failed: ${err.message} - trying the other endpoints`);
+  }
+
+  const started = Date.now();
+  let lastBroadcast = 0;
+  let lastRpcError = null;
+
+  while (true) {
+    if (Date.now() - lastBroadcast >= options.rebroadcastMs) {
+      const sent = await broadcast(endpoints, rawTx);
+      if (!signature && sent.signature) {
+        signature = sent.signature;
+      }
+      if (lastBroadcast === 0) {
+        options.log(`TX sent: ${signature || "(no endpoint accepted it yet)"} via ${sent.accepted}/${endpoints.length} endpoints`);
+      }
+      if (!sent.accepted) lastRpcError = sent.errors[0];
+      lastBroadcast = Date.now();
+    }
+
+    if (signature) {
+      try {
+        const { value } = await connection.getSignatureStatuses([signature]);
+        const status = readStatus(value && value[0]);
+        if (status && status.state === "confirmed") return signature;
+        if (status && status.state === "failed") {
+          throw new SendError("failed", `Transaction landed with an error: ${JSON.stringify(status.err)}`, signature);
+        }
+      } catch (err) {
+        if (err instanceof SendError) throw err;
+        lastRpcError = err.message;
+      }
+    }
+
+    if (lastValidBlockHeight) {
+      try {
+        const height = await connection.getBlockHeight("confirmed");
+        if (height > lastValidBlockHeight) {
+          return finalCheck(connection, signature);
+        }
+      } catch (err) {
+        lastRpcError = err.message;
+      }
+    }
+
+    if (Date.now() - started > options.timeoutMs) {
+      const why = lastRpcError ? ` (last RPC error: ${lastRpcError})` : "";
+      throw new SendError("unknown", `No confirmation within ${options.timeoutMs / 1000}s${why}`, signature);
+    }
+    await sleep(options.pollMs);
+  }
+}
+
+// The blockhash has expired: whatever the chain has now is final
+async function finalCheck(connection, signature) {
+  if (!signature) {
+    throw new SendError("unknown", "Blockhash expired and no endpoint ever accepted the transaction");
+  }
+
+  let status;
+  try {
+    const { value } = await connection.getSignatureStatuses([signature], { searchTransactionHistory: true });
+    status = value && value[0];
+  } catch (err) {
+    throw new SendError("unknown", `Blockhash expired, final status check failed: ${err.message}`, signature);
+  }
+
+  const outcome = readStatus(status);
+  if (outcome && outcome.state === "confirmed") return signature;
+  if (outcome && outcome.state === "failed") {
+    throw new SendError("failed", `Transaction landed with an error: ${JSON.stringify(outcome.err)}`, signature);
+  }
+  if (status) {
+    // Seen but only "processed" - it may still be confirmed or dropped
+    throw new SendError("unknown", "Blockhash expired with the transaction only processed", signature);
+  }
+  throw new SendError("expired", "Blockhash expired - the transaction never landed", signature);
+}
+
+module.exports = {
+  configure,
+  sendAndConfirm,
+  SendError,
+};
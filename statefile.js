@@ -0,0 +1,236 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit State Files
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Crash-safe JSON files for the bot's state (data/state*.json, the sim
+// wallet, the risk file):
+//   - writes go to a temp file that is fsynced and renamed over the old one,
+//     so a crash leaves either the old file or the new one - never half
+//   - every writer (the trading loop, telegram.js reading through bot.js,
+//     supervisor workers) takes <file>.lock first; a lock whose process is
+//     gone or that is older than lockStaleMs is taken over. update() holds
+//     it across a read-change-write.
+//   - state files keep rolling backups <file>.1 (newest) .. <file>.N
+//   - files carry a schemaVersion and are upgraded by migrate() on read
+//
+// An unparseable file is thrown as a StateError - never read as a fresh
+// default, which would forget an open position.
+
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+// Tunables - config.state, overridable per process with configure()
+const options = {
+  backups: config.state.backups,
+  lockTimeoutMs: config.state.lockTimeoutMs,
+  lockStaleMs: config.state.lockStaleMs,
+};
+
+const LOCK_RETRY_MS = 25;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ERRORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// kind: unreadable (not valid JSON) | locked | schema (written by a newer build)
+class StateError extends Error {
+  constructor(kind, message, file) {
+    super(message);
+    this.name = "StateError";
+    this.kind = kind;
+    this.file = file;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function configure(overrides = {}) {
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) options[key] = value;
+  }
+}
+
+// writeState is synchronous, so the lock wait has to be too
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+function backupName(file, n) {
+  return `${file}.${n}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOCK
+// ═══════════════════════════════════════════════════════════════════════════
+
+// A lock left behind by a crash. Our own pid can't be a live holder - the
+// locked section is synchronous.
+function isStaleLock(lockFile) {
+  try {
+    const holder = JSON.parse(fs.readFileSync(lockFile, "utf8"));
+    if (holder.pid === process.pid || !isProcessAlive(holder.pid)) return true;
+    return Date.now() - holder.at > options.lockStaleMs;
+  } catch {
+    // Unreadable: a holder mid-write, or garbage - go by its age
+    try {
+      return Date.now() - fs.statSync(lockFile).mtimeMs > options.lockStaleMs;
+    } catch {
+      return false;
+    }
+  }
+}
+
+function acquireLock(file) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + options.lockTimeoutMs;
+
+  while (true) {
+    try {
+      fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, at: Date.now() }), { flag: "wx" });
+      return lockFile;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    if (isStaleLock(lockFile)) {
+      try {
+        fs.unlinkSync(lockFile);
+      } catch {}
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new StateError("locked", `${path.basename(file)} is locked by another process (${lockFile})`, file);
+    }
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+function withLock(file, fn) {
+  const lockFile = acquireLock(file);
+  try {
+    return fn();
+  } finally {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch {}
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// READ / WRITE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Parsed contents, null when the file is missing or empty
+function readJson(file) {
+  if (!fs.existsSync(file)) return null;
+  const raw = fs.readFileSync(file, "utf8");
+  if (!raw.trim()) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new StateError("unreadable", `${path.basename(file)} is unreadable: ${err.message}`, file);
+  }
+}
+
+// backup: copy the current file to <file>.1 first (shifting the older ones)
+function writeJson(file, data, { backup = false } = {}) {
+  withLock(file, () => writeLocked(file, data, backup));
+}
+
+// Read, change and write under one lock, so no other writer's change can
+// land in between and be lost. fn gets the parsed contents (null when
+// missing) and returns what to write; backup is as for writeJson, or a
+// function of the new contents.
+function update(file, fn, { backup = false } = {}) {
+  return withLock(file, () => {
+    const data = fn(readJson(file));
+    writeLocked(file, data, typeof backup === "function" ? backup(data) : backup);
+    return data;
+  });
+}
+
+function writeLocked(file, data, backup) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (backup && options.backups > 0 && fs.existsSync(file)) {
+    rotateBackups(file);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function rotateBackups(file) {
+  for (let n = options.backups - 1; n >= 1; n--) {
+    if (fs.existsSync(backupName(file, n))) {
+      fs.renameSync(backupName(file, n), backupName(file, n + 1));
+    }
+  }
+  fs.copyFileSync(file, backupName(file, 1));
+}
+
+// Newest backup that still parses, or null
+function findReadableBackup(file) {
+  for (let n = 1; n <= options.backups; n++) {
+    try {
+      if (readJson(backupName(file, n))) return backupName(file, n);
+    } catch {}
+  }
+  return null;
+}
+
+// Move an unreadable file out of the way (kept for inspection)
+function quarantine(file) {
+  const target = `${file}.corrupt-${Date.now()}`;
+  withLock(file, () => fs.renameSync(file, target));
+  return target;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEMA MIGRATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// migrations[n] upgrades a version n-1 object to version n. Files written
+// before versioning count as version 0.
+function migrate(data, migrations, version, file) {
+  let from = data.schemaVersion || 0;
+  if (from > version) {
+    throw new StateError(
+      "schema",
+      `${path.basename(file)} has schema version ${from}, this build reads up to ${version} - update the bot`,
+      file
+    );
+  }
+  const migrated = from < version;
+  while (from < version) {
+    data = { ...migrations[from + 1](data), schemaVersion: from + 1 };
+    from++;
+  }
+  return { data, migrated };
+}
+
+module.exports = {
+  configure,
+  readJson,
+  writeJson,
+  update,
+  findReadableBackup,
+  quarantine,
+  migrate,
+  StateError,
+};
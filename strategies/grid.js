@@ -0,0 +1,411 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Grid Strategy
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Usage: strategy: "grid" in config.js (settings in config.grid)
+//
+// Port of legacy/bot_grid.js onto the bot.js machinery: swaps, slippage
+// escalation, the ledger, state files, Telegram and the stop-loss / drawdown
+// exits all come from bot.js through the ctx order API (strategies/index.js).
+//
+// The grid is centred on an anchor price. When it anchors it buys seedUnits
+// lots; every grid step below the anchor wants one more lot and every step
+// above wants one less (0..maxUnits). Each lot keeps its own cost basis: when
+// the grid holds more lots than its level wants, it sells the lots whose own
+// take-profit (one step above what they cost) is reached, provided the quote
+// clears minProfitPct after fees. When every lot has sold and price has run
+// gapReanchorPct away, the grid re-anchors at the new price.
+//
+// Grid state lives in state.grid; state.position is kept as the sum of the
+// open lots so status, P&L and the risk checks work unchanged. Lots are
+// booked in onFill from the fill and the lot ids / unit count on its meta.
+
+const config = require("../config");
+
+const MIN_ORDER_LAMPORTS = 1_000_000n;      // 0.001 SOL - same floor as the ladder
+const FEE_RESERVE_LAMPORTS = 10_000_000n;   // Leave 0.01 SOL for network fees
+
+// mint -> [[timestamp, price]] ticks for the spacing volatility (memory only)
+const samples = new Map();
+
+function getDefaultState() {
+  return {
+    anchorPrice: null,
+    anchoredAt: null,
+    stepPct: config.grid.stepPct,  // Spacing in effect (volatility adjusted)
+    unitLamports: "0",             // Size of one lot, fixed when the grid anchors
+    lots: [],                      // { id, tokens, costLamports, buyPrice, targetPrice, openedAt }
+    lotSeq: 0,
+    lotsSold: 0,
+    realizedLamports: "0",         // Per-lot realized P&L since the grid started
+  };
+}
+
+function seedUnits() {
+  const { seedUnits: seed, maxUnits } = config.grid;
+  if (!Number.isFinite(seed) || seed < 0) return Math.floor(maxUnits / 2);
+  return Math.min(seed, maxUnits);
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GRID MATH
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Base spacing widened by the average tick-to-tick move (legacy GRID_VOL_*)
+function updateStepPct(mint, price, t) {
+  const { stepPct, minStepPct, maxStepPct, volWindowSec, volMult } = config.grid;
+  const series = samples.get(mint) || [];
+  series.push([t, price]);
+  while (series.length && t - series[0][0] > volWindowSec * 1000) {
+    series.shift();
+  }
+  samples.set(mint, series);
+
+  let avgAbsMove = 0;
+  for (let i = 1; i < series.length; i++) {
+    avgAbsMove += Math.abs((series[i][1] - series[i - 1][1]) / series[i - 1][1]) * 100;
+  }
+  if (series.length > 1) {
+    avgAbsMove /= series.length - 1;
+  }
+
+  return clamp(stepPct * (1 + avgAbsMove * volMult), minStepPct, maxStepPct);
+}
+
+// Lots the grid wants at this price: seed at the anchor, +1 per step below
+function desiredUnits(grid, price) {
+  const stepPrice = grid.anchorPrice * (grid.stepPct / 100);
+  return clamp(
+    seedUnits() + Math.floor((grid.anchorPrice - price) / stepPrice),
+    0,
+    config.grid.maxUnits
+  );
+}
+
+function levelPrice(grid, units) {
+  return grid.anchorPrice * (1 - ((units - seedUnits()) * grid.stepPct) / 100);
+}
+
+// state.position mirrors the open lots (status, stops and drawdown use it)
+function syncPosition(state, decimals) {
+  const lots = state.grid.lots;
+  const tokens = lots.reduce((sum, lot) => sum + BigInt(lot.tokens), 0n);
+  const cost = lots.reduce((sum, lot) => sum + BigInt(lot.costLamports), 0n);
+
+  state.position.tokenAmount = tokens.toString();
+  state.position.totalSolSpent = cost.toString();
+  state.position.solRecovered = "0";
+  state.position.avgEntryPrice = tokens > 0n
+    ? (Number(cost) / 1e9) / (Number(tokens) / Math.pow(10, decimals))
+    : 0;
+  state.position.openedAt = lots.length ? Math.min(...lots.map(lot => lot.openedAt)) : null;
+  state.stepIndex = lots.length;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ORDERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Buy `units` lots in one swap (onFill splits the fill evenly between them)
+async function buyLots(state, units, lamports, reason, ctx) {
+  const solBalance = await ctx.getSolBalance();
+  const available = solBalance > FEE_RESERVE_LAMPORTS ? solBalance - FEE_RESERVE_LAMPORTS : 0n;
+  const size = lamports < available ? lamports : available;
+
+  if (size < MIN_ORDER_LAMPORTS) {
+    ctx.logError(`GRID ${reason} skipped: insufficient balance (${ctx.formatSol(solBalance)} SOL)`);
+    return false;
+  }
+
+  ctx.log(`GRID ${reason}: ${units} lot(s) for ${ctx.formatSol(size)} SOL`);
+  const fill = await ctx.buy(Number(size) / 1e9, { reason: `grid_${reason}`, units });
+  if (!fill) return false;
+
+  ctx.log(`GRID ${reason} filled: ${ctx.formatTokens(fill.tokens)} tokens for ${ctx.formatSol(fill.lamports)} SOL, ${state.grid.lots.length}/${config.grid.maxUnits} lots`);
+  return true;
+}
+
+// Sell up to `count` lots past their take-profit (cheapest first) whose
+// share of the quote clears minProfitPct after fees, in one swap
+async function sellLots(state, price, count, ctx) {
+  const grid = state.grid;
+  let candidates = grid.lots
+    .filter(lot => price >= lot.targetPrice)
+    .sort((a, b) => a.targetPrice - b.targetPrice)
+    .slice(0, count);
+  if (!candidates.length) return false;
+
+  const sumTokens = lots => lots.reduce((sum, lot) => sum + BigInt(lot.tokens), 0n);
+  const feeLamports = ctx.estimateSellFeeLamports();
+
+  // Per-lot ROI from a quote for all candidates (legacy GRID_MIN_PROFIT_PCT)
+  const candidateTokens = sumTokens(candidates);
+  const quoted = await ctx.quoteSell(candidateTokens);
+  const net = quoted - feeLamports;
+  candidates = candidates.filter(lot => {
+    const share = (net * BigInt(lot.tokens)) / candidateTokens;
+    const roiPct = (Number(share - BigInt(lot.costLamports)) / Number(lot.costLamports)) * 100;
+    return roiPct >= config.grid.minProfitPct;
+  });
+  if (!candidates.length) {
+    ctx.log(`GRID sell held: quote ${ctx.formatSol(quoted)} SOL less fees is below ${config.grid.minProfitPct}% on every lot`);
+    return false;
+  }
+
+  const cost = candidates.reduce((sum, lot) => sum + BigInt(lot.costLamports), 0n);
+  ctx.log(`GRID take-profit: ${candidates.length} lot(s) (#${candidates.map(lot => lot.id).join(", #")})`);
+
+  const fill = await ctx.sell(sumTokens(candidates), {
+    reason: "grid_tp",
+    costLamports: cost,
+    lotIds: candidates.map(lot => lot.id),
+  });
+  return Boolean(fill);
+}
+
+// (Re)centre the grid on the current price and buy the seed lots
+async function anchor(state, price, ctx) {
+  const grid = state.grid;
+  const previous = grid.anchorPrice;
+  const solBalance = await ctx.getSolBalance();
+
+  grid.anchorPrice = price;
+  grid.anchoredAt = ctx.now();
+  grid.unitLamports = BigInt(Math.floor(ctx.getAllocationLamports(solBalance) / config.grid.maxUnits)).toString();
+  ctx.save();
+
+  ctx.log(previous
+    ? `GRID re-anchor: ${previous.toFixed(12)} -> ${price.toFixed(12)}, ${ctx.formatSol(BigInt(grid.unitLamports))} SOL per lot`
+    : `GRID anchored at ${price.toFixed(12)}, ${ctx.formatSol(BigInt(grid.unitLamports))} SOL per lot, step ${grid.stepPct.toFixed(2)}%`);
+
+  const units = seedUnits();
+  if (units > 0) {
+    await buyLots(state, units, BigInt(grid.unitLamports) * BigInt(units), "seed", ctx);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FILLS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function bookBuy(grid, fill, decimals, t) {
+  const units = fill.meta.units || 1;
+  const count = BigInt(units);
+  const baseTokens = fill.tokens / count;
+  const baseCost = fill.lamports / count;
+
+  for (let i = 0; i < units; i++) {
+    const last = i === units - 1;
+    const tokens = baseTokens + (last ? fill.tokens % count : 0n);
+    const cost = baseCost + (last ? fill.lamports % count : 0n);
+    const buyPrice = (Number(cost) / 1e9) / (Number(tokens) / Math.pow(10, decimals));
+
+    grid.lotSeq++;
+    grid.lots.push({
+      id: grid.lotSeq,
+      tokens: tokens.toString(),
+      costLamports: cost.toString(),
+      buyPrice,
+      targetPrice: buyPrice * (1 + grid.stepPct / 100),
+      openedAt: t,
+    });
+  }
+}
+
+// Split the proceeds by token share and book each lot
+function bookTakeProfit(state, fill, ctx) {
+  const grid = state.grid;
+  const sold = new Set(fill.meta.lotIds);
+  const lots = grid.lots.filter(lot => sold.has(lot.id));
+  const lotTokens = lots.reduce((sum, lot) => sum + BigInt(lot.tokens), 0n);
+  const cost = lots.reduce((sum, lot) => sum + BigInt(lot.costLamports), 0n);
+
+  let remaining = fill.lamports;
+  lots.forEach((lot, i) => {
+    const share = i === lots.length - 1
+      ? remaining
+      : (fill.lamports * BigInt(lot.tokens)) / lotTokens;
+    remaining -= share;
+    const pnl = share - BigInt(lot.costLamports);
+    const pnlPct = (Number(pnl) / Number(lot.costLamports)) * 100;
+    ctx.log(`GRID lot #${lot.id}: ${pnl >= 0n ? "+" : "-"}${ctx.formatSol(pnl >= 0n ? pnl : -pnl)} SOL (${pnlPct >= 0 ? "+" : ""}${pnlPct.toFixed(2)}%)`);
+  });
+
+  grid.lots = grid.lots.filter(lot => !sold.has(lot.id));
+  grid.lotsSold += lots.length;
+  grid.realizedLamports = (BigInt(grid.realizedLamports) + fill.lamports - cost).toString();
+
+  state.phase = "grid";
+  state.lastTrade = {
+    profitPct: cost > 0n ? (Number(fill.lamports - cost) / Number(cost)) * 100 : 0,
+    timestamp: ctx.now(),
+    reason: "grid_tp",
+  };
+}
+
+// A sell the grid didn't ask for (manual partial) shrinks every lot alike
+function shrinkLots(grid, fill) {
+  const total = grid.lots.reduce((sum, lot) => sum + BigInt(lot.tokens), 0n);
+  if (total === 0n) return;
+  const kept = total > fill.tokens ? total - fill.tokens : 0n;
+  for (const lot of grid.lots) {
+    lot.tokens = ((BigInt(lot.tokens) * kept) / total).toString();
+    lot.costLamports = ((BigInt(lot.costLamports) * kept) / total).toString();
+  }
+  grid.lots = grid.lots.filter(lot => BigInt(lot.tokens) > 0n);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STRATEGY INTERFACE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// state.grid stays null until the first tick adopts the position (if any)
+function init(saved = {}) {
+  return {
+    grid: saved.grid ? { ...getDefaultState(), ...saved.grid } : null,
+  };
+}
+
+function serialize(state) {
+  return { grid: state.grid };
+}
+
+async function onPrice(state, price, ctx) {
+  if (!state.grid) {
+    state.grid = adoptPosition(state, ctx);
+  }
+  const grid = state.grid;
+  state.phase = "grid";
+  grid.stepPct = updateStepPct(ctx.market.mint, price, ctx.now());
+
+  if (grid.anchorPrice === null) {
+    await anchor(state, price, ctx);
+    return state;
+  }
+
+  // Flat and price ran away - the old levels are meaningless now
+  const gapPct = Math.abs((price - grid.anchorPrice) / grid.anchorPrice) * 100;
+  if (!grid.lots.length && gapPct >= config.grid.gapReanchorPct) {
+    await anchor(state, price, ctx);
+    return state;
+  }
+
+  // One action per tick: shed lots above the level, or fill levels below
+  const want = desiredUnits(grid, price);
+  const delta = want - grid.lots.length;
+  if (delta < 0) {
+    await sellLots(state, price, -delta, ctx);
+  } else if (delta > 0) {
+    // Gapping through several levels buys a little extra (legacy GRID_SKIP_MULT)
+    const mult = 1 + (delta - 1) * config.grid.skipMult;
+    const lamports = BigInt(Math.floor(Number(grid.unitLamports) * delta * mult));
+    await buyLots(state, delta, lamports, "buy", ctx);
+  }
+
+  return state;
+}
+
+async function onFill(state, fill, ctx) {
+  if (!state.grid) {
+    state.grid = adoptPosition(state, ctx);
+  }
+
+  if (fill.side === "buy") {
+    bookBuy(state.grid, fill, await ctx.getTokenDecimals(), ctx.now());
+  } else if (fill.meta.lotIds) {
+    bookTakeProfit(state, fill, ctx);
+  } else if (fill.closed) {
+    // Stop-out, max drawdown or manual sell: start a fresh grid
+    state.grid = getDefaultState();
+  } else {
+    shrinkLots(state.grid, fill);
+  }
+
+  syncPosition(state, await ctx.getTokenDecimals());
+}
+
+// Switching a ladder position to the grid: treat it as one lot
+function adoptPosition(state, ctx) {
+  const grid = getDefaultState();
+  const tokens = BigInt(state.position.tokenAmount);
+  if (tokens > 0n && state.position.avgEntryPrice > 0) {
+    const spent = BigInt(state.position.totalSolSpent) - BigInt(state.position.solRecovered || "0");
+    grid.lotSeq = 1;
+    grid.lots.push({
+      id: 1,
+      tokens: tokens.toString(),
+      costLamports: (spent > 0n ? spent : 0n).toString(),
+      buyPrice: state.position.avgEntryPrice,
+      targetPrice: state.position.avgEntryPrice * (1 + grid.stepPct / 100),
+      openedAt: state.position.openedAt || ctx.now(),
+    });
+    ctx.log(`GRID adopted the open position as lot #1 (${ctx.formatTokens(tokens)} tokens)`);
+  }
+  return grid;
+}
+
+// Manual /buy: one lot at the current price
+async function forceBuy(state, ctx) {
+  const maxUnits = config.grid.maxUnits;
+  ctx.log("FORCE BUY: one grid lot");
+  if (!state.grid || state.grid.anchorPrice === null) {
+    state.grid = state.grid || adoptPosition(state, ctx);
+    await anchor(state, await ctx.getPrice(), ctx);
+  } else if (state.grid.lots.length >= maxUnits) {
+    return { success: false, error: `All ${maxUnits} grid lots are already held` };
+  } else if (!await buyLots(state, 1, BigInt(state.grid.unitLamports), "manual", ctx)) {
+    return { success: false, error: "Buy execution failed" };
+  }
+
+  state.phase = "grid";
+  return { success: true, step: state.grid.lots.length, totalSteps: maxUnits };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATUS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getStatus(state) {
+  const grid = state.grid || getDefaultState();
+  const held = grid.lots.length;
+  const nextSell = held ? Math.min(...grid.lots.map(lot => lot.targetPrice)) : null;
+  const nextBuy = grid.anchorPrice && held < config.grid.maxUnits
+    ? levelPrice(grid, held + 1)
+    : null;
+
+  return {
+    totalSteps: config.grid.maxUnits,
+    grid: {
+      anchorPrice: grid.anchorPrice,
+      anchoredAt: grid.anchoredAt,
+      stepPct: grid.stepPct,
+      unitLamports: grid.unitLamports,
+      lots: grid.lots,
+      maxUnits: config.grid.maxUnits,
+      nextBuyPrice: nextBuy,
+      nextSellPrice: nextSell,
+      lotsSold: grid.lotsSold,
+      realizedLamports: grid.realizedLamports,
+    },
+  };
+}
+
+function describe() {
+  const g = config.grid;
+  return `grid ${g.stepPct}% (${g.minStepPct}-${g.maxStepPct}%), ${g.maxUnits} lots, seed ${seedUnits()}, min profit ${g.minProfitPct}%, re-anchor at ${g.gapReanchorPct}%`;
+}
+
+module.exports = {
+  name: "grid",
+  init,
+  onPrice,
+  onFill,
+  serialize,
+  forceBuy,
+  getStatus,
+  describe,
+};
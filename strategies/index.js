@@ -0,0 +1,92 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Strategies
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Usage: strategy: "<name>" in config.js - a built-in (ladder, grid), a file
+// in strategies/ (strategies/<name>.js) or a path relative to the repo root.
+//
+// bot.js owns prices, the stop-loss / time stop / drawdown exits, the
+// lockout, position accounting, the ledger and the state file. A strategy
+// decides when to trade and keeps its own keys in the state file:
+//
+//   init(saved)                  -> the strategy's state keys, restored from a
+//                                   saved state file ({} for a fresh one). Also
+//                                   used to start over after a lockout.
+//   onPrice(state, price, ctx)   -> called every tick (not paused, not in
+//                                   lockout, no stop fired); returns state
+//   onFill(state, fill, ctx)     -> called after every fill, including stop-outs
+//                                   and manual sells. The position is already
+//                                   updated; fill = { side, tokens, lamports,
+//                                   feeLamports, priorityFeeLamports, signature,
+//                                   reason, closed, profitPct, meta } (bigints
+//                                   for amounts).
+//                                   synced: true = the wallet was already empty
+//                                   meta.recovered: true = a swap the process died
+//                                   during, booked at startup, or a sliced order
+//                                   it died during the first child of (meta is
+//                                   a JSON copy)
+//   serialize(state)             -> the strategy's keys as plain JSON
+//
+// Optional: describe() for the startup log, getStatus(state, ctx) merged
+// into the Telegram status, forceBuy(state, ctx) for /buy, and
+// reconcile(state, history, ctx) for /reconcile and /fix: bot.js has rebuilt
+// state.position from the chain; set stepIndex, phase and the strategy's own
+// keys from history = { swaps, buys, sells, transfers, orders } (swaps since
+// the last full exit, oldest first; orders = distinct buy orders). Without
+// it those commands refuse.
+//
+// ctx is the order API plus helpers, bound to the market being ticked:
+//   ctx.buy(sol, meta)           buy `sol` SOL of the token
+//   ctx.sell(tokens, meta)       sell a token amount (capped at the wallet)
+//   ctx.sellPercent(pct, meta)   sell pct% of the position
+//   ctx.sellAll(reason)          sell everything the wallet holds
+// Each is one order with the bot's slippage / priority-fee escalation (split
+// into several swaps by the trade guard when its price impact is too high)
+// and resolves to the fill (after onFill and a state write) or null on
+// failure or a guard rejection.
+// meta.reason and meta.costLamports go to the ledger; the rest is passed
+// back on fill.meta. Selling the whole position closes the cycle.
+//
+// With config.twap on, a large buy or a sellAll is sliced over a time
+// window: the call resolves after the first child swap with fill.pending =
+// true, onPrice is skipped until the rest has gone out, and onFill runs once
+// with the whole order (fill.meta is then a JSON copy - bigints as strings).
+
+const path = require("path");
+
+const BUILT_IN = {
+  ladder: "./ladder",
+  grid: "./grid",
+};
+
+const REQUIRED = ["init", "onPrice", "onFill", "serialize"];
+
+function loadStrategy(name) {
+  let target = BUILT_IN[name];
+  if (!target) {
+    target = /[\\/]/.test(name)
+      ? path.resolve(__dirname, "..", name)
+      : path.join(__dirname, name);
+  }
+
+  let strategy;
+  try {
+    strategy = require(target);
+  } catch (err) {
+    if (err.code === "MODULE_NOT_FOUND" && err.message.includes(target)) {
+      throw new Error(`Unknown strategy "${name}" in config.js (ladder, grid or a module in strategies/)`);
+    }
+    throw err;
+  }
+
+  const missing = REQUIRED.filter(fn => typeof strategy[fn] !== "function");
+  if (missing.length) {
+    throw new Error(`Strategy "${name}" is missing ${missing.join(", ")}`);
+  }
+  strategy.name = strategy.name || name;
+  return strategy;
+}
+
+module.exports = {
+  loadStrategy,
+};
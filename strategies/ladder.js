@@ -0,0 +1,634 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Ladder Strategy (default)
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Usage: strategy: "ladder" in config.js
+//
+// WATCHING  wait for price to drop entryDropPct from the watch price
+// BUILDING  buy the next step each time price reaches its dropPct
+// HOLDING   all steps bought, wait for trailingTriggerPct profit
+// TRAILING  sell everything once price falls trailingStopPct from the peak
+//
+// Optional partial exits, dynamic re-entry after a win, the watch-anchor
+// modes and the volatility-adaptive ladder all live here; trades go through
+// the ctx order API from bot.js (see strategies/index.js).
+
+const config = require("../config");
+
+const MIN_ORDER_LAMPORTS = 0.001 * 1e9;
+
+// mint -> [[timestamp, price]] ticks for the volatility ladder (memory only)
+const volSamples = new Map();
+
+function getDefaultState() {
+  return {
+    watchPrice: null,            // Price when we started watching
+    trailing: {
+      active: false,
+      peakPrice: 0,
+    },
+    cooldown: {
+      startTime: null,
+      priceAtStart: null,
+      highPrice: null,
+      lowPrice: null,
+    },
+    watchAnchor: {
+      mode: config.watchAnchor.mode,
+      setAt: null,               // When the watch price was first set this cycle
+      movedAt: null,
+      moves: 0,                  // Re-anchors since then
+      lastMove: null,            // { from, to, at, reason }
+      highs: [],                 // rolling_high: [bucketStart, high] pairs
+    },
+    currentEntryDropPct: config.entryDropPct,
+    ladder: {
+      scale: 1,                  // Volatility multiplier on entry/step drops + trailing stop
+      volPct: null,              // Realized vol it was computed from
+      updatedAt: null,
+    },
+    partialExitsDone: [],        // Track which partial exit levels were hit
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STRATEGY INTERFACE
+// ═══════════════════════════════════════════════════════════════════════════
+
+function init(saved = {}) {
+  const defaults = getDefaultState();
+  const state = {};
+  for (const key of Object.keys(defaults)) {
+    state[key] = saved[key] !== undefined ? saved[key] : defaults[key];
+  }
+  // Deep merge nested objects
+  state.trailing = { ...defaults.trailing, ...saved.trailing };
+  state.cooldown = { ...defaults.cooldown, ...saved.cooldown };
+  state.watchAnchor = { ...defaults.watchAnchor, ...saved.watchAnchor };
+  state.ladder = { ...defaults.ladder, ...saved.ladder };
+  return state;
+}
+
+function serialize(state) {
+  const out = {};
+  for (const key of Object.keys(getDefaultState())) {
+    out[key] = state[key];
+  }
+  return out;
+}
+
+async function onPrice(state, price, ctx) {
+  state = updateCooldown(state, price, ctx);
+  state = updateLadder(state, price, ctx);
+
+  if (state.phase === "grid") {
+    state = leaveGrid(state, ctx);
+  }
+
+  switch (state.phase) {
+    case "watching":
+      state = await handleWatching(state, price, ctx);
+      break;
+    case "building":
+      state = await handleBuilding(state, price, ctx);
+      break;
+    case "holding":
+      state = await handleHolding(state, price, ctx);
+      break;
+    case "trailing":
+      state = await handleTrailing(state, price, ctx);
+      break;
+  }
+  return state;
+}
+
+// A full exit (trailing stop, stop-out, manual sell) starts the next cycle
+function onFill(state, fill, ctx) {
+  if (fill.side === "buy" && fill.meta.recovered) {
+    takeRecoveredStep(state, ctx);
+    return;
+  }
+  if (fill.side !== "sell" || !fill.closed) return;
+
+  state.trailing = { active: false, peakPrice: 0 };
+  state.partialExitsDone = [];
+  state.watchPrice = null;
+  if (fill.synced) return;
+
+  // Determine next entry drop based on profit
+  state.currentEntryDropPct = getNextEntryDrop(fill.profitPct);
+  ctx.log(`Next entry trigger: ${state.currentEntryDropPct}% drop`);
+
+  // Start cooldown tracking
+  state.cooldown = {
+    startTime: ctx.now(),
+    priceAtStart: null,
+    highPrice: null,
+    lowPrice: null,
+  };
+}
+
+// A buy recovered from the swap journal at startup never got back to the
+// onPrice that placed it - count its step here instead
+function takeRecoveredStep(state, ctx) {
+  const steps = ctx.market.steps;
+  if (state.stepIndex === 0) {
+    state.cooldown = { startTime: null, priceAtStart: null, highPrice: null, lowPrice: null };
+  }
+  state.stepIndex = Math.min(state.stepIndex + 1, steps.length);
+  state.phase = state.stepIndex >= steps.length ? "holding" : "building";
+  ctx.log(`Recovered buy counted as step ${state.stepIndex} of ${steps.length}`);
+}
+
+// /reconcile and /fix: step and phase for the position bot.js rebuilt from
+// the chain - one step per buy order, partial exits from the ledger reasons.
+// The watch price isn't on-chain: it is kept, or starts at the first buy.
+function reconcile(state, history, ctx) {
+  const steps = ctx.market.steps;
+  state.trailing = state.phase === "trailing" ? state.trailing : { active: false, peakPrice: 0 };
+
+  if (BigInt(state.position.tokenAmount) === 0n) {
+    state.stepIndex = 0;
+    if (state.phase !== "watching" && state.phase !== "lockout") {
+      state.phase = "watching";
+      state.watchPrice = null;
+      state.partialExitsDone = [];
+    }
+    return state;
+  }
+
+  // Tokens with no buy behind them are held like a grid position taken over
+  state.stepIndex = history.orders ? Math.min(history.orders, steps.length) : steps.length;
+  if (state.phase !== "trailing") {
+    state.phase = state.stepIndex >= steps.length ? "holding" : "building";
+  }
+  if (state.watchPrice === null) {
+    state.watchPrice = history.buys.length ? history.buys[0].price : state.position.avgEntryPrice;
+  }
+  state.partialExitsDone = history.sells
+    .map(sell => /^partial_(.+)$/.exec(sell.reason || ""))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  state.cooldown = { startTime: null, priceAtStart: null, highPrice: null, lowPrice: null };
+  return state;
+}
+
+// strategy switched from grid back to ladder: hold whatever the lots add up to
+function leaveGrid(state, ctx) {
+  const tokens = BigInt(state.position.tokenAmount);
+  state.phase = tokens > 0n ? "holding" : "watching";
+  state.stepIndex = tokens > 0n ? ctx.market.steps.length : 0;
+  state.watchPrice = tokens > 0n ? state.position.avgEntryPrice : null;
+  ctx.log(`Strategy is ladder again - grid position taken over as ${state.phase.toUpperCase()}`);
+  return state;
+}
+
+function getNextEntryDrop(profitPct) {
+  // Check reentry rules in order (highest profit first)
+  for (const rule of config.reentryRules) {
+    if (profitPct >= rule.minProfitPct) {
+      return rule.nextDropPct;
+    }
+  }
+  // Default to standard entry drop
+  return config.entryDropPct;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VOLATILITY LADDER
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Realized volatility over the window: sqrt of the summed squared log
+// returns, as a %. It doesn't depend on the tick interval, so live (3s) and
+// backtest (1m) data give comparable numbers. null while warming up.
+function getRealizedVolPct(samples) {
+  const windowMs = config.volatilityLadder.windowMinutes * 60 * 1000;
+  if (samples.length < 10 || samples[samples.length - 1][0] - samples[0][0] < windowMs / 2) {
+    return null;
+  }
+
+  let sumSquares = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const r = Math.log(samples[i][1] / samples[i - 1][1]);
+    sumSquares += r * r;
+  }
+  return Math.sqrt(sumSquares) * 100;
+}
+
+// Record the tick and re-scale the ladder. The scale lives in state, so it
+// survives restarts (kept as-is until the new history has warmed up).
+function updateLadder(state, price, ctx) {
+  const vol = config.volatilityLadder;
+  if (!vol.enabled) {
+    if (state.ladder.scale !== 1) {
+      state.ladder = getDefaultState().ladder;
+    }
+    return state;
+  }
+
+  const t = ctx.now();
+  const windowMs = vol.windowMinutes * 60 * 1000;
+  const samples = volSamples.get(ctx.market.mint) || [];
+  samples.push([t, price]);
+  while (samples.length && t - samples[0][0] > windowMs) {
+    samples.shift();
+  }
+  volSamples.set(ctx.market.mint, samples);
+
+  const volPct = getRealizedVolPct(samples);
+  if (volPct === null) return state;
+
+  // Only move once the target is 0.1 away, so small wobbles around a
+  // rounding edge don't rewrite the ladder every tick
+  const raw = Math.min(Math.max(volPct / vol.baselineVolPct, vol.minScale), vol.maxScale);
+  const changed = Math.abs(raw - state.ladder.scale) >= 0.1;
+
+  state.ladder.volPct = volPct;
+  state.ladder.updatedAt = t;
+  if (changed) {
+    state.ladder.scale = Math.round(raw * 10) / 10;
+    const steps = getLadderSteps(state, ctx.market).map(st => `${st.dropPct}%`).join("/");
+    ctx.log(`LADDER: vol ${volPct.toFixed(2)}% over ${vol.windowMinutes}m -> x${state.ladder.scale.toFixed(2)}, entry ${scaledPct(state.currentEntryDropPct, state)}%, steps ${steps}, trail ${getTrailingStopPct(state)}%`);
+  }
+  return state;
+}
+
+function scaledPct(pct, state) {
+  return Math.round(pct * state.ladder.scale * 100) / 100;
+}
+
+// market.steps with the volatility scale applied to dropPct
+function getLadderSteps(state, market) {
+  return market.steps.map(step => ({ ...step, dropPct: scaledPct(step.dropPct, state) }));
+}
+
+function getTrailingStopPct(state) {
+  return config.volatilityLadder.scaleTrailing
+    ? scaledPct(config.trailingStopPct, state)
+    : config.trailingStopPct;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WATCH ANCHOR
+// ═══════════════════════════════════════════════════════════════════════════
+
+function updateCooldown(state, price, ctx) {
+  // Track price range for cooldown reset
+  if (state.cooldown.startTime) {
+    if (state.cooldown.priceAtStart === null) {
+      state.cooldown.priceAtStart = price;
+      state.cooldown.highPrice = price;
+      state.cooldown.lowPrice = price;
+    } else {
+      state.cooldown.highPrice = Math.max(state.cooldown.highPrice, price);
+      state.cooldown.lowPrice = Math.min(state.cooldown.lowPrice, price);
+    }
+
+    // Check if cooldown period elapsed
+    const elapsedHours = (ctx.now() - state.cooldown.startTime) / (1000 * 60 * 60);
+    if (elapsedHours >= config.cooldownResetHours) {
+      // Check if price stayed within range
+      const range = state.cooldown.highPrice / state.cooldown.lowPrice - 1;
+      const rangePct = range * 100;
+
+      if (rangePct <= config.cooldownRangePct) {
+        ctx.log(`Cooldown complete: price ranged ${rangePct.toFixed(1)}% over ${config.cooldownResetHours}h`);
+        ctx.log(`Resetting entry trigger to ${config.entryDropPct}%`);
+        state.currentEntryDropPct = config.entryDropPct;
+      }
+
+      // Reset cooldown either way
+      state.cooldown = {
+        startTime: null,
+        priceAtStart: null,
+        highPrice: null,
+        lowPrice: null,
+      };
+      ctx.save();
+    }
+  }
+
+  return state;
+}
+
+function resetWatchAnchor(state, price, ctx) {
+  state.watchAnchor = {
+    ...getDefaultState().watchAnchor,
+    setAt: ctx.now(),
+    highs: config.watchAnchor.mode === "rolling_high" ? [[ctx.now(), price]] : [],
+  };
+}
+
+function moveWatchPrice(state, price, reason, ctx) {
+  const from = state.watchPrice;
+  state.watchPrice = price;
+  state.watchAnchor.movedAt = ctx.now();
+  state.watchAnchor.moves++;
+  state.watchAnchor.lastMove = { from, to: price, at: ctx.now(), reason };
+  // Tick-by-tick creep of a trailing/rolling high would flood the log
+  const changePct = ((price - from) / from) * 100;
+  if (reason !== "periodic_reset" && Math.abs(changePct) < 1) return;
+  ctx.log(`WATCH RE-ANCHOR (${reason}): ${from.toFixed(12)} -> ${price.toFixed(12)} (${changePct >= 0 ? "+" : ""}${changePct.toFixed(2)}%)`);
+}
+
+function describeWatchAnchor() {
+  const anchor = config.watchAnchor;
+  switch (anchor.mode) {
+    case "trailing_high": return `trailing high (re-anchor after +${anchor.reanchorPct}%)`;
+    case "rolling_high": return `${anchor.windowHours}h rolling high`;
+    case "periodic_reset": return `reset every ${anchor.resetHours}h`;
+    default: return "fixed";
+  }
+}
+
+// Move the watch price per config.watchAnchor.mode (WATCHING only)
+function updateWatchAnchor(state, price, ctx) {
+  const anchor = config.watchAnchor;
+  const t = ctx.now();
+
+  if (anchor.mode === "trailing_high") {
+    if (price > state.watchPrice * (1 + anchor.reanchorPct / 100)) {
+      moveWatchPrice(state, price, "new_high", ctx);
+    }
+  } else if (anchor.mode === "rolling_high") {
+    // Highs are kept per bucket (~60 per window) so the state file stays small
+    const windowMs = anchor.windowHours * 60 * 60 * 1000;
+    const bucketMs = Math.max(60 * 1000, Math.floor(windowMs / 60));
+    // No highs yet for a watch price set another way (a mode switch, an
+    // older state file): it starts the window instead of the first tick
+    if (!state.watchAnchor.highs.length && state.watchPrice) {
+      state.watchAnchor.highs = [[t, state.watchPrice]];
+    }
+    const highs = state.watchAnchor.highs.filter(([start]) => start > t - windowMs);
+    const last = highs[highs.length - 1];
+    if (last && t - last[0] < bucketMs) {
+      last[1] = Math.max(last[1], price);
+    } else {
+      highs.push([t, price]);
+    }
+    state.watchAnchor.highs = highs;
+
+    const windowHigh = Math.max(...highs.map(([, high]) => high));
+    if (windowHigh !== state.watchPrice) {
+      moveWatchPrice(state, windowHigh, windowHigh > state.watchPrice ? "new_high" : "window_expired", ctx);
+    }
+  } else if (anchor.mode === "periodic_reset") {
+    const since = state.watchAnchor.movedAt || state.watchAnchor.setAt || t;
+    if (t - since >= anchor.resetHours * 60 * 60 * 1000 && price !== state.watchPrice) {
+      moveWatchPrice(state, price, "periodic_reset", ctx);
+    }
+  }
+
+  return state;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PHASES
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function handleWatching(state, price, ctx) {
+  // Set watch price if not set
+  if (state.watchPrice === null) {
+    state.watchPrice = price;
+    resetWatchAnchor(state, price, ctx);
+    ctx.log(`WATCHING: Starting at price ${price.toFixed(12)} (anchor: ${config.watchAnchor.mode})`);
+    ctx.save();
+    return state;
+  }
+
+  state = updateWatchAnchor(state, price, ctx);
+
+  // Calculate drop from watch price
+  const dropPct = ((state.watchPrice - price) / state.watchPrice) * 100;
+
+  // Check if we hit entry trigger
+  const targetDrop = scaledPct(state.currentEntryDropPct, state);
+
+  if (dropPct >= targetDrop) {
+    ctx.log(`ENTRY TRIGGER: Price dropped ${dropPct.toFixed(2)}% (target: ${targetDrop}%)`);
+
+    // Calculate buy amount for step 0
+    const solBalance = await ctx.getSolBalance();
+    const allocation = ctx.getAllocationLamports(solBalance);
+    const stepSize = (allocation * ctx.market.steps[0].sizePct) / 100;
+
+    if (stepSize < MIN_ORDER_LAMPORTS) {
+      ctx.logError("Insufficient balance for trade");
+      return state;
+    }
+
+    const fill = await ctx.buy(stepSize / 1e9);
+    if (fill) {
+      state.stepIndex = 1; // Move to step 1 (next step)
+      state.phase = "building";
+      state.cooldown = { startTime: null, priceAtStart: null, highPrice: null, lowPrice: null };
+      ctx.log(`Phase: BUILDING (step 1 of ${ctx.market.steps.length} complete)`);
+    }
+    ctx.save();
+  }
+
+  return state;
+}
+
+async function handleBuilding(state, price, ctx) {
+  const steps = ctx.market.steps;
+
+  // Check if we should do next step
+  if (state.stepIndex < steps.length) {
+    const step = getLadderSteps(state, ctx.market)[state.stepIndex];
+    const dropPct = ((state.watchPrice - price) / state.watchPrice) * 100;
+
+    if (dropPct >= step.dropPct) {
+      ctx.log(`STEP ${state.stepIndex + 1} TRIGGER: Price dropped ${dropPct.toFixed(2)}% (target: ${step.dropPct}%)`);
+
+      const solBalance = await ctx.getSolBalance();
+      const allocation = ctx.getAllocationLamports(solBalance);
+      const stepSize = (allocation * step.sizePct) / 100;
+
+      if (stepSize >= MIN_ORDER_LAMPORTS) {
+        const fill = await ctx.buy(stepSize / 1e9);
+        if (fill) {
+          state.stepIndex++;
+          ctx.log(`Step ${state.stepIndex} of ${steps.length} complete`);
+        }
+      }
+      ctx.save();
+    }
+  }
+
+  // Check if all steps done or if profit target hit
+  const profitPct = ctx.getProfitPct(price);
+
+  if (state.stepIndex >= steps.length) {
+    state.phase = "holding";
+    ctx.log(`Phase: HOLDING (all ${steps.length} steps complete)`);
+    ctx.save();
+  } else if (profitPct >= config.trailingTriggerPct) {
+    // Early profit - activate trailing
+    state.phase = "trailing";
+    state.trailing = { active: true, peakPrice: price };
+    ctx.log(`Phase: TRAILING (profit ${profitPct.toFixed(2)}% hit trigger)`);
+    ctx.save();
+  }
+
+  return state;
+}
+
+async function handleHolding(state, price, ctx) {
+  const profitPct = ctx.getProfitPct(price);
+
+  // Handle partial exits if enabled
+  if (config.partialExits.enabled) {
+    state = await handlePartialExits(state, profitPct, ctx);
+  }
+
+  // Check for trailing trigger
+  if (profitPct >= config.trailingTriggerPct) {
+    state.phase = "trailing";
+    state.trailing = { active: true, peakPrice: price };
+    ctx.log(`Phase: TRAILING (profit ${profitPct.toFixed(2)}% hit trigger)`);
+    ctx.save();
+  }
+
+  return state;
+}
+
+async function handleTrailing(state, price, ctx) {
+  // Update peak price
+  if (price > state.trailing.peakPrice) {
+    state.trailing.peakPrice = price;
+    ctx.save();
+  }
+
+  // Handle partial exits if enabled
+  const profitPct = ctx.getProfitPct(price);
+  if (config.partialExits.enabled) {
+    state = await handlePartialExits(state, profitPct, ctx);
+  }
+
+  // Check trailing stop
+  const dropFromPeak = ((state.trailing.peakPrice - price) / state.trailing.peakPrice) * 100;
+
+  if (dropFromPeak >= getTrailingStopPct(state)) {
+    ctx.log(`TRAILING STOP: Price dropped ${dropFromPeak.toFixed(2)}% from peak`);
+    await ctx.sellAll("trailing");
+  }
+
+  return state;
+}
+
+async function handlePartialExits(state, profitPct, ctx) {
+  for (const level of config.partialExits.levels) {
+    // Skip if already done this level
+    if (state.partialExitsDone.includes(level.profitPct)) continue;
+
+    if (profitPct >= level.profitPct) {
+      ctx.log(`PARTIAL EXIT: Selling ${level.sellPct}% at ${profitPct.toFixed(2)}% profit`);
+
+      // Position keeps its SOL spent for the cycle P&L (bot.js books the rest)
+      const fill = await ctx.sellPercent(level.sellPct, { reason: `partial_${level.profitPct}` });
+      if (fill) {
+        state.partialExitsDone.push(level.profitPct);
+        ctx.log(`Partial exit complete. Remaining: ${ctx.formatTokens(BigInt(state.position.tokenAmount))} tokens`);
+        ctx.save();
+      }
+    }
+  }
+  return state;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MANUAL BUY / STATUS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// /buy: the next step of the ladder at the current price
+async function forceBuy(state, ctx) {
+  const steps = ctx.market.steps;
+
+  // Check if we've completed all steps
+  if (state.stepIndex >= steps.length) {
+    return { success: false, error: `All ${steps.length} steps already complete` };
+  }
+
+  // Get current step config
+  const currentStep = steps[state.stepIndex];
+  const stepNum = state.stepIndex + 1;
+
+  // Calculate buy size for this step
+  const solBalance = await ctx.getSolBalance();
+  const allocation = ctx.getAllocationLamports(solBalance);
+  const stepSize = (allocation * currentStep.sizePct) / 100;
+
+  if (stepSize < MIN_ORDER_LAMPORTS) {
+    return { success: false, error: "Insufficient balance" };
+  }
+
+  // Set watch price if this is first buy
+  if (state.watchPrice === null) {
+    const price = await ctx.getPrice();
+    state.watchPrice = price;
+    ctx.log(`Watch price set to ${price}`);
+  }
+
+  ctx.log(`FORCE BUY: Step ${stepNum}/${steps.length} (${currentStep.sizePct}% of allocation)`);
+
+  const fill = await ctx.buy(stepSize / 1e9);
+  if (!fill) {
+    return { success: false, error: "Buy execution failed" };
+  }
+
+  state.stepIndex = state.stepIndex + 1;
+  if (state.stepIndex >= steps.length) {
+    state.phase = "holding";
+    ctx.log(`Phase: HOLDING (all ${steps.length} steps complete)`);
+  } else {
+    state.phase = "building";
+    ctx.log(`Phase: BUILDING (step ${state.stepIndex}/${steps.length} complete)`);
+  }
+  return { success: true, step: stepNum, totalSteps: steps.length };
+}
+
+function getStatus(state, ctx) {
+  return {
+    watchPrice: state.watchPrice,
+    watchAnchor: {
+      mode: config.watchAnchor.mode,
+      setAt: state.watchAnchor.setAt,
+      moves: state.watchAnchor.moves,
+      lastMove: state.watchAnchor.lastMove,
+    },
+    totalSteps: ctx.market.steps.length,
+    trailing: state.trailing,
+    currentEntryDropPct: state.currentEntryDropPct,
+    ladder: {
+      enabled: config.volatilityLadder.enabled,
+      scale: state.ladder.scale,
+      volPct: state.ladder.volPct,
+      updatedAt: state.ladder.updatedAt,
+      entryDropPct: scaledPct(state.currentEntryDropPct, state),
+      steps: getLadderSteps(state, ctx.market),
+      trailingStopPct: getTrailingStopPct(state),
+    },
+  };
+}
+
+function describe() {
+  const vol = config.volatilityLadder;
+  let text = `ladder - entry ${config.entryDropPct}% drop (watch anchor: ${describeWatchAnchor()}), trailing at ${config.trailingTriggerPct}% / stop ${config.trailingStopPct}%`;
+  if (vol.enabled) {
+    text += `, volatility ${vol.baselineVolPct}% over ${vol.windowMinutes}m = x1 (x${vol.minScale}-${vol.maxScale}${vol.scaleTrailing ? " incl. trailing stop" : ""})`;
+  }
+  return text;
+}
+
+module.exports = {
+  name: "ladder",
+  init,
+  onPrice,
+  onFill,
+  serialize,
+  forceBuy,
+  reconcile,
+  getStatus,
+  describe,
+};
@@ -0,0 +1,452 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Supervisor (multi-wallet manager)
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Usage: npm run supervisor          start one bot worker per trading wallet
+//        npm run supervisor status   print the last aggregated status
+//
+// Every trading wallet in wallets.json (capped by TRADE_WALLET_COUNT) gets a
+// forked bot.js with its own WALLET_INDEX, DATA_DIR and COMMANDS_DIR under
+// data/workers/<worker>/, so state, ledger and command queues never mix.
+// With config.supervisor.perMint and a portfolio, each wallet runs one
+// worker per portfolio entry instead (MARKET_LABEL selects the entry).
+//
+// Crashed workers are restarted after BOT_RESTART_DELAY_MS. Workers report
+// their state over IPC after every round; the supervisor keeps the latest
+// report per worker in data/supervisor.json.
+//
+// Telegram goes through the supervisor, not the workers' own queues:
+// telegram.js keeps using the shared data/commands queue, the supervisor
+// takes each command from it, relays it over IPC to the worker the token
+// selects ("w2", "BONK" or "w2/BONK"; /start and /stop without one go to
+// every worker) and writes the worker's result back as the ack. Workers
+// send their notifications (stop-outs, drawdown, guard) over IPC too and
+// the supervisor posts them to the shared outbox. telegram.js reads
+// data/supervisor.json to tell that a supervisor is running and asks the
+// workers for /status <token> and /history the same way.
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { fork } = require("child_process");
+const config = require("./config");
+const wallets = require("./wallets");
+const keystore = require("./keystore");
+const commands = require("./commands");
+
+const DATA_DIR = path.join(__dirname, "data");
+const WORKERS_DIR = path.join(DATA_DIR, "workers");
+const STATUS_FILE = path.join(DATA_DIR, "supervisor.json");
+const LOG_FILE = path.join(DATA_DIR, "supervisor.log");
+const BOT_SCRIPT = path.join(__dirname, "bot.js");
+
+const RESTART_DELAY_MS = Number(process.env.BOT_RESTART_DELAY_MS) || 5000;
+const STOP_TIMEOUT_MS = 30000;
+const COMMAND_POLL_MS = 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GLOBALS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const workers = new Map(); // id -> worker
+const pendingAcks = new Map(); // command id -> { waiting: Set(worker id), results: [{ id, result }] }
+let shuttingDown = false;
+let workerPassphrase = null;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOGGING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function ts() {
+  return new Date().toISOString();
+}
+
+function log(...args) {
+  const line = `[${ts()}] ${args.join(" ")}`;
+  console.log(line);
+  try {
+    fs.appendFileSync(LOG_FILE, line + "\n");
+  } catch {}
+}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORKER PLAN
+// ═══════════════════════════════════════════════════════════════════════════
+
+// "main" or "w2", plus "-BONK" for per-mint workers
+function workerId(index, entry, label) {
+  const base = (entry.name || `w${index}`).replace(/[^A-Za-z0-9_-]/g, "_");
+  return label ? `${base}-${label}` : base;
+}
+
+function planWorkers() {
+  const trading = wallets.getTradingWallets();
+  const perMint = config.supervisor.perMint && config.portfolio.length > 0;
+  const plan = [];
+
+  for (const { index, entry } of trading) {
+    const labels = perMint ? config.portfolio.map(p => p.label) : [null];
+    for (const label of labels) {
+      const id = workerId(index, entry, label);
+      const dir = path.join(WORKERS_DIR, id);
+      plan.push({
+        id,
+        walletIndex: index,
+        walletName: entry.name || "unnamed",
+        publicKey: entry.publicKey,
+        market: label,
+        dir,
+        env: {
+          WALLET_INDEX: String(index),
+          DATA_DIR: dir,
+          COMMANDS_DIR: path.join(dir, "commands"),
+          // One metrics port each (config.metrics.port, +1, ...)
+          METRICS_PORT: String(config.metrics.port + plan.length),
+          ...(label ? {
+            MARKET_LABEL: label,
+            // The same wallet's other mints, for sizing this one's share and
+            // its max drawdown, checked against one peak per wallet
+            PEER_DATA_DIRS: JSON.stringify(Object.fromEntries(labels
+              .filter(other => other !== label)
+              .map(other => [other, path.join(WORKERS_DIR, workerId(index, entry, other))]))),
+            RISK_FILE: path.join(WORKERS_DIR, `${workerId(index, entry, null)}-risk.json`),
+          } : {}),
+        },
+      });
+    }
+  }
+  return plan;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WORKER LIFECYCLE
+// ═══════════════════════════════════════════════════════════════════════════
+
+function startWorker(spec) {
+  ensureDir(spec.dir);
+
+  // The passphrase never goes into the environment (readable from
+  // /proc/<pid>/environ) - the worker asks for it over IPC
+  const env = {
+    ...process.env,
+    ...spec.env,
+    ...(workerPassphrase ? { PASSPHRASE_FROM_SUPERVISOR: "1" } : {}),
+  };
+  delete env.WALLET_PASSPHRASE;
+  const child = fork(BOT_SCRIPT, [], {
+    env,
+    stdio: ["ignore", "ignore", "pipe", "ipc"],
+  });
+
+  const worker = workers.get(spec.id) || { spec, restarts: -1, status: null, lastExit: null };
+  worker.child = child;
+  worker.restarts++;
+  worker.startedAt = Date.now();
+  workers.set(spec.id, worker);
+
+  log(`START ${spec.id} (wallet ${spec.walletIndex}${spec.market ? `, ${spec.market}` : ""}) pid=${child.pid}`);
+
+  // bot.js logs to its own DATA_DIR/bot.jsonl; mirror only errors and crashes
+  child.stderr.on("data", chunk => {
+    for (const line of chunk.toString().split("\n")) {
+      if (line.trim()) log(`[${spec.id}] ${line}`);
+    }
+  });
+
+  child.on("message", msg => {
+    if (!msg) return;
+    if (msg.type === "status") {
+      worker.status = msg;
+    } else if (msg.type === "ack") {
+      settleCommand(msg.id, spec.id, msg.result);
+    } else if (msg.type === "notification") {
+      relayNotification(spec.id, msg.event);
+    } else if (msg.type === "passphrase_request" && workerPassphrase) {
+      child.send({ type: "passphrase", passphrase: workerPassphrase });
+    }
+  });
+
+  child.on("exit", (code, signal) => {
+    worker.child = null;
+    worker.lastExit = { code, signal, at: Date.now() };
+    writeStatus();
+    for (const [id, pending] of pendingAcks) {
+      if (pending.waiting.has(spec.id)) {
+        settleCommand(id, spec.id, { success: false, error: "Worker exited before answering" });
+      }
+    }
+
+    if (shuttingDown) {
+      log(`STOPPED ${spec.id}`);
+      return;
+    }
+    log(`EXIT ${spec.id} code=${code} signal=${signal} - restarting in ${RESTART_DELAY_MS}ms`);
+    setTimeout(() => {
+      if (!shuttingDown) startWorker(spec);
+    }, RESTART_DELAY_MS);
+  });
+}
+
+async function stopAll() {
+  shuttingDown = true;
+  const live = [...workers.values()].filter(w => w.child);
+
+  for (const w of live) {
+    w.child.kill("SIGTERM");
+  }
+
+  // Give workers time to finish a swap in progress, then force it
+  const deadline = Date.now() + STOP_TIMEOUT_MS;
+  while (live.some(w => w.child) && Date.now() < deadline) {
+    await sleep(250);
+  }
+  for (const w of live) {
+    if (w.child) {
+      log(`KILL ${w.spec.id} (did not stop within ${STOP_TIMEOUT_MS / 1000}s)`);
+      w.child.kill("SIGKILL");
+    }
+  }
+  writeStatus();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TELEGRAM RELAY (data/commands <-> workers over IPC)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// "w2", "BONK", "w2/BONK" or nothing -> [{ worker, market }]. Throws with
+// the choices when the selector is unknown or ambiguous.
+function routeCommand(action, selector) {
+  const all = [...workers.values()];
+  const choices = () => all.map(w => w.spec.id).join(", ");
+
+  if (!selector) {
+    if ((action === "start" || action === "pause") || all.length === 1) {
+      return all.map(worker => ({ worker, market: null }));
+    }
+    throw new Error(`Several workers - name one (${choices()}) or a token`);
+  }
+
+  const [head, tail] = selector.split("/");
+  const byId = all.find(w => w.spec.id.toLowerCase() === head.toLowerCase());
+  if (byId) return [{ worker: byId, market: tail || null }];
+  if (tail) throw new Error(`Unknown worker "${head}" (have ${choices()})`);
+
+  // A token label (or mint) - whichever workers trade it
+  const key = selector.toLowerCase();
+  const matches = all.filter(w => {
+    const reported = w.status ? w.status.markets : [];
+    return (w.spec.market || "").toLowerCase() === key
+      || reported.some(m => m.label.toLowerCase() === key || (m.mint || "").toLowerCase() === key);
+  });
+  if (matches.length === 1) return [{ worker: matches[0], market: selector }];
+  if (matches.length > 1) {
+    throw new Error(`${selector} runs in several workers - use ${matches.map(w => `${w.spec.id}/${selector}`).join(" or ")}`);
+  }
+  throw new Error(`Unknown worker or token "${selector}" (workers ${choices()})`);
+}
+
+function relayCommands() {
+  for (const cmd of commands.takeCommands()) {
+    let targets;
+    try {
+      targets = routeCommand(cmd.action, cmd.args?.market);
+    } catch (err) {
+      commands.ackCommand(cmd.id, { success: false, error: err.message });
+      continue;
+    }
+
+    const down = targets.filter(t => !t.worker.child);
+    if (down.length) {
+      commands.ackCommand(cmd.id, { success: false, error: `Worker ${down.map(t => t.worker.spec.id).join(", ")} is down` });
+      continue;
+    }
+
+    pendingAcks.set(cmd.id, { waiting: new Set(targets.map(t => t.worker.spec.id)), results: [] });
+    for (const { worker, market } of targets) {
+      try {
+        worker.child.send({
+          type: "command",
+          command: { ...cmd, args: { ...cmd.args, market: market || undefined } },
+        });
+      } catch (err) {
+        settleCommand(cmd.id, worker.spec.id, { success: false, error: `Relay failed: ${err.message}` });
+      }
+    }
+  }
+}
+
+// One result per worker; a fan-out (/stop for everyone) fails if any failed
+function settleCommand(id, workerId, result) {
+  const pending = pendingAcks.get(id);
+  if (!pending || !pending.waiting.delete(workerId)) return;
+  pending.results.push({ id: workerId, result });
+  if (pending.waiting.size) return;
+
+  pendingAcks.delete(id);
+  if (pending.results.length === 1) {
+    commands.ackCommand(id, { worker: workerId, ...result });
+    return;
+  }
+  const failed = pending.results.filter(r => !r.result.success);
+  commands.ackCommand(id, failed.length
+    ? { success: false, error: failed.map(r => `${r.id}: ${r.result.error}`).join("; ") }
+    : { success: true });
+}
+
+// Worker-qualified token so the chat can tell workers apart (and the
+// label works as a selector for the next command)
+function relayNotification(workerId, event) {
+  try {
+    commands.postNotification(workers.size > 1
+      ? { ...event, market: `${workerId}/${event.market}`, marketCount: workers.size + event.marketCount }
+      : event);
+  } catch (err) {
+    log(`Notification relay failed: ${err.message}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATUS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getStatus() {
+  return {
+    updatedAt: Date.now(),
+    workers: [...workers.values()].map(w => ({
+      id: w.spec.id,
+      walletIndex: w.spec.walletIndex,
+      walletName: w.spec.walletName,
+      publicKey: w.spec.publicKey,
+      market: w.spec.market,
+      running: !!w.child,
+      pid: w.child ? w.child.pid : null,
+      startedAt: w.startedAt,
+      restarts: w.restarts,
+      lastExit: w.lastExit,
+      lastReportAt: w.status ? w.status.timestamp : null,
+      markets: w.status ? w.status.markets : [],
+    })),
+  };
+}
+
+function writeStatus() {
+  try {
+    const tmp = `${STATUS_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(getStatus(), null, 2), "utf8");
+    fs.renameSync(tmp, STATUS_FILE);
+  } catch (err) {
+    log(`Status write failed: ${err.message}`);
+  }
+}
+
+function formatAge(timestamp) {
+  if (!timestamp) return "never";
+  const sec = Math.round((Date.now() - timestamp) / 1000);
+  if (sec < 120) return `${sec}s ago`;
+  return `${Math.round(sec / 60)}m ago`;
+}
+
+function printStatus(status) {
+  console.log("═══════════════════════════════════════════════════════════");
+  console.log("                   SUPERVISOR STATUS");
+  console.log("═══════════════════════════════════════════════════════════");
+  for (const w of status.workers) {
+    const state = w.running ? `running pid=${w.pid}` : "down";
+    console.log(`${w.id} [wallet ${w.walletIndex} ${w.walletName}] ${state}, restarts=${w.restarts}, report ${formatAge(w.lastReportAt)}`);
+    for (const m of w.markets) {
+      const phase = m.paused ? "paused" : m.phase;
+      const pnl = BigInt(m.tokens) > 0n ? `${m.profitPct >= 0 ? "+" : ""}${m.profitPct.toFixed(2)}%` : "-";
+      console.log(`    ${m.label.padEnd(10)} ${phase.padEnd(9)} step ${m.stepIndex}/${m.totalSteps}  P&L ${pnl}  price ${m.price}`);
+    }
+  }
+  console.log("═══════════════════════════════════════════════════════════");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function main() {
+  ensureDir(DATA_DIR);
+
+  if (process.argv[2] === "status") {
+    if (!fs.existsSync(STATUS_FILE)) {
+      console.error("No supervisor status yet (is npm run supervisor running?)");
+      process.exit(1);
+    }
+    printStatus(JSON.parse(fs.readFileSync(STATUS_FILE, "utf8")));
+    return;
+  }
+
+  const problems = wallets.validateRoles();
+  if (problems.length) {
+    console.error(`wallets.json has invalid roles:\n  ${problems.join("\n  ")}`);
+    process.exit(1);
+  }
+
+  const plan = planWorkers();
+  if (!plan.length) {
+    console.error("No trading wallets in wallets.json");
+    process.exit(1);
+  }
+
+  // Workers have no terminal to prompt on - unlock every key here first so a
+  // bad passphrase fails once instead of crash-looping, then hand it down
+  // over IPC
+  if (!config.simulation.enabled) {
+    for (const { entry } of wallets.getTradingWallets()) {
+      await wallets.unlockKeypair(entry);
+      if (wallets.isEncrypted(entry)) {
+        workerPassphrase = await keystore.getPassphrase();
+      }
+    }
+  }
+
+  log("═══════════════════════════════════════════════════════════════");
+  log(`MM-Profit Supervisor starting ${plan.length} worker(s)`);
+  log("═══════════════════════════════════════════════════════════════");
+
+  for (const spec of plan) {
+    startWorker(spec);
+  }
+  writeStatus();
+
+  const relay = setInterval(() => {
+    try {
+      relayCommands();
+    } catch (err) {
+      log(`Command relay error: ${err.message}`);
+    }
+  }, COMMAND_POLL_MS);
+
+  const onSignal = async () => {
+    if (shuttingDown) return;
+    log("Shutting down workers...");
+    clearInterval(relay);
+    await stopAll();
+    process.exit(0);
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  while (!shuttingDown) {
+    await sleep(config.supervisor.statusIntervalMs);
+    if (shuttingDown) break;
+    writeStatus();
+  }
+}
+
+main().catch(err => {
+  console.error("Fatal error:", err);
+  process.exit(1);
+});
@@ -1,63 +1,15 @@
 require("dotenv").config();
-const fs = require("fs");
-const path = require("path");
 const readline = require("readline");
-const fetch = global.fetch || require("node-fetch");
 const {
   Connection,
-  Keypair,
   PublicKey,
   VersionedTransaction,
 } = require("@solana/web3.js");
+const walletStore = require("./wallets");
+const jupiter = require("./jupiter");
 
 const RPC_URL = process.env.SOLANA_RPC_URL;
-const WALLETS_FILE = path.join(__dirname, "wallets.json");
 const SOL_MINT = "So11111111111111111111111111111111111111112";
-const JUP_BASE_URL = process.env.JUPITER_API_BASE || "https://quote-api.jup.ag";
-
-function loadWallets() {
-  if (!fs.existsSync(WALLETS_FILE)) {
-    return [];
-  }
-
-  const raw = fs.readFileSync(WALLETS_FILE, "utf8");
-  if (!raw.trim()) {
-    return [];
-  }
-
-  const data = JSON.parse(raw);
-  return Array.isArray(data.wallets) ? data.wallets : [];
-}
-
-function saveWallets(wallets) {
-  const payload = { wallets };
-  fs.writeFileSync(WALLETS_FILE, JSON.stringify(payload, null, 2), "utf8");
-}
-
-function ensureInitialWallet() {
-  const wallets = loadWallets();
-  if (wallets.length > 0) {
-    return wallets;
-  }
-
-  const keypair = Keypair.generate();
-  const entry = {
-    name: "main",
-    publicKey: keypair.publicKey.toBase58(),
-    secretKey: Array.from(keypair.secretKey),
-  };
-
-  saveWallets([entry]);
-  console.log("Created main wallet:");
-  console.log(`- publicKey: ${entry.publicKey}`);
-  console.log("- secretKey (store securely):", entry.secretKey);
-  return [entry];
-}
-
-function keypairFromEntry(entry) {
-  const secretKey = Uint8Array.from(entry.secretKey);
-  return Keypair.fromSecretKey(secretKey);
-}
 
 function createPrompt() {
   const rl = readline.createInterface({
@@ -91,166 +43,15 @@ function toBaseUnits(amountStr, decimals) {
   return base + fracValue;
 }
 
-function buildFallbackUrls(primaryUrl, fallbackPaths) {
-  if (primaryUrl) {
-    return [primaryUrl];
-  }
-  return fallbackPaths;
-}
-
-function buildUrls(pathSuffixes) {
-  const base = JUP_BASE_URL.replace(/\/+$/, "");
-  return pathSuffixes.map((suffix) => `${base}${suffix}`);
-}
-
-async function fetchWithFallback(urls, label) {
-  let lastStatus = null;
-  for (const url of urls) {
-    let response;
-    try {
-      response = await fetch(url);
-    } catch (err) {
-      throw new Error(`${label} fetch failed: ${err.message || err} (${url})`);
-    }
-
-    if (response.ok) {
-      return { response, url };
-    }
-
-    lastStatus = response.status;
-    if (response.status !== 404) {
-      throw new Error(`${label} failed: ${response.status} (${url})`);
-    }
-  }
-
-  throw new Error(
-    `${label} failed: endpoint not found (404). Tried: ${urls.join(", ")}`
-  );
-}
-
-async function fetchTokenMap() {
-  const liteFallbacks = buildUrls(["/tokens", "/v1/tokens"]);
-  const defaultUrls = buildUrls(["/v6/tokens"]);
-  const urls = buildFallbackUrls(
-    process.env.JUPITER_TOKENS_URL,
-    JUP_BASE_URL.includes("lite-api.jup.ag")
-      ? defaultUrls.concat(liteFallbacks)
-      : defaultUrls
-  );
-
-  let response;
-  try {
-    ({ response } = await fetchWithFallback(urls, "Token list"));
-  } catch (err) {
-    if (String(err.message || "").includes("endpoint not found")) {
-      return null;
-    }
-    throw err;
-  }
-
-  const tokens = await response.json();
-  const map = new Map();
-  for (const token of tokens) {
-    map.set(token.address, token);
-  }
-  return map;
-}
-
-async function fetchQuote(inputMint, outputMint, amount, slippageBps) {
-  const liteFallbacks = buildUrls(["/swap/v1/quote", "/quote", "/v1/quote"]);
-  const defaultUrls = buildUrls(["/v6/quote"]);
-  const urls = buildFallbackUrls(
-    process.env.JUPITER_QUOTE_URL,
-    JUP_BASE_URL.includes("lite-api.jup.ag")
-      ? liteFallbacks.concat(defaultUrls)
-      : defaultUrls
-  );
-
-  const urlsWithParams = urls.map((rawUrl) => {
-    const url = new URL(rawUrl);
-    url.searchParams.set("inputMint", inputMint);
-    url.searchParams.set("outputMint", outputMint);
-    url.searchParams.set("amount", amount.toString());
-    url.searchParams.set("slippageBps", String(slippageBps));
-    return url.toString();
-  });
-
-  const { response } = await fetchWithFallback(urlsWithParams, "Quote");
-
-  const data = await response.json();
-  if (!data || !data.outAmount) {
-    throw new Error("Quote returned no outAmount");
-  }
-
-  return data;
-}
-
-async function fetchSwapTransaction(quote, userPublicKey) {
-  const liteFallbacks = buildUrls(["/swap/v1/swap", "/swap", "/v1/swap"]);
-  const defaultUrls = buildUrls(["/v6/swap"]);
-  const urls = buildFallbackUrls(
-    process.env.JUPITER_SWAP_URL,
-    JUP_BASE_URL.includes("lite-api.jup.ag")
-      ? liteFallbacks.concat(defaultUrls)
-      : defaultUrls
-  );
-
-  let response;
-  let lastError = null;
-  for (const url of urls) {
-    try {
-      response = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          quoteResponse: quote,
-          userPublicKey,
-          wrapAndUnwrapSol: true,
-          dynamicComputeUnitLimit: true,
-        }),
-      });
-    } catch (err) {
-      lastError = new Error(`Swap fetch failed: ${err.message || err} (${url})`);
-      break;
-    }
-
-    if (response.ok) {
-      lastError = null;
-      break;
-    }
-
-    if (response.status !== 404) {
-      const body = await response.text();
-      throw new Error(`Swap failed: ${response.status} ${body} (${url})`);
-    }
-  }
-
-  if (lastError) {
-    throw lastError;
-  }
-  if (!response || !response.ok) {
-    throw new Error(
-      `Swap failed: endpoint not found (404). Tried: ${urls.join(", ")}`
-    );
-  }
-
-  const data = await response.json();
-  if (!data || !data.swapTransaction) {
-    throw new Error("Swap response missing transaction");
-  }
-
-  return data.swapTransaction;
-}
-
 async function main() {
   if (!RPC_URL) {
     console.error("Missing SOLANA_RPC_URL env var.");
     process.exit(1);
   }
 
-  const wallets = ensureInitialWallet();
+  const wallets = await walletStore.ensureInitialWallet();
   const mainWallet = wallets[0];
-  const keypair = keypairFromEntry(mainWallet);
+  const keypair = await walletStore.unlockKeypair(mainWallet);
   const connection = new Connection(RPC_URL, "confirmed");
 
   const prompt = createPrompt();
@@ -280,7 +81,7 @@ async function main() {
       throw new Error("Invalid slippage bps");
     }
 
-    const tokenMap = await fetchTokenMap();
+    const tokenMap = await jupiter.fetchTokenMap();
 
     const inputMint = side === "buy" ? SOL_MINT : targetMint;
     const outputMint = side === "buy" ? targetMint : SOL_MINT;
@@ -335,7 +136,7 @@ async function main() {
     }
 
     console.log("Requesting quote...");
-    const quote = await fetchQuote(
+    const quote = await jupiter.fetchQuote(
       inputMint,
       outputMint,
       amountBaseUnits,
@@ -352,7 +153,7 @@ async function main() {
     }
 
     console.log("Building swap transaction...");
-    const swapTxB64 = await fetchSwapTransaction(
+    const swapTxB64 = await jupiter.fetchSwapTransaction(
       quote,
       keypair.publicKey.toBase58()
     );
@@ -3,12 +3,35 @@
 // ═══════════════════════════════════════════════════════════════════════════
 
 require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
 const bot = require("./bot");
 const config = require("./config");
+const commands = require("./commands");
 
 const BOT_TOKEN = process.env.TG_BOT_TOKEN;
 const CHAT_ID = process.env.TG_CHAT_ID;
 const API_BASE = `https://api.telegram.org/bot${BOT_TOKEN}`;
+const SUPERVISOR_FILE = path.join(__dirname, "data", "supervisor.json");
+
+const STOP_LABELS = {
+  stop_loss: "Stop-loss",
+  time_stop: "Time stop",
+  max_drawdown: "Max drawdown",
+};
+
+const GUARD_LABELS = {
+  impact: "Price impact too high",
+  liquidity: "Not enough liquidity",
+  deviation: "Quote off the tick price",
+};
+
+const ANCHOR_LABELS = {
+  fixed: "fixed",
+  trailing_high: "trailing high",
+  rolling_high: `${config.watchAnchor.windowHours}h high`,
+  periodic_reset: `resets every ${config.watchAnchor.resetHours}h`,
+};
 
 let updateOffset = 0;
 let lastStatusMessageId = null;
@@ -123,6 +146,7 @@ function getMainKeyboard() {
       [
         { text: "💰 Buy", callback_data: "cmd_buy" },
         { text: "💸 Sell", callback_data: "cmd_sell" },
+        { text: "📜 History", callback_data: "cmd_history" },
       ],
       [
         { text: "🔧 Fix", callback_data: "cmd_fix" },
@@ -133,6 +157,39 @@ function getMainKeyboard() {
   };
 }
 
+// Same actions scoped to one token (portfolio drill-down)
+function getMarketKeyboard(label) {
+  return {
+    inline_keyboard: [
+      [
+        { text: "▶️ Start", callback_data: `cmd_start:${label}` },
+        { text: "⏸️ Pause", callback_data: `cmd_pause:${label}` },
+        { text: "🔄 Refresh", callback_data: `cmd_status:${label}` },
+      ],
+      [
+        { text: "💰 Buy", callback_data: `cmd_buy:${label}` },
+        { text: "💸 Sell", callback_data: `cmd_sell:${label}` },
+        { text: "📊 Portfolio", callback_data: "cmd_status" },
+      ],
+      [
+        { text: "🔧 Fix", callback_data: `cmd_fix:${label}` },
+        { text: "🗑️ Reset", callback_data: `cmd_reset:${label}` },
+      ],
+    ],
+  };
+}
+
+function getPortfolioKeyboard(markets) {
+  const rows = [];
+  for (let i = 0; i < markets.length; i += 3) {
+    rows.push(markets.slice(i, i + 3).map((m, j) => ({
+      text: `${i + j + 1}. ${m.label}`,
+      callback_data: `cmd_status:${m.selector || m.label}`,
+    })));
+  }
+  return { inline_keyboard: [...rows, ...getMainKeyboard().inline_keyboard] };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // STATUS FORMATTING
 // ═══════════════════════════════════════════════════════════════════════════
@@ -164,21 +221,41 @@ function formatStatus(status) {
     building: "🔨",
     holding: "💎",
     trailing: "📈",
+    lockout: "🔒",
+    grid: "🔲",
   };
 
   const emoji = phaseEmoji[status.phase] || "❓";
   const pauseIndicator = status.paused ? " [PAUSED]" : "";
+  const simIndicator = status.simulation ? " [SIM]" : "";
 
-  let text = `<b>${emoji} MM-Profit Bot${pauseIndicator}</b>\n\n`;
+  const label = status.marketCount > 1 ? ` · ${status.label}` : "";
+
+  let text = `<b>${emoji} MM-Profit Bot${label}${simIndicator}${pauseIndicator}</b>\n\n`;
 
   // Phase & Price
   text += `<b>Phase:</b> ${status.phase.toUpperCase()}\n`;
   text += `<b>Price:</b> ${formatPrice(status.price)} SOL\n`;
 
+  if (status.phase === "lockout" && status.risk.lockoutUntil) {
+    text += `<b>Lockout:</b> no entries for ${formatUntil(status.risk.lockoutUntil)} (after ${STOP_LABELS[status.lastTrade.reason] || "stop-out"})\n`;
+  }
+
+  if (status.twap) {
+    const t = status.twap;
+    const rest = t.side === "buy" ? `${formatSol(t.remaining)} SOL` : `${formatTokens(t.remaining, status.tokenDecimals)} tokens`;
+    text += `<b>TWAP ${t.side.toUpperCase()}:</b> ${t.done}/${t.slices} slices${t.reason ? ` (${t.reason})` : ""}, ${rest} left, next in ${formatUntil(t.nextAt)}\n`;
+  }
+
   if (status.watchPrice) {
     const dropPct = ((status.watchPrice - status.price) / status.watchPrice) * 100;
-    text += `<b>Watch Price:</b> ${formatPrice(status.watchPrice)} SOL\n`;
+    text += `<b>Watch Price:</b> ${formatPrice(status.watchPrice)} SOL (${ANCHOR_LABELS[status.watchAnchor.mode] || "fixed"})\n`;
     text += `<b>Drop:</b> ${dropPct.toFixed(2)}%\n`;
+    const move = status.watchAnchor.lastMove;
+    if (status.phase === "watching" && move) {
+      const movePct = ((move.to - move.from) / move.from) * 100;
+      text += `<b>Re-anchored:</b> ${movePct >= 0 ? "+" : ""}${movePct.toFixed(2)}% ${formatAgo(move.at)} (${status.watchAnchor.moves}x)\n`;
+    }
   }
 
   text += `\n`;
@@ -190,39 +267,210 @@ function formatStatus(status) {
     text += `  SOL Spent: ${formatSol(status.position.solSpent)}\n`;
     text += `  Avg Entry: ${formatPrice(status.position.avgEntry)} SOL\n`;
     text += `  P&L: ${status.profitPct >= 0 ? "+" : ""}${status.profitPct.toFixed(2)}%\n`;
+    if (status.risk.stopPrice) {
+      text += `  Stop-Loss: ${formatPrice(status.risk.stopPrice)} SOL (-${status.risk.stopLossPct}%)\n`;
+    }
+    if (status.risk.maxHoldHours > 0 && status.risk.openedAt) {
+      const stopAt = status.risk.openedAt + status.risk.maxHoldHours * 60 * 60 * 1000;
+      text += `  Time Stop: in ${formatUntil(stopAt)}\n`;
+    }
     text += `\n`;
   }
 
-  // Steps
-  text += `<b>Steps:</b> ${status.stepIndex}/${status.totalSteps}\n`;
-  text += `<b>Entry Trigger:</b> ${status.currentEntryDropPct}% drop\n`;
+  if (status.grid) {
+    text += formatGrid(status.grid);
+  } else if (status.ladder) {
+    // Steps
+    text += `<b>Steps:</b> ${status.stepIndex}/${status.totalSteps}\n`;
+    text += `<b>Entry Trigger:</b> ${status.ladder.entryDropPct}% drop\n`;
+    if (status.ladder.enabled) {
+      const vol = status.ladder.volPct === null ? "warming up" : `vol ${status.ladder.volPct.toFixed(2)}%`;
+      text += `<b>Ladder:</b> x${status.ladder.scale.toFixed(2)} (${vol}) → ${status.ladder.steps.map(st => `${st.dropPct}%`).join(" / ")}\n`;
+    }
 
-  // Trailing
-  if (status.trailing.active) {
-    text += `<b>Trailing:</b> Peak ${formatPrice(status.trailing.peakPrice)} SOL\n`;
+    // Trailing
+    if (status.trailing.active) {
+      text += `<b>Trailing:</b> Peak ${formatPrice(status.trailing.peakPrice)} SOL, stop ${status.ladder.trailingStopPct}%\n`;
+    }
+  } else {
+    text += `<b>Strategy:</b> ${status.strategy} (entries ${status.stepIndex})\n`;
   }
 
   text += `\n`;
 
   // Balances
-  text += `<b>Balances:</b>\n`;
-  text += `  SOL: ${formatSol(status.balances.sol)}\n`;
-  text += `  Token: ${formatTokens(status.balances.token, status.tokenDecimals)}\n`;
+  if (status.simulation) {
+    const sim = status.simulation;
+    text += `<b>SIM Balances (paper):</b>\n`;
+    text += `  SIM SOL: ${formatSol(status.balances.sol)}\n`;
+    text += `  SIM Token: ${formatTokens(status.balances.token, status.tokenDecimals)}\n`;
+    text += `  Equity: ${formatSol(sim.equity)} (start ${formatSol(sim.startSol)}, ${sim.pnlPct >= 0 ? "+" : ""}${sim.pnlPct.toFixed(2)}%)\n`;
+    text += `  Fees: ${formatSol(sim.feesPaid)}\n`;
+  } else {
+    text += `<b>Balances:</b>\n`;
+    text += `  SOL: ${formatSol(status.balances.sol)}\n`;
+    text += `  Token: ${formatTokens(status.balances.token, status.tokenDecimals)}\n`;
+  }
 
   // Last Trade
   if (status.lastTrade.timestamp) {
     const ago = Math.floor((Date.now() - status.lastTrade.timestamp) / 60000);
-    text += `\n<b>Last Trade:</b> ${status.lastTrade.profitPct >= 0 ? "+" : ""}${status.lastTrade.profitPct.toFixed(2)}% (${ago}m ago)\n`;
+    const stop = STOP_LABELS[status.lastTrade.reason] ? ` 🛑 ${STOP_LABELS[status.lastTrade.reason]}` : "";
+    text += `\n<b>Last Trade:</b> ${status.lastTrade.profitPct >= 0 ? "+" : ""}${status.lastTrade.profitPct.toFixed(2)}%${stop} (${ago}m ago)\n`;
+  }
+
+  return text;
+}
+
+function formatPortfolio(portfolio) {
+  const simIndicator = portfolio.simulation ? " [SIM]" : "";
+  let text = `<b>📊 MM-Profit Portfolio${simIndicator}</b>\n\n`;
+
+  const header = "#  TOKEN    PHASE     STEP  P&L      PRICE";
+  const rows = portfolio.markets.map((m, i) => {
+    const pnl = BigInt(m.tokens) > 0n
+      ? `${m.profitPct >= 0 ? "+" : ""}${m.profitPct.toFixed(1)}%`
+      : "-";
+    const phase = m.paused ? "paused" : m.phase;
+    return [
+      String(i + 1).padEnd(2),
+      m.label.slice(0, 8).padEnd(8),
+      phase.padEnd(9),
+      `${m.stepIndex}/${m.totalSteps}`.padEnd(5),
+      pnl.padEnd(8),
+      formatPrice(m.price),
+    ].join(" ");
+  });
+  text += `<pre>${escapeHtml([header, ...rows].join("\n"))}</pre>\n`;
+
+  const deployed = portfolio.markets.reduce((sum, m) => sum + BigInt(m.solSpent), 0n);
+  text += `<b>SOL:</b> ${formatSol(portfolio.balances.sol)} free, ${formatSol(deployed)} deployed\n`;
+  if (portfolio.simulation) {
+    const sim = portfolio.simulation;
+    text += `<b>SIM Equity:</b> ${formatSol(sim.equity)} (${sim.pnlPct >= 0 ? "+" : ""}${sim.pnlPct.toFixed(2)}%)\n`;
+  }
+  text += `\nTap a token for details, or /status &lt;token&gt;`;
+  return text;
+}
+
+// /status under supervisor.js - every worker's markets from data/supervisor.json
+function formatSupervisor(status) {
+  let text = `<b>📊 MM-Profit Supervisor</b>\n\n`;
+
+  const header = "#  TOKEN              PHASE     STEP  P&L";
+  const rows = [];
+  for (const w of status.workers) {
+    if (!w.running) {
+      rows.push(`-  ${w.id.slice(0, 18).padEnd(18)} down (${w.restarts} restarts)`);
+      continue;
+    }
+    for (const m of w.markets) {
+      const pnl = BigInt(m.tokens) > 0n
+        ? `${m.profitPct >= 0 ? "+" : ""}${m.profitPct.toFixed(1)}%`
+        : "-";
+      rows.push([
+        String(rows.length + 1).padEnd(2),
+        `${w.id}/${m.label}`.slice(0, 18).padEnd(18),
+        (m.paused ? "paused" : m.phase).padEnd(9),
+        `${m.stepIndex}/${m.totalSteps}`.padEnd(5),
+        pnl,
+      ].join(" "));
+    }
   }
+  text += `<pre>${escapeHtml([header, ...rows].join("\n"))}</pre>\n`;
+  text += `\nTap a token for details, or /status &lt;worker/token&gt;`;
+  return text;
+}
 
+function supervisorMarkets(status) {
+  return status.workers
+    .filter(w => w.running)
+    .flatMap(w => w.markets.map(m => ({ label: `${w.id}/${m.label}`, selector: `${w.id}/${m.label}` })));
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Events pushed by the trading process (commands.postNotification)
+function formatNotification(event) {
+  const sim = event.simulated ? " [SIM]" : "";
+  const token = event.marketCount > 1 ? ` · ${event.market}` : "";
+
+  if (event.type === "stop_out") {
+    let text = `<b>🛑 ${STOP_LABELS[event.reason] || event.reason}${token}${sim}</b>\n\n`;
+    text += `Sold the whole position for ${formatSol(event.solReceived)} SOL `;
+    text += `(${event.profitPct >= 0 ? "+" : ""}${event.profitPct.toFixed(2)}%)\n`;
+    if (event.lockoutUntil) {
+      text += `🔒 No new entries for ${formatUntil(event.lockoutUntil)}`;
+    }
+    return text;
+  }
+
+  if (event.type === "max_drawdown") {
+    let text = `<b>🛑 Portfolio Max Drawdown${sim}</b>\n\n`;
+    text += `Equity ${formatSol(event.equity)} SOL is ${event.drawdownPct.toFixed(2)}% below the peak of ${formatSol(event.peak)} SOL.\n`;
+    text += event.allFlat
+      ? `All positions closed, every token locked out.`
+      : `⚠️ Some sells failed - retrying every round.`;
+    if (event.pausedCount) text += `\n⏸️ ${event.pausedCount} paused token(s) left alone.`;
+    return text;
+  }
+
+  if (event.type === "guard_reject") {
+    const side = event.side === "buy" ? "BUY" : "SELL";
+    let text = `<b>🛡 ${side} blocked: ${GUARD_LABELS[event.check] || event.check}${token}${sim}</b>\n\n`;
+    if (event.reason) text += `Reason: ${escapeHtml(event.reason)}\n`;
+    text += `Size: ${event.solAmount.toFixed(4)} SOL\n`;
+    text += `Price Impact: ${event.impactPct.toFixed(2)}%${event.check === "impact" ? ` (max ${event.limit}%)` : ""}\n`;
+    if (event.depthSol !== null) {
+      text += `Pool Depth: ~${event.depthSol.toFixed(2)} SOL${event.check === "liquidity" ? ` (min ${event.limit} SOL)` : ""}\n`;
+    }
+    text += `Quote Price: ${formatPrice(event.quotePrice)} SOL\n`;
+    if (event.tickPrice !== null) {
+      text += `Tick Price: ${formatPrice(event.tickPrice)} SOL `;
+      text += `(${event.deviationPct >= 0 ? "+" : ""}${event.deviationPct.toFixed(2)}%, max ±${event.limit}%)\n`;
+    }
+    if (event.slicesNeeded) {
+      text += `Needs ${event.slicesNeeded} slices, max ${config.tradeGuard.maxSlices}\n`;
+    }
+    return text;
+  }
+
+  return `ℹ️ ${event.type}`;
+}
+
+function formatGrid(grid) {
+  if (!grid.anchorPrice) {
+    return `<b>Grid:</b> not anchored yet\n`;
+  }
+
+  let text = `<b>Grid:</b> ${grid.lots.length}/${grid.maxUnits} lots, step ${grid.stepPct.toFixed(2)}%\n`;
+  text += `  Anchor: ${formatPrice(grid.anchorPrice)} SOL\n`;
+  text += `  Lot Size: ${formatSol(grid.unitLamports)} SOL\n`;
+  if (grid.nextBuyPrice) text += `  Next Buy: ≤ ${formatPrice(grid.nextBuyPrice)} SOL\n`;
+  if (grid.nextSellPrice) text += `  Next Take-Profit: ≥ ${formatPrice(grid.nextSellPrice)} SOL\n`;
+
+  text += `  Realized: ${formatSignedSol(grid.realizedLamports)} SOL (${grid.lotsSold} lots sold)\n`;
   return text;
 }
 
 function formatConfig() {
   let text = `<b>⚙️ Configuration</b>\n\n`;
 
+  text += `<b>Strategy:</b> ${config.strategy}\n`;
+  if (config.strategy === "grid") {
+    const g = config.grid;
+    text += `  Step: ${g.stepPct}% (${g.minStepPct}-${g.maxStepPct}%, vol x${g.volMult})\n`;
+    text += `  Lots: ${g.maxUnits} (seed ${g.seedUnits < 0 ? Math.floor(g.maxUnits / 2) : g.seedUnits})\n`;
+    text += `  Min Profit: ${g.minProfitPct}% per lot\n`;
+    text += `  Re-anchor: ${g.gapReanchorPct}% gap when flat\n`;
+  }
+  text += `\n`;
+
   text += `<b>Entry:</b>\n`;
-  text += `  Default Drop: ${config.entryDropPct}%\n\n`;
+  text += `  Default Drop: ${config.entryDropPct}%\n`;
+  text += `  Watch Anchor: ${ANCHOR_LABELS[config.watchAnchor.mode] || "fixed"}\n\n`;
 
   text += `<b>Steps:</b>\n`;
   config.steps.forEach((s, i) => {
@@ -233,10 +481,55 @@ function formatConfig() {
   text += `<b>Wallet:</b>\n`;
   text += `  Max Use: ${config.maxWalletUsePct}%\n\n`;
 
+  if (bot.markets.length > 1) {
+    text += `<b>Portfolio:</b>\n`;
+    bot.markets.forEach((m, i) => {
+      const ladder = m.steps.map(st => `${st.dropPct}/${st.sizePct}`).join(", ");
+      text += `  ${i + 1}. ${m.label}: ${m.sharePct.toFixed(1)}% share, steps ${ladder}\n`;
+    });
+    text += `\n`;
+  }
+
   text += `<b>Trailing:</b>\n`;
   text += `  Trigger: ${config.trailingTriggerPct}%\n`;
   text += `  Stop: ${config.trailingStopPct}%\n\n`;
 
+  if (config.volatilityLadder.enabled) {
+    const vol = config.volatilityLadder;
+    text += `<b>Volatility Ladder:</b>\n`;
+    text += `  Baseline: ${vol.baselineVolPct}% over ${vol.windowMinutes}m\n`;
+    text += `  Scale: ${vol.minScale}x - ${vol.maxScale}x${vol.scaleTrailing ? " (incl. trailing)" : ""}\n\n`;
+  }
+
+  const off = value => (value > 0 ? value : "off");
+  text += `<b>Stops:</b>\n`;
+  text += `  Stop-Loss: ${off(config.stopLossPct)}${config.stopLossPct > 0 ? "%" : ""}\n`;
+  text += `  Time Stop: ${off(config.maxHoldHours)}${config.maxHoldHours > 0 ? "h" : ""}\n`;
+  text += `  Max Drawdown: ${off(config.maxDrawdownPct)}${config.maxDrawdownPct > 0 ? "%" : ""}\n`;
+  text += `  Lockout: ${config.lockoutHours}h\n\n`;
+
+  const est = config.feeEstimator;
+  text += `<b>Priority Fee:</b>\n`;
+  text += est.enabled
+    ? `  Estimate: p${est.percentile} of recent fees, ${est.floorLamports}-${est.capLamports} lamports\n`
+    : `  Static: buy ${config.buyPriorityFeeLamports}, sell ${config.sellPriorityFeeLamports} lamports\n`;
+  text += `  Retry: +${config.priorityFeeStepLamports} per failure (max ${config.priorityFeeCapLamports})\n\n`;
+
+  const guard = config.tradeGuard;
+  text += `<b>Trade Guard:</b>\n`;
+  text += `  Max Impact: ${off(guard.maxPriceImpactPct)}${guard.maxPriceImpactPct > 0 ? "%" : ""}`;
+  text += guard.splitOrders ? ` (split up to ${guard.maxSlices}x)\n` : `\n`;
+  text += `  Max Tick Deviation: ${off(guard.maxTickDeviationPct)}${guard.maxTickDeviationPct > 0 ? "%" : ""}\n`;
+  text += `  Min Liquidity: ${off(guard.minLiquiditySol)}${guard.minLiquiditySol > 0 ? " SOL" : ""}\n\n`;
+
+  if (config.twap.enabled) {
+    const twap = config.twap;
+    text += `<b>TWAP:</b>\n`;
+    text += `  Orders ≥ ${twap.minOrderSol} SOL: ${twap.slices} slices over ${twap.windowMinutes}m\n`;
+    text += `  Impact Budget: ${off(twap.impactBudgetPct)}${twap.impactBudgetPct > 0 ? "%" : ""}\n`;
+    text += `  Stops: ${twap.sliceStops ? "sliced" : "sold at once"}\n\n`;
+  }
+
   text += `<b>Re-entry Rules:</b>\n`;
   config.reentryRules.forEach(r => {
     text += `  &gt;${r.minProfitPct}% profit → ${r.nextDropPct}% drop\n`;
@@ -257,6 +550,101 @@ function formatSol(lamports) {
   return `${whole}.${frac.toString().padStart(9, "0").slice(0, 4)}`;
 }
 
+function formatSignedSol(lamports) {
+  const value = BigInt(lamports);
+  return value < 0n ? `-${formatSol(-value)}` : `+${formatSol(value)}`;
+}
+
+// "3h 20m" until a future timestamp
+function formatUntil(timestamp) {
+  const mins = Math.max(0, Math.ceil((timestamp - Date.now()) / 60000));
+  if (mins < 60) return `${mins}m`;
+  return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
+function formatAgo(timestamp) {
+  const mins = Math.floor((Date.now() - timestamp) / 60000);
+  if (mins < 60) return `${mins}m ago`;
+  if (mins < 48 * 60) return `${Math.floor(mins / 60)}h ago`;
+  return `${Math.floor(mins / 1440)}d ago`;
+}
+
+// /reconcile preview (or what Apply / Fix wrote)
+function formatReconcile(result) {
+  let text = result.applied ? "✅ <b>State Reconciled</b>" : "🔍 <b>Reconcile</b>";
+  if (bot.markets.length > 1) text += ` · ${escapeHtml(result.label)}`;
+  text += `\n\nOn-chain since the last full exit: ${result.swaps} token transaction(s) - `;
+  text += `${result.orders} buy order(s), ${result.partials} partial exit(s)\n`;
+  if (result.transfers) {
+    text += `⚠️ ${result.transfers} token transfer(s) without SOL - counted in the tokens, not the cost\n`;
+  }
+  if (!result.changes.length) {
+    return text + "\nThe state file already matches the chain.";
+  }
+
+  text += "\n";
+  for (const change of result.changes) {
+    text += `<b>${escapeHtml(change.field)}:</b> ${escapeHtml(change.from)} → ${escapeHtml(change.to)}\n`;
+  }
+  if (!result.applied) text += "\nApply writes these to the state file.";
+  return text;
+}
+
+function getReconcileKeyboard(selector) {
+  const suffix = selector ? `:${selector}` : "";
+  return {
+    inline_keyboard: [[{ text: "✅ Apply", callback_data: `cmd_reconcile_apply${suffix}` }]],
+  };
+}
+
+function formatHistory(history) {
+  let text = `<b>📜 Trade History</b>\n\n`;
+
+  text += `<b>Realized P&amp;L:</b>\n`;
+  text += `  Today: ${formatSignedSol(history.today.realizedLamports)} SOL (${history.today.sells} sells)\n`;
+  text += `  This week: ${formatSignedSol(history.thisWeek.realizedLamports)} SOL (${history.thisWeek.sells} sells)\n`;
+  text += `  All time: ${formatSignedSol(history.totalRealizedLamports)} SOL\n\n`;
+
+  if (history.byDay.length) {
+    text += `<b>By Day:</b>\n`;
+    history.byDay.forEach(d => {
+      text += `  ${d.period}: ${formatSignedSol(d.realizedLamports)}\n`;
+    });
+    text += `\n`;
+  }
+
+  if (history.cycles.length) {
+    text += `<b>Recent Cycles:</b>\n`;
+    history.cycles.forEach(c => {
+      const result = c.closedAt
+        ? `${formatSignedSol(c.realizedLamports)} (${c.realizedPct >= 0 ? "+" : ""}${c.realizedPct.toFixed(2)}%)`
+        : "open";
+      text += `  #${c.cycleId}: ${c.buys} buys, in ${formatSol(c.solSpent)} → ${result}\n`;
+    });
+    text += `\n`;
+  }
+
+  text += `<b>Recent Fills:</b>\n`;
+  if (!history.fills.length) {
+    text += `  (none yet)\n`;
+  }
+  history.fills.forEach(f => {
+    const token = bot.markets.length > 1 && f.label ? `${f.label} ` : "";
+    if (f.type === "buy") {
+      const what = f.reason && f.reason.startsWith("grid_") ? "grid" : `step ${f.stepIndex + 1}`;
+      text += `  🟢 ${token}BUY ${what}: ${formatSol(f.lamportsOut)} SOL → ${formatTokens(f.tokensIn, f.tokenDecimals)} (${formatAgo(f.timestamp)})\n`;
+    } else {
+      const label = f.reason === "grid_tp"
+        ? "GRID TP"
+        : f.type === "partial" ? "PARTIAL" : `SELL ${f.reason || ""}`.trim();
+      const icon = STOP_LABELS[f.reason] ? "🛑" : "🔴";
+      text += `  ${icon} ${token}${label}: ${formatTokens(f.tokensOut, f.tokenDecimals)} → ${formatSol(f.lamportsIn)} SOL, ${formatSignedSol(f.realizedLamports)} (${formatAgo(f.timestamp)})\n`;
+    }
+  });
+
+  return text;
+}
+
 function formatBigNumber(str) {
   const num = BigInt(str);
   if (num === 0n) return "0";
@@ -291,38 +679,95 @@ function formatTokens(baseUnits, decimals = 6) {
 // COMMAND HANDLERS
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function handleCommand(cmd) {
+// Trading actions execute inside the bot.js process (npm start) - queue them
+// and wait for its acknowledgement instead of touching state from here
+async function runOnBot(action, market) {
+  const id = commands.sendCommand(action, market ? { market } : {});
+  const ack = await commands.waitForAck(id, config.commandAckTimeoutMs);
+  if (!ack) {
+    return { success: false, error: "No response from trading process (is npm start or npm run supervisor running?)" };
+  }
+  return ack;
+}
+
+// data/supervisor.json while npm run supervisor is up (it rewrites the file
+// every statusIntervalMs) - then state lives with the workers, not in data/
+function getSupervisorStatus() {
+  try {
+    const status = JSON.parse(fs.readFileSync(SUPERVISOR_FILE, "utf8"));
+    const fresh = Date.now() - status.updatedAt < config.supervisor.statusIntervalMs * 3;
+    return fresh && status.workers.some(w => w.running) ? status : null;
+  } catch {
+    return null;
+  }
+}
+
+async function handleCommand(cmd, arg) {
   switch (cmd) {
     case "status":
     case "cmd_status": {
-      const status = await bot.getStatus();
+      const supervisor = getSupervisorStatus();
+      if (supervisor) {
+        const workerCount = supervisor.workers.length;
+        if (!arg && (workerCount > 1 || bot.markets.length > 1)) {
+          const msgId = await sendMessage(formatSupervisor(supervisor), getPortfolioKeyboard(supervisorMarkets(supervisor)));
+          if (msgId) lastStatusMessageId = msgId;
+          break;
+        }
+        const result = await runOnBot("status", arg);
+        if (!result.success) {
+          await sendMessage(`❌ ${result.error}`);
+          break;
+        }
+        const msgId = await sendMessage(formatStatus(result.status), arg ? getMarketKeyboard(arg) : getMainKeyboard());
+        if (msgId) lastStatusMessageId = msgId;
+        break;
+      }
+
+      // Portfolio summary unless a single token is asked for (or there's only one)
+      if (!arg && bot.markets.length > 1) {
+        const portfolio = await bot.getPortfolioStatus();
+        const msgId = await sendMessage(formatPortfolio(portfolio), getPortfolioKeyboard(portfolio.markets));
+        if (msgId) lastStatusMessageId = msgId;
+        break;
+      }
+
+      let status;
+      try {
+        status = await bot.getStatus(arg);
+      } catch (err) {
+        await sendMessage(`❌ ${err.message}`);
+        break;
+      }
       const text = formatStatus(status);
-      const msgId = await sendMessage(text, getMainKeyboard());
+      const keyboard = status.marketCount > 1 ? getMarketKeyboard(status.label) : getMainKeyboard();
+      const msgId = await sendMessage(text, keyboard);
       if (msgId) lastStatusMessageId = msgId;
       break;
     }
 
     case "start":
     case "cmd_start": {
-      bot.setPaused(false);
-      await sendMessage("✅ Bot started");
+      const result = await runOnBot("start", arg);
+      await sendMessage(result.success ? "✅ Bot started" : `❌ Start failed: ${result.error}`);
       break;
     }
 
     case "pause":
     case "stop":
     case "cmd_pause": {
-      bot.setPaused(true);
-      await sendMessage("⏸️ Bot paused");
+      const result = await runOnBot("pause", arg);
+      await sendMessage(result.success ? "⏸️ Bot paused" : `❌ Pause failed: ${result.error}`);
       break;
     }
 
     case "buy":
     case "cmd_buy": {
       await sendMessage("💰 Executing buy...");
-      const result = await bot.forceBuy();
+      const result = await runOnBot("buy", arg);
       if (result.success) {
-        await sendMessage(`✅ Buy executed - Step ${result.step}/${result.totalSteps} complete`);
+        const unit = config.strategy === "grid" ? "Lot" : "Step";
+        await sendMessage(`✅ Buy executed - ${unit} ${result.step}/${result.totalSteps} complete`);
       } else {
         await sendMessage(`❌ Buy failed: ${result.error || "Unknown error"}`);
       }
@@ -332,7 +777,7 @@ async function handleCommand(cmd) {
     case "sell":
     case "cmd_sell": {
       await sendMessage("💸 Executing sell...");
-      const result = await bot.forceSell();
+      const result = await runOnBot("sell", arg);
       if (result.success) {
         await sendMessage("✅ Sell executed");
       } else {
@@ -343,16 +788,17 @@ async function handleCommand(cmd) {
 
     case "reset":
     case "cmd_reset": {
-      bot.resetState();
-      await sendMessage("🗑️ State reset to defaults");
+      const result = await runOnBot("reset", arg);
+      await sendMessage(result.success ? "🗑️ State reset to defaults" : `❌ Reset failed: ${result.error}`);
       break;
     }
 
     case "fix":
     case "cmd_fix": {
-      const result = await bot.fixState();
+      const result = await runOnBot("fix", arg);
       if (result.success) {
-        let msg = `🔧 State fixed!\nTokens: ${result.tokens}\nWatch Price: ${formatPrice(result.watchPrice)} SOL\nSteps: ${result.stepIndex}/3\nPhase: ${result.phase.toUpperCase()}`;
+        const watch = result.watchPrice === null ? "-" : `${formatPrice(result.watchPrice)} SOL`;
+        let msg = `🔧 State fixed!\nTokens: ${result.tokens}\nWatch Price: ${watch}\nSteps: ${result.stepIndex}/${result.totalSteps}\nPhase: ${result.phase.toUpperCase()}`;
         await sendMessage(msg);
       } else {
         await sendMessage(`❌ Fix failed: ${result.error}`);
@@ -360,6 +806,38 @@ async function handleCommand(cmd) {
       break;
     }
 
+    case "reconcile":
+    case "cmd_reconcile": {
+      await sendMessage("🔍 Reading on-chain history...");
+      const result = await runOnBot("reconcile", arg);
+      if (!result.success) {
+        await sendMessage(`❌ Reconcile failed: ${result.error}`);
+      } else {
+        const selector = arg || (bot.markets.length > 1 ? result.label : null);
+        await sendMessage(formatReconcile(result), result.changes.length ? getReconcileKeyboard(selector) : null);
+      }
+      break;
+    }
+
+    case "cmd_reconcile_apply": {
+      const result = await runOnBot("reconcile_apply", arg);
+      await sendMessage(result.success ? formatReconcile(result) : `❌ Reconcile failed: ${result.error}`);
+      break;
+    }
+
+    case "history":
+    case "cmd_history": {
+      // Each supervisor worker keeps its own ledger
+      if (getSupervisorStatus()) {
+        const result = await runOnBot("history", arg);
+        await sendMessage(result.success ? formatHistory(result.history) : `❌ History failed: ${result.error}`);
+        break;
+      }
+      const history = await bot.getHistory();
+      await sendMessage(formatHistory(history));
+      break;
+    }
+
     case "config":
     case "cmd_config": {
       await sendMessage(formatConfig());
@@ -370,15 +848,19 @@ async function handleCommand(cmd) {
     default: {
       const helpText = `<b>📖 Commands</b>
 
-/status - Show bot status
-/start - Start the bot
-/stop - Pause the bot
-/buy - Force buy (next step)
-/sell - Force sell all
-/fix - Fix corrupted state (keeps position)
-/reset - Reset state (clears all)
+/status [token] - Show bot status (portfolio summary with several tokens)
+/start [token] - Start the bot
+/stop [token] - Pause the bot (no entries, exits or drawdown sells)
+/buy [token] - Force buy (next step)
+/sell [token] - Force sell all
+/fix [token] - Rebuild state from on-chain history now
+/reconcile [token] - Show what a rebuild from on-chain history changes, then apply
+/reset [token] - Reset state (clears all)
+/history [worker] - Trade history &amp; realized P&amp;L
 /config - Show configuration
-/help - Show this message`;
+/help - Show this message
+
+Under npm run supervisor, [token] can also name a worker: w2 or w2/BONK`;
       await sendMessage(helpText, getMainKeyboard());
       break;
     }
@@ -389,8 +871,29 @@ async function handleCommand(cmd) {
 // MAIN LOOP
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Bot events on their own timer - a command waiting on the bot (up to
+// commandAckTimeoutMs) mustn't hold back a stop-out alert
+async function notifyLoop() {
+  try {
+    for (const event of commands.takeNotifications()) {
+      await sendMessage(formatNotification(event));
+    }
+  } catch (err) {
+    console.error("Notification error:", err.message);
+  }
+
+  setTimeout(notifyLoop, config.tgPollIntervalMs);
+}
+
+// Not awaited: a command waiting on the bot (up to commandAckTimeoutMs)
+// mustn't hold up the updates behind it - a /stop after a slow /buy
+function dispatchCommand(cmd, arg) {
+  handleCommand(cmd, arg).catch(err => console.error(`Command /${cmd} error:`, err.message));
+}
+
 async function pollLoop() {
   try {
+    commands.removeStaleAcks(config.commandAckTimeoutMs);
     const updates = await getUpdates();
 
     for (const update of updates) {
@@ -403,8 +906,8 @@ async function pollLoop() {
 
         const text = update.message.text.trim();
         if (text.startsWith("/")) {
-          const cmd = text.slice(1).split(" ")[0].toLowerCase();
-          await handleCommand(cmd);
+          const [cmd, arg] = text.slice(1).split(/\s+/);
+          dispatchCommand(cmd.toLowerCase(), arg);
         }
       }
 
@@ -413,8 +916,10 @@ async function pollLoop() {
         const callbackId = update.callback_query.id;
         const data = update.callback_query.data;
 
+        // "cmd_buy:BONK" -> action + token
+        const [cmd, arg] = data.split(":");
         await answerCallback(callbackId);
-        await handleCommand(data);
+        dispatchCommand(cmd, arg);
       }
     }
   } catch (err) {
@@ -442,6 +947,7 @@ async function main() {
   await sendMessage("🤖 <b>MM-Profit Bot Online</b>\n\nUse /status to see current state.", getMainKeyboard());
 
   // Start polling
+  notifyLoop();
   pollLoop();
 }
 
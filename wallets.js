@@ -0,0 +1,161 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// MM-Profit Wallets
+// ═══════════════════════════════════════════════════════════════════════════
+//
+// Reads wallets.json and resolves wallet roles. Each entry may carry a
+// `role`; entries without one are trading wallets, so existing files keep
+// working unchanged.
+//
+//   trading     runs a bot worker (supervisor.js starts one per wallet)
+//   funding     tops up trading wallets, never trades
+//   treasury    receives swept profits, never trades
+//   vol_parent  parent wallet for the volume bot (VOL_PARENT_INDEX overrides)
+//
+// {
+//   "wallets": [
+//     { "name": "main", "role": "trading", "publicKey": "...", "keystore": {...} },
+//     { "name": "vault", "role": "treasury", "publicKey": "...", "keystore": {...} }
+//   ]
+// }
+//
+// Secret keys are encrypted (see keystore.js). unlockKeypair() is the one
+// place scripts turn an entry into a signing Keypair; plaintext `secretKey`
+// entries are refused unless ALLOW_PLAINTEXT_KEYS=1.
+
+const fs = require("fs");
+const path = require("path");
+const { Keypair, PublicKey } = require("@solana/web3.js");
+const keystore = require("./keystore");
+
+const WALLETS_FILE = process.env.WALLETS_FILE
+  ? path.resolve(process.env.WALLETS_FILE)
+  : path.join(__dirname, "wallets.json");
+
+const ROLES = ["trading", "funding", "treasury", "vol_parent"];
+
+function readWallets() {
+  if (!fs.existsSync(WALLETS_FILE)) {
+    throw new Error("wallets.json not found");
+  }
+  const data = JSON.parse(fs.readFileSync(WALLETS_FILE, "utf8"));
+  return Array.isArray(data.wallets) ? data.wallets : [];
+}
+
+// Atomic write, readable by the owner only
+function saveWallets(list) {
+  const tmp = `${WALLETS_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ wallets: list }, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, WALLETS_FILE);
+}
+
+// First run of swap.js / sweep.js: create an encrypted "main" wallet
+async function ensureInitialWallet() {
+  const list = fs.existsSync(WALLETS_FILE) ? readWallets() : [];
+  if (list.length > 0) {
+    return list;
+  }
+
+  const passphrase = await keystore.getPassphrase({ confirm: true });
+  const keypair = Keypair.generate();
+  const entry = {
+    name: "main",
+    role: "trading",
+    publicKey: keypair.publicKey.toBase58(),
+    keystore: keystore.encryptSecretKey(keypair.secretKey, passphrase),
+  };
+
+  saveWallets([entry]);
+  console.log("Created main wallet:");
+  console.log(`- publicKey: ${entry.publicKey}`);
+  console.log("- secret key encrypted in wallets.json (keep your passphrase safe)");
+  return [entry];
+}
+
+function isEncrypted(entry) {
+  return !!entry.keystore;
+}
+
+// No passphrase needed - for balances and status
+function publicKeyOf(entry) {
+  if (!entry.publicKey) {
+    throw new Error(`Wallet "${entry.name || "unnamed"}" has no publicKey`);
+  }
+  return new PublicKey(entry.publicKey);
+}
+
+async function unlockKeypair(entry) {
+  const name = entry.name || "unnamed";
+  let secretKey;
+
+  if (entry.keystore) {
+    const passphrase = await keystore.getPassphrase();
+    secretKey = keystore.decryptSecretKey(entry.keystore, passphrase, name);
+  } else if (entry.secretKey) {
+    if (!keystore.allowPlaintextKeys()) {
+      throw new keystore.KeystoreError(
+        `Wallet "${name}" has a plaintext key - run npm run migrate-wallets (or set ALLOW_PLAINTEXT_KEYS=1)`
+      );
+    }
+    secretKey = Uint8Array.from(entry.secretKey);
+  } else {
+    throw new keystore.KeystoreError(`Wallet "${name}" has no key material`);
+  }
+
+  const keypair = Keypair.fromSecretKey(secretKey);
+  if (entry.publicKey && keypair.publicKey.toBase58() !== entry.publicKey) {
+    throw new keystore.KeystoreError(`Wallet "${name}" key does not match its publicKey`);
+  }
+  return keypair;
+}
+
+function walletRole(entry) {
+  return entry.role || "trading";
+}
+
+// [{ index, entry }] for every wallet with the given role, in file order
+function walletsByRole(role, wallets = readWallets()) {
+  return wallets
+    .map((entry, index) => ({ index, entry }))
+    .filter(w => walletRole(w.entry) === role);
+}
+
+// Wallets the supervisor should run - capped by TRADE_WALLET_COUNT when set
+function getTradingWallets(wallets = readWallets()) {
+  const trading = walletsByRole("trading", wallets);
+  const count = Number(process.env.TRADE_WALLET_COUNT) || trading.length;
+  return trading.slice(0, count);
+}
+
+function getVolParentIndex(wallets = readWallets()) {
+  if (process.env.VOL_PARENT_INDEX !== undefined && process.env.VOL_PARENT_INDEX !== "") {
+    return Number(process.env.VOL_PARENT_INDEX);
+  }
+  const parent = walletsByRole("vol_parent", wallets)[0];
+  return parent ? parent.index : null;
+}
+
+function validateRoles(wallets = readWallets()) {
+  const problems = [];
+  wallets.forEach((entry, i) => {
+    if (entry.role && !ROLES.includes(entry.role)) {
+      problems.push(`[${i}] ${entry.name || "unnamed"}: unknown role "${entry.role}"`);
+    }
+  });
+  return problems;
+}
+
+module.exports = {
+  WALLETS_FILE,
+  ROLES,
+  readWallets,
+  saveWallets,
+  ensureInitialWallet,
+  isEncrypted,
+  publicKeyOf,
+  unlockKeypair,
+  walletRole,
+  walletsByRole,
+  getTradingWallets,
+  getVolParentIndex,
+  validateRoles,
+};